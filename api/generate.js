@@ -0,0 +1,5 @@
+// Vercel function: POST /api/generate (see server/proxy.js)
+import { loadConfig, handleGenerate } from '../server/proxy.js';
+import { getStore } from '../server/store.js';
+
+export const POST = (request) => handleGenerate(request, { config: loadConfig(), store: getStore() });
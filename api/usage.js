@@ -0,0 +1,5 @@
+// Vercel function: GET /api/usage (see server/proxy.js)
+import { loadConfig, handleUsage } from '../server/proxy.js';
+import { getStore } from '../server/store.js';
+
+export const GET = (request) => handleUsage(request, { config: loadConfig(), store: getStore() });
@@ -0,0 +1,96 @@
+// Local stand-in for the Vercel functions in api/, for development and tests
+//
+//   npm run dev:api                      forwards to Gemini (needs GEMINI_API_KEY)
+//   RUIDAI_UPSTREAM=mock npm run dev:api answers with the offline mock provider
+//
+// Without RUIDAI_ACCESS_CODES the access code "dev" is accepted. `npm run dev`
+// proxies /api to this server (see vite.config.js).
+import http from 'node:http';
+import { Readable } from 'node:stream';
+import { loadConfig, handleGenerate, handleUsage } from './proxy.js';
+import { memoryStore } from './store.js';
+import mockProvider from '../src/lib/providers/mock.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const config = loadConfig();
+if (config.users.size === 0) {
+    config.users = new Map([['dev', { name: 'dev', dailyLimit: 1000 }]]);
+}
+const store = memoryStore();
+
+// The mock provider's chunks, shaped like the Gemini upstream
+const mockUpstream = async function* ({ prompt, images, schema, signal }) {
+    const pieces = [];
+    let notify = null;
+    let finished = false;
+    let usage = null;
+    const done = mockProvider.generate({
+        prompt,
+        images,
+        schema,
+        signal,
+        onChunk: (piece) => {
+            pieces.push(piece);
+            notify?.();
+        },
+        onUsage: (u) => { usage = u; }
+    }).finally(() => {
+        finished = true;
+        notify?.();
+    });
+    while (!finished || pieces.length > 0) {
+        if (pieces.length === 0) {
+            await new Promise(resolve => { notify = resolve; });
+            notify = null;
+            continue;
+        }
+        yield pieces.shift();
+    }
+    await done;
+    return usage;
+};
+mockUpstream.requiresKey = false;
+
+const upstream = process.env.RUIDAI_UPSTREAM === 'mock' ? mockUpstream : undefined;
+
+const ROUTES = {
+    'POST /api/generate': (request) => handleGenerate(request, { config, store, upstream }),
+    'GET /api/usage': (request) => handleUsage(request, { config, store }),
+    // Not on Vercel: recent request logs, to check what was logged
+    'GET /api/logs': () => Response.json(store.logs.slice(0, 50))
+};
+
+const server = http.createServer(async (req, res) => {
+    const route = ROUTES[`${req.method} ${req.url.split('?')[0]}`];
+    if (!route) {
+        res.writeHead(404).end();
+        return;
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    const request = new Request(`http://localhost:${PORT}${req.url}`, {
+        method: req.method,
+        headers: req.headers,
+        body: req.method === 'GET' ? undefined : Readable.toWeb(req),
+        duplex: 'half',
+        signal: controller.signal
+    });
+
+    try {
+        const response = await route(request);
+        res.writeHead(response.status, Object.fromEntries(response.headers));
+        if (response.body) {
+            for await (const chunk of response.body) res.write(chunk);
+        }
+        res.end();
+    } catch (e) {
+        console.error(e);
+        res.destroy(e);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`RUIDAI API stand-in on http://localhost:${PORT} (${upstream ? 'mock' : 'Gemini'} upstream)`);
+});
@@ -0,0 +1,274 @@
+// Generation proxy: holds the Gemini API key on the server and forwards
+// generation requests from the app, so the key never reaches the browser.
+// Teachers authenticate with their own access code; each code has a daily
+// request quota, and every request is logged.
+//
+// Shared by the Vercel functions (api/) and the local stand-in server
+// (server/dev.js). Everything speaks Web Request / Response.
+//
+// Environment:
+//   GEMINI_API_KEY        the Gemini key
+//   RUIDAI_ACCESS_CODES   JSON: { "<code>": { "name": "藍住", "dailyLimit": 200 }, ... }
+//   RUIDAI_DAILY_LIMIT    quota for codes without their own dailyLimit (default 100)
+//   RUIDAI_MODELS         optional comma-separated allowlist of models
+import { createHash } from 'node:crypto';
+
+const GEMINI_API = 'https://generativelanguage.googleapis.com/v1beta';
+const DEFAULT_DAILY_LIMIT = 100;
+// Vercel rejects request bodies above 4.5 MB before the function runs
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+// Quotas reset at midnight in Japan
+const TIME_ZONE = 'Asia/Tokyo';
+const QUOTA_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+// Access codes as a Map, so codes like "constructor" or "__proto__" cannot
+// match Object.prototype. Entries that are not objects are dropped.
+export const parseAccessCodes = (text) => {
+    if (!text) return new Map();
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        console.error('RUIDAI_ACCESS_CODES is not valid JSON');
+        return new Map();
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return new Map();
+    return new Map(Object.entries(parsed)
+        .filter(([, user]) => user && typeof user === 'object' && !Array.isArray(user)));
+};
+
+export const loadConfig = (env = process.env) => ({
+    apiKey: env.GEMINI_API_KEY || '',
+    users: parseAccessCodes(env.RUIDAI_ACCESS_CODES),
+    dailyLimit: Number(env.RUIDAI_DAILY_LIMIT) || DEFAULT_DAILY_LIMIT,
+    models: (env.RUIDAI_MODELS || '').split(',').map(m => m.trim()).filter(Boolean)
+});
+
+const json = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' }
+});
+
+// Error responses carry a message the app shows as is
+const fail = (status, error) => json(status, { error });
+
+const today = (now = new Date()) => now.toLocaleDateString('sv-SE', { timeZone: TIME_ZONE });
+
+// Access codes never appear in storage keys or logs
+const userKey = (code) => createHash('sha256').update(code).digest('hex').slice(0, 16);
+
+// The user behind the request's access code, or null
+const authenticate = (request, config) => {
+    const code = (request.headers.get('authorization') || '').replace(/^Bearer\s+/i, '').trim();
+    const user = code && config.users.get(code);
+    if (!user) return null;
+    return {
+        id: userKey(code),
+        name: user.name || 'unknown',
+        dailyLimit: Number(user.dailyLimit) || config.dailyLimit
+    };
+};
+
+const quotaKey = (user) => `ruidai:quota:${user.id}:${today()}`;
+
+// ========== Upstream ==========
+
+// Streamed responses end with this character and a JSON trailer: { usage }
+export const TRAILER_MARK = '\u0000';
+
+// Gemini REST streaming call; yields text pieces as they arrive and returns
+// the token counts { inputTokens, outputTokens }
+export const geminiUpstream = (config) => async function* ({ model, prompt, images, schema, signal }) {
+    const body = {
+        contents: [{
+            role: 'user',
+            parts: [
+                { text: prompt },
+                ...images.map(url => {
+                    const [, mimeType, data] = url.match(/^data:([^;]+);base64,(.*)$/) || [];
+                    return { inlineData: { mimeType, data } };
+                })
+            ]
+        }],
+        ...(schema ? { generationConfig: { responseMimeType: 'application/json', responseSchema: schema } } : {})
+    };
+    const res = await fetch(`${GEMINI_API}/models/${model}:streamGenerateContent?alt=sse`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey },
+        body: JSON.stringify(body),
+        signal
+    });
+    if (!res.ok) {
+        const detail = await res.json().catch(() => null);
+        const error = new Error(detail?.error?.message || `Gemini API HTTP ${res.status}`);
+        error.status = res.status;
+        throw error;
+    }
+
+    // Server-sent events: one "data: {...}" line per chunk
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let meta = {};
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (!line.startsWith('data:')) continue;
+            const chunk = JSON.parse(line.slice(5));
+            // Every chunk carries the running totals; the last one is final
+            if (chunk.usageMetadata) meta = chunk.usageMetadata;
+            const text = (chunk.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+            if (text) yield text;
+        }
+    }
+    return {
+        inputTokens: meta.promptTokenCount || 0,
+        outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+    };
+};
+
+// ========== Handlers ==========
+
+const validateBody = (body, config) => {
+    if (!body || typeof body.prompt !== 'string' || !body.prompt) return 'prompt がありません';
+    if (typeof body.model !== 'string' || !/^[\w.-]+$/.test(body.model)) return 'モデル名が正しくありません';
+    if (config.models.length > 0 && !config.models.includes(body.model)) {
+        return `このサーバーでは ${body.model} を使えません（${config.models.join(', ')}）`;
+    }
+    if (body.images !== undefined && !(Array.isArray(body.images) && body.images.every(i => typeof i === 'string'))) {
+        return 'images の形式が正しくありません';
+    }
+    return '';
+};
+
+// POST /api/generate { model, prompt, images, schema } → streamed text/plain,
+// followed by TRAILER_MARK and { usage } once the model is done
+export const handleGenerate = async (request, { config, store, upstream = geminiUpstream(config), now = () => Date.now() }) => {
+    const started = now();
+    const user = authenticate(request, config);
+    if (!user) return fail(401, 'アクセスコードが正しくありません');
+    if (!config.apiKey && upstream.requiresKey !== false) {
+        return fail(500, 'サーバーに GEMINI_API_KEY が設定されていません');
+    }
+    if (Number(request.headers.get('content-length')) > MAX_BODY_BYTES) {
+        return fail(413, '画像が大きすぎます。枚数を減らすか画像を小さくしてください');
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return fail(400, 'リクエストを JSON として読み込めません');
+    }
+    const invalid = validateBody(body, config);
+    if (invalid) return fail(400, invalid);
+
+    // Count the request up front so parallel requests cannot overshoot the quota.
+    // 403, not 429: the app retries 429 (a busy model), but the quota only
+    // resets tomorrow.
+    const key = quotaKey(user);
+    const used = await store.incr(key, QUOTA_TTL_SECONDS);
+    if (used > user.dailyLimit) {
+        await store.decr(key);
+        await logRequest(store, { user, model: body.model, status: 403, started, now });
+        return fail(403, `本日の利用上限（${user.dailyLimit}回）に達しました`);
+    }
+
+    const images = body.images || [];
+    const pieces = upstream({ model: body.model, prompt: body.prompt, images, schema: body.schema, signal: request.signal });
+
+    // Wait for the first piece so upstream errors still get a proper status
+    let first;
+    try {
+        first = await pieces.next();
+    } catch (e) {
+        await store.decr(key);
+        // Upstream 4xx (bad request, server key, unknown model) keep their
+        // status so the app does not retry them; 5xx and network errors are 502
+        const status = e.status >= 400 && e.status < 500 ? e.status : 502;
+        await logRequest(store, { user, model: body.model, status, started, now, error: e.message, images: images.length });
+        return fail(status, `生成に失敗しました: ${e.message}`);
+    }
+
+    const encoder = new TextEncoder();
+    let outputChars = 0;
+    let usage = null;
+    const stream = new ReadableStream({
+        async start(controller) {
+            let error = '';
+            try {
+                let step = first;
+                for (; !step.done; step = await pieces.next()) {
+                    outputChars += step.value.length;
+                    controller.enqueue(encoder.encode(step.value));
+                }
+                usage = step.value || null;
+                if (usage) controller.enqueue(encoder.encode(TRAILER_MARK + JSON.stringify({ usage })));
+                controller.close();
+            } catch (e) {
+                // Headers are already sent; breaking the stream tells the client
+                error = e.message;
+                controller.error(e);
+            }
+            await logRequest(store, {
+                user,
+                model: body.model,
+                status: error ? 502 : 200,
+                started,
+                now,
+                error,
+                images: images.length,
+                promptChars: body.prompt.length,
+                outputChars,
+                usage
+            });
+        },
+        cancel() {
+            pieces.return?.();
+        }
+    });
+    return new Response(stream, {
+        status: 200,
+        headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' }
+    });
+};
+
+// GET /api/usage → { name, used, limit, date }
+export const handleUsage = async (request, { config, store }) => {
+    const user = authenticate(request, config);
+    if (!user) return fail(401, 'アクセスコードが正しくありません');
+    return json(200, {
+        name: user.name,
+        used: await store.get(quotaKey(user)),
+        limit: user.dailyLimit,
+        date: today()
+    });
+};
+
+// One JSON line per request (Vercel keeps function logs), also kept in the store
+const logRequest = async (store, { user, model, status, started, now, error = '', images = 0, promptChars = 0, outputChars = 0, usage = null }) => {
+    const entry = {
+        type: 'ruidai.generate',
+        time: new Date(now()).toISOString(),
+        user: user.name,
+        userId: user.id,
+        model,
+        status,
+        ms: now() - started,
+        images,
+        promptChars,
+        outputChars,
+        ...(usage ? { inputTokens: usage.inputTokens, outputTokens: usage.outputTokens } : {}),
+        ...(error ? { error } : {})
+    };
+    console.log(JSON.stringify(entry));
+    try {
+        await store.log(entry);
+    } catch (e) {
+        console.error('Error storing request log:', e);
+    }
+};
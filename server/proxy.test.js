@@ -0,0 +1,65 @@
+// Run with `npm test` (node:test, no extra dependencies)
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, handleGenerate, handleUsage } from './proxy.js';
+import { memoryStore } from './store.js';
+
+const config = loadConfig({
+    GEMINI_API_KEY: 'test-key',
+    RUIDAI_ACCESS_CODES: JSON.stringify({ good: { name: '藍住', dailyLimit: 2 }, broken: 'not an object' })
+});
+
+const request = (code, body) => new Request('http://localhost/api/generate', {
+    method: body ? 'POST' : 'GET',
+    headers: { Authorization: `Bearer ${code}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+});
+
+const upstream = async function* () {
+    yield 'ok';
+    return { inputTokens: 1, outputTokens: 1 };
+};
+
+test('names on Object.prototype are not access codes', async () => {
+    for (const code of ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'broken']) {
+        const usage = await handleUsage(request(code), { config, store: memoryStore() });
+        assert.equal(usage.status, 401, `usage: ${code}`);
+        const generate = await handleGenerate(request(code, { model: 'gemini-2.5-flash', prompt: 'x' }), {
+            config,
+            store: memoryStore(),
+            upstream
+        });
+        assert.equal(generate.status, 401, `generate: ${code}`);
+    }
+});
+
+test('a configured code authenticates', async () => {
+    const res = await handleUsage(request('good'), { config, store: memoryStore() });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).name, '藍住');
+});
+
+test('a used-up quota answers 403, which the app does not retry', async () => {
+    const store = memoryStore();
+    const body = { model: 'gemini-2.5-flash', prompt: 'x' };
+    for (let i = 0; i < 2; i++) {
+        const res = await handleGenerate(request('good', body), { config, store, upstream });
+        assert.equal(res.status, 200);
+        await res.text();
+    }
+    const res = await handleGenerate(request('good', body), { config, store, upstream });
+    assert.equal(res.status, 403);
+});
+
+test('upstream 4xx errors keep their status; 5xx and network errors become 502', async () => {
+    const body = { model: 'gemini-2.5-flash', prompt: 'x' };
+    const failing = (status) => async function* () {
+        const error = new Error(`upstream ${status}`);
+        if (status) error.status = status;
+        throw error;
+    };
+    for (const [upstreamStatus, expected] of [[400, 400], [404, 404], [503, 502], [0, 502]]) {
+        const res = await handleGenerate(request('good', body), { config, store: memoryStore(), upstream: failing(upstreamStatus) });
+        assert.equal(res.status, expected, `upstream ${upstreamStatus}`);
+    }
+});
@@ -0,0 +1,78 @@
+// Counters and request logs for the generation proxy
+// store = { incr(key, ttlSeconds) → count, decr(key), get(key) → count, log(entry) }
+//
+// On Vercel, quotas need storage shared by all function instances: set
+// KV_REST_API_URL / KV_REST_API_TOKEN (Vercel KV or any Upstash Redis).
+// Without them the in-memory store is used, which is fine for the local
+// stand-in server but resets whenever a function instance is recycled.
+
+const LOG_KEY = 'ruidai:log';
+const LOG_LIMIT = 1000;
+
+export const memoryStore = () => {
+    const counters = new Map();
+    const logs = [];
+    return {
+        async incr(key) {
+            const value = (counters.get(key) || 0) + 1;
+            counters.set(key, value);
+            return value;
+        },
+        async decr(key) {
+            counters.set(key, Math.max(0, (counters.get(key) || 0) - 1));
+        },
+        async get(key) {
+            return counters.get(key) || 0;
+        },
+        async log(entry) {
+            logs.unshift(entry);
+            logs.length = Math.min(logs.length, LOG_LIMIT);
+        },
+        logs
+    };
+};
+
+// Upstash Redis REST API (what Vercel KV uses)
+export const redisStore = ({ url, token }) => {
+    const pipeline = async (commands) => {
+        const res = await fetch(`${url.replace(/\/+$/, '')}/pipeline`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(commands)
+        });
+        if (!res.ok) throw new Error(`KV HTTP ${res.status}`);
+        const results = await res.json();
+        const failed = results.find(r => r.error);
+        if (failed) throw new Error(`KV ${failed.error}`);
+        return results.map(r => r.result);
+    };
+
+    return {
+        async incr(key, ttlSeconds) {
+            const [value] = await pipeline([['INCR', key], ['EXPIRE', key, String(ttlSeconds)]]);
+            return Number(value);
+        },
+        async decr(key) {
+            await pipeline([['DECR', key]]);
+        },
+        async get(key) {
+            const [value] = await pipeline([['GET', key]]);
+            return Number(value) || 0;
+        },
+        async log(entry) {
+            await pipeline([['LPUSH', LOG_KEY, JSON.stringify(entry)], ['LTRIM', LOG_KEY, '0', String(LOG_LIMIT - 1)]]);
+        }
+    };
+};
+
+let shared = null;
+
+// One store per process, chosen from the environment
+export const getStore = (env = process.env) => {
+    if (!shared) {
+        shared = env.KV_REST_API_URL && env.KV_REST_API_TOKEN
+            ? redisStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN })
+            : memoryStore();
+    }
+    return shared;
+};
@@ -1,20 +1,120 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { renderToStaticMarkup } from 'react-dom/server';
-import { GoogleGenerativeAI } from "@google/generative-ai";
-import ReactMarkdown from 'react-markdown';
-import remarkMath from 'remark-math';
-import rehypeKatex from 'rehype-katex';
-import ReactCrop from 'react-image-crop';
-import 'react-image-crop/dist/ReactCrop.css';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import LibraryModal from './components/LibraryModal';
+import Markdown from './components/Markdown';
+import SheetView from './components/SheetView';
+import SheetEditor from './components/SheetEditor';
+import BatchModal from './components/BatchModal';
+import RosterModal from './components/RosterModal';
+import GradingModal from './components/GradingModal';
+import PdfPageModal from './components/PdfPageModal';
+import ImageGrid from './components/ImageGrid';
+import CropModal from './components/CropModal';
+import TemplateModal from './components/TemplateModal';
+import TierModal from './components/TierModal';
+import PrintLayoutModal from './components/PrintLayoutModal';
+import ExportModal from './components/ExportModal';
+import BrandingModal from './components/BrandingModal';
+import VariantModal from './components/VariantModal';
+import MultipleChoiceModal from './components/MultipleChoiceModal';
+import BackupModal from './components/BackupModal';
+import UsageModal from './components/UsageModal';
+import TagEditor from './components/TagEditor';
+import useBatchQueue from './hooks/useBatchQueue';
+import useOutbox from './hooks/useOutbox';
+import useImageSources from './hooks/useImageSources';
+import {
+    getAllSheets,
+    putSheet,
+    removeSheet,
+    newSheetId,
+    newRecordId,
+    getAllStudents,
+    getAllAssignments,
+    putAssignment
+} from './lib/db';
+import {
+    PROBLEM_SCHEMA,
+    parseProblemJson,
+    replaceProblem,
+    applyMarkdownEdit,
+    partialSheetData,
+    sheetToMarkdown,
+    sheetDataFromSaved,
+    hasChoices
+} from './lib/sheetModel';
+import {
+    PROVIDERS,
+    getProvider,
+    loadProviderSettings,
+    saveProviderSettings,
+    loadProviderId,
+    saveProviderId
+} from './lib/providers';
+import { resilientProvider } from './lib/providers/resilient';
+import { loadUsageSettings, saveUsageSettings } from './lib/usage';
+import { suggestTitle } from './lib/curriculum';
+import { getProblemAction, buildProblemPrompt } from './lib/problemActions';
+import { verifySheetOfSubject } from './lib/verify';
+import { generateSheet } from './lib/generate';
+import { loadTiers, saveTiers, tierLabels } from './lib/tiers';
+import {
+    GRADE_OPTIONS,
+    getTemplate,
+    loadTemplates,
+    saveTemplates,
+    loadTemplateSelection,
+    saveTemplateSelection
+} from './lib/templates';
+import { ACCEPTED_FILE_TYPES, isPdfFile, isImageFile, readImageFile, openPdf } from './lib/files';
+import { prepareImportedImage } from './lib/imageProcessing';
+import { GRADING_SCHEMA, buildGradingPrompt, parseGradingJson } from './lib/grading';
+import { renderSheetPrint, openPrintWindow } from './lib/print';
+import { loadPrintLayout, savePrintLayout } from './lib/printLayout';
+import { exportSheet } from './lib/exportFiles';
+import { loadBranding, saveBranding, activeProfile } from './lib/branding';
+import { originalVariant, generateVariant, VARIANT_LABELS } from './lib/variants';
+import {
+    convertToMultipleChoice,
+    convertVariantLike,
+    convertProblemLike,
+    removeChoices,
+    isMultipleChoice
+} from './lib/multipleChoice';
+import {
+    loadBackupReminder,
+    saveBackupReminder,
+    lastBackupAt,
+    backupReminderDue,
+    snoozeBackupReminder
+} from './lib/backup';
 import 'katex/dist/katex.min.css';
 import './App.css';
 
 function App() {
-    const [images, setImages] = useState([]);
-    const [result, setResult] = useState("");
+    // Problem images and their source grouping (see useImageSources)
+    const {
+        images,
+        meta: imageMeta,
+        addImages,
+        removeImage,
+        moveImage,
+        setImageSource,
+        resetImages
+    } = useImageSources();
+    const [sheetData, setSheetData] = useState(null);
+    // Subject of the template the open sheet was made with (the picker may
+    // have moved on since)
+    const [sheetSubject, setSheetSubject] = useState('');
     const [loading, setLoading] = useState(false);
-    const [apiKey, setApiKey] = useState(localStorage.getItem('ruidai_api_key') || "");
-    const [model, setModel] = useState(localStorage.getItem('ruidai_model') || "gemini-3-flash-preview");
+    // Streaming: raw text received so far, and details of an interrupted run
+    const [streamText, setStreamText] = useState("");
+    const [interruption, setInterruption] = useState(null);
+    const abortRef = useRef(null);
+    // Index of the problem a per-problem action is currently rewriting
+    const [busyProblemIndex, setBusyProblemIndex] = useState(null);
+    const [isEditing, setIsEditing] = useState(false);
+    const [providerId, setProviderId] = useState(loadProviderId);
+    const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
     const [isSettingsOpen, setIsSettingsOpen] = useState(false);
     const [isCameraOpen, setIsCameraOpen] = useState(false);
     const [questionCount, setQuestionCount] = useState(3);
@@ -22,6 +122,38 @@ function App() {
     const [studentName, setStudentName] = useState(localStorage.getItem('ruidai_student') || "");
     const [instructorName, setInstructorName] = useState(localStorage.getItem('ruidai_instructor') || "");
 
+    // Prompt templates: { templateId, grade } picks the template and fills {{grade}}
+    const [templates, setTemplates] = useState(loadTemplates);
+    const [templateSelection, setTemplateSelection] = useState(loadTemplateSelection);
+    const [showTemplateModal, setShowTemplateModal] = useState(false);
+    const activeTemplate = getTemplate(templates, templateSelection.templateId);
+    const { grade } = templateSelection;
+
+    // Tiered sets: questionCount problems per tier (基礎・標準・発展)
+    const [tieredMode, setTieredMode] = useState(false);
+    const [tiers, setTiers] = useState(loadTiers);
+    const [showTierModal, setShowTierModal] = useState(false);
+    // Tier printed by the print buttons ('' = all)
+    const [printLevel, setPrintLevel] = useState('');
+    const [printLayout, setPrintLayout] = useState(loadPrintLayout);
+    const [showPrintLayoutModal, setShowPrintLayoutModal] = useState(false);
+    const [showExportModal, setShowExportModal] = useState(false);
+
+    // Campus branding for printed / exported sheets
+    const [branding, setBranding] = useState(loadBranding);
+    const [showBrandingModal, setShowBrandingModal] = useState(false);
+    const brandProfile = activeProfile(branding);
+
+    // A/B versions B, C, … of the current sheet (A is sheetData itself)
+    const [variants, setVariants] = useState([]);
+    const [printVariant, setPrintVariant] = useState('all');
+    const [variantProgress, setVariantProgress] = useState(null);
+    const [showVariantModal, setShowVariantModal] = useState(false);
+
+    // Multiple-choice conversion of the current sheet
+    const [showChoiceModal, setShowChoiceModal] = useState(false);
+    const [convertingChoices, setConvertingChoices] = useState(false);
+
     // Sheet info
     const [sheetTitle, setSheetTitle] = useState("");
     const [assignDate, setAssignDate] = useState(new Date().toISOString().split('T')[0]);
@@ -30,63 +162,195 @@ function App() {
     // Saved sheets
     const [savedSheets, setSavedSheets] = useState([]);
     const [showSavedListModal, setShowSavedListModal] = useState(false);
+    const [currentSheetId, setCurrentSheetId] = useState(null);
+
+    // Workspace backup and the reminder to make one
+    const [showBackupModal, setShowBackupModal] = useState(false);
+    const [showUsageModal, setShowUsageModal] = useState(false);
+    const [usageSettings, setUsageSettings] = useState(loadUsageSettings);
+    // Shown while a busy model is being retried: { model, attempt, maxRetries, delayMs, fallback }
+    const [retryNotice, setRetryNotice] = useState(null);
+    const [backupReminder, setBackupReminder] = useState(loadBackupReminder);
+    const [lastBackup, setLastBackup] = useState(lastBackupAt);
+
+    // Batch generation
+    const [showBatchModal, setShowBatchModal] = useState(false);
+
+    // Student roster
+    const [students, setStudents] = useState([]);
+    const [showRosterModal, setShowRosterModal] = useState(false);
+
+    // Grading: answer photos go to gradingImages while the grading modal is in use
+    const [showGradingModal, setShowGradingModal] = useState(false);
+    const [gradingImages, setGradingImages] = useState([]);
+    const captureTargetRef = useRef('source');
 
     // Cropping state
     const [tempImage, setTempImage] = useState(null);
     const [showCropModal, setShowCropModal] = useState(false);
-    const [crop, setCrop] = useState({ unit: '%', width: 90, height: 90, x: 5, y: 5 });
-    const [completedCrop, setCompletedCrop] = useState(null);
-    const cropImageRef = useRef(null);
+
+    // File import (picker / drag-and-drop). PDFs wait here for page selection.
+    const fileInputRef = useRef(null);
+    const [pdfImports, setPdfImports] = useState([]);
+    const [importing, setImporting] = useState(false);
+    // PDF rendering progress (0–1): thumbnails on import, picked pages on add
+    const [pdfProgress, setPdfProgress] = useState(null);
+    const [dragActive, setDragActive] = useState(false);
 
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
     const [mediaStream, setMediaStream] = useState(null);
 
-    const PRESETS = [
-        { label: "難しめ", value: "難易度を少し上げて" },
-        { label: "計算重視", value: "途中式を詳しく書いて" },
-        { label: "解説重視", value: "解説を詳しくして" },
-    ];
+    // Markdown view of the current sheet, rendered from the data model
+    const result = useMemo(() => (sheetData ? sheetToMarkdown(sheetData) : ''), [sheetData]);
+
+    // Local CAS check of every stated answer; reruns whenever the sheet changes
+    const verification = useMemo(
+        () => (sheetData ? verifySheetOfSubject(sheetData, sheetSubject) : null),
+        [sheetData, sheetSubject]
+    );
+
+    // Partial sheet rendered while a response is still streaming in
+    const streamingMarkdown = useMemo(() => {
+        if (!streamText) return '';
+        const { data } = partialSheetData(streamText);
+        return data ? sheetToMarkdown(data) : '';
+    }, [streamText]);
+
+    // Instruction chips come from the selected template
+    const PRESETS = activeTemplate.presets;
 
-    // Load saved sheets from localStorage on mount
+    // Load saved sheets and the roster from IndexedDB on mount
     useEffect(() => {
-        const saved = localStorage.getItem('ruidai_saved_sheets');
-        if (saved) {
-            try {
-                setSavedSheets(JSON.parse(saved));
-            } catch (e) {
-                console.error('Error loading saved sheets:', e);
-            }
-        }
+        getAllSheets()
+            .then(setSavedSheets)
+            .catch(e => console.error('Error loading saved sheets:', e));
+        getAllStudents()
+            .then(setStudents)
+            .catch(e => console.error('Error loading students:', e));
     }, []);
 
+    // Every request goes through retries / fallback and is recorded for the usage screen
+    const provider = useMemo(() => resilientProvider(getProvider(providerId), {
+        usageSettings,
+        context: () => ({ instructor: instructorName, campus: brandProfile.name }),
+        onRetry: setRetryNotice
+    }), [providerId, usageSettings, instructorName, brandProfile.name]);
+    const currentProviderSettings = providerSettings[provider.id];
+
+    useEffect(() => {
+        saveUsageSettings(usageSettings);
+    }, [usageSettings]);
+
+    useEffect(() => {
+        if (!loading) setRetryNotice(null);
+    }, [loading]);
+
+    // Today's usage for providers with a quota, shown in the settings modal
+    const [providerUsage, setProviderUsage] = useState(null);
+    useEffect(() => {
+        setProviderUsage(null);
+        if (!isSettingsOpen || !provider.usage || !currentProviderSettings.apiKey) return;
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            provider.usage(currentProviderSettings)
+                .then(usage => { if (!cancelled) setProviderUsage(usage); })
+                .catch(e => { if (!cancelled) setProviderUsage({ error: e.message }); });
+        }, 500);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [isSettingsOpen, provider, currentProviderSettings]);
+
+    const updateProviderSetting = (key, value) => {
+        setProviderSettings(prev => ({
+            ...prev,
+            [provider.id]: { ...prev[provider.id], [key]: value }
+        }));
+    };
+
     // Save settings to localStorage
     useEffect(() => {
-        localStorage.setItem('ruidai_api_key', apiKey);
-        localStorage.setItem('ruidai_model', model);
+        saveProviderId(providerId);
+        saveProviderSettings(providerSettings);
         localStorage.setItem('ruidai_student', studentName);
         localStorage.setItem('ruidai_instructor', instructorName);
-    }, [apiKey, model, studentName, instructorName]);
+    }, [providerId, providerSettings, studentName, instructorName]);
+
+    useEffect(() => {
+        saveTemplates(templates);
+    }, [templates]);
+
+    useEffect(() => {
+        saveTemplateSelection(templateSelection);
+    }, [templateSelection]);
+
+    useEffect(() => {
+        saveTiers(tiers);
+    }, [tiers]);
+
+    useEffect(() => {
+        savePrintLayout(printLayout);
+    }, [printLayout]);
+
+    useEffect(() => {
+        saveBranding(branding);
+    }, [branding]);
+
+    useEffect(() => {
+        saveBackupReminder(backupReminder);
+    }, [backupReminder]);
 
-    // Save current sheet to localStorage
-    const saveSheet = () => {
+    const backupDue = backupReminderDue(backupReminder, lastBackup, savedSheets.length);
+
+    const selectTemplate = (templateId) => setTemplateSelection(prev => ({ ...prev, templateId }));
+    const selectGrade = (value) => setTemplateSelection(prev => ({ ...prev, grade: value }));
+
+    // Picking a roster student also picks their grade
+    const changeStudentName = (name) => {
+        setStudentName(name);
+        const student = students.find(s => s.name === name);
+        if (student?.gradeLevel) selectGrade(student.gradeLevel);
+    };
+
+    // Save current sheet to IndexedDB (overwrites the sheet that is currently open)
+    const saveSheet = async () => {
         if (!result) {
             alert('保存する内容がありません');
             return;
         }
-        const newSheet = {
-            id: Date.now(),
-            title: sheetTitle || '無題',
+        const existing = savedSheets.find(s => s.id === currentSheetId);
+        const now = new Date().toISOString();
+        const sheet = {
+            id: existing ? existing.id : newSheetId(),
+            title: sheetTitle || suggestTitle(sheetData) || '無題',
             studentName,
             instructorName,
             assignDate,
             dueDate,
+            data: sheetData,
             result,
-            createdAt: new Date().toISOString()
+            images,
+            imageMeta,
+            variants,
+            templateId: activeTemplate.id,
+            subject: sheetSubject,
+            grade,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
         };
-        const updatedSheets = [...savedSheets, newSheet];
-        setSavedSheets(updatedSheets);
-        localStorage.setItem('ruidai_saved_sheets', JSON.stringify(updatedSheets));
+        try {
+            await putSheet(sheet);
+        } catch (e) {
+            console.error('Error saving sheet:', e);
+            alert(`保存に失敗しました: ${e.message}`);
+            return;
+        }
+        setSavedSheets(prev => existing
+            ? prev.map(s => s.id === sheet.id ? sheet : s)
+            : [...prev, sheet]);
+        setCurrentSheetId(sheet.id);
         alert('保存しました！');
     };
 
@@ -97,16 +361,53 @@ function App() {
         setInstructorName(sheet.instructorName || '');
         setAssignDate(sheet.assignDate || '');
         setDueDate(sheet.dueDate || '');
-        setResult(sheet.result);
+        setSheetData(sheetDataFromSaved(sheet));
+        setSheetSubject(sheet.subject ?? templates.find(t => t.id === sheet.templateId)?.subject ?? '');
+        setPrintLevel('');
+        setVariants(sheet.variants || []);
+        setPrintVariant('all');
+        resetImages(sheet.images || [], sheet.imageMeta);
+        if (sheet.templateId || sheet.grade) {
+            setTemplateSelection(prev => ({
+                templateId: templates.some(t => t.id === sheet.templateId) ? sheet.templateId : prev.templateId,
+                grade: sheet.grade || prev.grade
+            }));
+        }
+        setCurrentSheetId(sheet.id);
         setShowSavedListModal(false);
     };
 
+    // Duplicate a saved sheet as a new sheet
+    const duplicateSheet = async (sheet) => {
+        const now = new Date().toISOString();
+        const copy = {
+            ...sheet,
+            id: newSheetId(),
+            title: `${sheet.title || '無題'} (コピー)`,
+            createdAt: now,
+            updatedAt: now
+        };
+        try {
+            await putSheet(copy);
+            setSavedSheets(prev => [...prev, copy]);
+        } catch (e) {
+            console.error('Error duplicating sheet:', e);
+            alert(`複製に失敗しました: ${e.message}`);
+        }
+    };
+
     // Delete a saved sheet
-    const deleteSheet = (id) => {
+    const deleteSheet = async (id) => {
         if (!confirm('この問題シートを削除しますか？')) return;
-        const updatedSheets = savedSheets.filter(s => s.id !== id);
-        setSavedSheets(updatedSheets);
-        localStorage.setItem('ruidai_saved_sheets', JSON.stringify(updatedSheets));
+        try {
+            await removeSheet(id);
+        } catch (e) {
+            console.error('Error deleting sheet:', e);
+            alert(`削除に失敗しました: ${e.message}`);
+            return;
+        }
+        setSavedSheets(prev => prev.filter(s => s.id !== id));
+        if (id === currentSheetId) setCurrentSheetId(null);
     };
 
     // Initialize camera when isCameraOpen changes
@@ -168,55 +469,115 @@ function App() {
         }
     };
 
-    // Get cropped image from canvas
-    const getCroppedImage = useCallback(() => {
-        if (!completedCrop || !cropImageRef.current) return null;
-
-        const image = cropImageRef.current;
-        const canvas = document.createElement('canvas');
-        const scaleX = image.naturalWidth / image.width;
-        const scaleY = image.naturalHeight / image.height;
-
-        canvas.width = completedCrop.width * scaleX;
-        canvas.height = completedCrop.height * scaleY;
+    // Images are added to the grading answers while the grading flow is active.
+    // Every image (crop region, PDF page) is its own source unless the teacher
+    // merged them in the crop modal; the image grid can regroup them later.
+    const addCapturedImages = (newImages, labels, { sameSource = false } = {}) => {
+        if (captureTargetRef.current === 'grading') {
+            setGradingImages(prev => [...prev, ...newImages]);
+        } else {
+            addImages(newImages, { labels, sameSource });
+        }
+    };
 
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(
-            image,
-            completedCrop.x * scaleX,
-            completedCrop.y * scaleY,
-            completedCrop.width * scaleX,
-            completedCrop.height * scaleY,
-            0,
-            0,
-            canvas.width,
-            canvas.height
-        );
+    const addCapturedImage = (image) => addCapturedImages([image]);
 
-        return canvas.toDataURL('image/png');
-    }, [completedCrop]);
+    // Bring the grading modal back once a capture started from it is finished
+    const finishCapture = () => {
+        if (captureTargetRef.current === 'grading') setShowGradingModal(true);
+    };
 
-    const confirmCrop = () => {
-        const croppedImage = getCroppedImage();
-        if (croppedImage) {
-            setImages(prev => [...prev, croppedImage]);
-        } else if (tempImage) {
-            // If no crop, use original
-            setImages(prev => [...prev, tempImage]);
-        }
+    // The crop modal hands back one cropped, rotated and preprocessed image
+    // per region
+    const confirmCrop = (croppedImages, labels, options) => {
+        addCapturedImages(croppedImages, labels, options);
         setShowCropModal(false);
         setTempImage(null);
-        setCompletedCrop(null);
+        finishCapture();
     };
 
     const cancelCrop = () => {
         setShowCropModal(false);
         setTempImage(null);
-        setCompletedCrop(null);
+        finishCapture();
     };
 
-    const deleteImage = (index) => {
-        setImages(prev => prev.filter((_, i) => i !== index));
+    const closeCamera = () => {
+        stopCamera();
+        finishCapture();
+    };
+
+    // Add picked or dropped files: images go in with the saved preprocess
+    // settings, PDFs get page thumbnails and are queued for page selection
+    const importFiles = async (fileList) => {
+        const files = Array.from(fileList || []);
+        const unsupported = files.filter(f => !isImageFile(f) && !isPdfFile(f));
+        if (unsupported.length > 0) {
+            alert(`対応していないファイルです: ${unsupported.map(f => f.name).join(', ')}`);
+        }
+
+        setImporting(true);
+        for (const file of files) {
+            let pdf = null;
+            try {
+                if (isImageFile(file)) {
+                    addCapturedImage(await prepareImportedImage(await readImageFile(file)));
+                } else if (isPdfFile(file)) {
+                    setPdfProgress(0);
+                    pdf = await openPdf(file);
+                    const thumbnails = await pdf.thumbnails({ onProgress: setPdfProgress });
+                    setPdfImports(prev => [...prev, { id: newRecordId(), fileName: file.name, pdf, thumbnails }]);
+                }
+            } catch (err) {
+                console.error("File import failed:", err);
+                pdf?.close();
+                alert("ファイルの読み込みに失敗しました。詳細: " + err.message);
+            } finally {
+                setPdfProgress(null);
+            }
+        }
+        setImporting(false);
+    };
+
+    const openFilePicker = () => fileInputRef.current?.click();
+
+    const handleFileInput = (e) => {
+        importFiles(e.target.files);
+        // Allow picking the same file again
+        e.target.value = '';
+    };
+
+    const handleDragOver = (e) => {
+        e.preventDefault();
+        setDragActive(true);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setDragActive(false);
+        importFiles(e.dataTransfer.files);
+    };
+
+    const closePdfImport = () => {
+        pdfImports[0].pdf.close();
+        setPdfImports(prev => prev.slice(1));
+    };
+
+    // Render the picked pages at full size, then add them preprocessed
+    const addPdfPages = async (indices) => {
+        setPdfProgress(0);
+        try {
+            const pages = await pdfImports[0].pdf.pages(indices, { onProgress: setPdfProgress });
+            const images = [];
+            for (const page of pages) images.push(await prepareImportedImage(page));
+            addCapturedImages(images);
+            closePdfImport();
+        } catch (err) {
+            console.error("PDF page rendering failed:", err);
+            alert("ページの読み込みに失敗しました。詳細: " + err.message);
+        } finally {
+            setPdfProgress(null);
+        }
     };
 
     // Long press timer ref
@@ -269,12 +630,13 @@ function App() {
 
             for (const item of items) {
                 if (item.type.indexOf('image') === 0) {
-                    const blob = item.getAsFile();
-                    const reader = new FileReader();
-                    reader.onload = (event) => {
-                        setImages(prev => [...prev, event.target.result]);
-                    };
-                    reader.readAsDataURL(blob);
+                    readImageFile(item.getAsFile())
+                        .then(prepareImportedImage)
+                        .then(addCapturedImage)
+                        .catch(err => {
+                            console.error("Paste failed:", err);
+                            alert("貼り付けた画像を読み込めませんでした。詳細: " + err.message);
+                        });
                 }
             }
         };
@@ -283,381 +645,488 @@ function App() {
         return () => window.removeEventListener('paste', handlePaste);
     }, []);
 
-    const handleGenerate = async () => {
-        if (images.length === 0) return;
-        if (!apiKey) {
-            alert("APIキーを入力してください");
+    // Stream a sheet into the result panel. `keptProblems` are prepended to
+    // whatever the model returns (used when resuming an interrupted run).
+    // `tierSetup` = { tiers, perTier } for a tiered set.
+    const streamSheet = async (count, keptProblems = [], tierSetup = null) => {
+        if (provider.needsApiKey && !currentProviderSettings.apiKey) {
+            alert(`${provider.apiKeyLabel || "APIキー"}を入力してください`);
             setIsSettingsOpen(true);
             return;
         }
 
+        const controller = new AbortController();
+        abortRef.current = controller;
+        let received = '';
+        setStreamText('');
+        setInterruption(null);
         setLoading(true);
         try {
-            const genAI = new GoogleGenerativeAI(apiKey);
-            const genModel = genAI.getGenerativeModel({ model });
-
-            const imagesParts = images.map(img => ({
-                inlineData: {
-                    data: img.split(',')[1],
-                    mimeType: "image/png"
+            const data = await generateSheet({
+                provider,
+                settings: currentProviderSettings,
+                images,
+                imageMeta,
+                template: activeTemplate,
+                grade,
+                count,
+                customInstructions,
+                keptProblems,
+                ...tierSetup,
+                signal: controller.signal,
+                onChunk: (piece) => {
+                    received += piece;
+                    setStreamText(received);
                 }
-            }));
+            });
+            setSheetData(data);
+            setSheetSubject(activeTemplate.subject);
+            setPrintLevel('');
+            setVariants([]);
+            // A fresh result is a new sheet, not an edit of the one that was open
+            setCurrentSheetId(null);
+        } catch (error) {
+            const stopped = controller.signal.aborted;
+            if (!stopped) console.error(error);
+
+            // Keep whatever arrived so far and offer to continue from it
+            const { data, completeProblems } = partialSheetData(received);
+            const doneProblems = [...keptProblems, ...completeProblems];
+            if (!data && doneProblems.length === 0) {
+                if (!stopped) alert(`生成に失敗しました: ${error.message}`);
+                return;
+            }
+            setSheetData({
+                problems: [...keptProblems, ...(data ? data.problems : [])],
+                instructorGuide: data ? data.instructorGuide : { teachingPoints: '', pitfalls: '' },
+                tags: data ? data.tags : [],
+                ...(tierSetup ? { tiers: tierLabels(tierSetup.tiers) } : {})
+            });
+            setSheetSubject(activeTemplate.subject);
+            setVariants([]);
+            setCurrentSheetId(null);
+            setInterruption({
+                stopped,
+                message: stopped ? '' : error.message,
+                doneProblems,
+                remaining: Math.max(0, keptProblems.length + count - doneProblems.length),
+                tierSetup
+            });
+        } finally {
+            abortRef.current = null;
+            setStreamText('');
+            setLoading(false);
+        }
+    };
 
-            const prompt = `あなたは中学生向けの教育のプロフェッショナルです。添付された問題画像を分析し、類似した${questionCount}問の問題を作成してください。
+    const handleGenerate = () => {
+        if (images.length === 0) return;
+        if (!navigator.onLine && !provider.offline) {
+            addToOutbox();
+            return;
+        }
+        if (tieredMode) {
+            streamSheet(questionCount * tiers.length, [], { tiers, perTier: questionCount });
+        } else {
+            streamSheet(questionCount);
+        }
+    };
 
-${customInstructions ? `追加指示: ${customInstructions}` : ''}
+    const stopGeneration = () => {
+        if (abortRef.current) abortRef.current.abort();
+    };
 
-【絶対厳守】数式の書き方：
-- 数式は必ず LaTeX 形式で書いてください
-- 数式の前後にはスペースを入れてください
-- 例: 答えは $x = 3$ です。（正しい）
-- 例: 答えは$x=3$です。（間違い - スペースがない）
-- 複数の解がある場合: $x = 3$ または $x = -5$
-- 平方根: $\\sqrt{2}$ や $\\sqrt{x+1}$
-- 分数: $\\frac{1}{2}$ や $\\frac{a}{b}$
-- べき乗: $x^2$ や $a^3$
-- 因数分解: $(x + 5)(x - 3) = 0$
-- 必ず $ の前後にスペースを入れてください
-- 化学式（例: $ZnSO_4$）などは途中で改行しないでください
+    const resumeGeneration = () => {
+        if (!interruption) return;
+        if (interruption.remaining === 0) {
+            setInterruption(null);
+            return;
+        }
+        streamSheet(interruption.remaining, interruption.doneProblems, interruption.tierSetup);
+    };
 
-以下の形式で出力してください：
+    // Regenerate / adjust a single problem and splice it back into the sheet
+    const handleProblemAction = async (index, actionId) => {
+        const action = getProblemAction(actionId);
+        if (!sheetData || !action) return;
+        if (provider.needsApiKey && !currentProviderSettings.apiKey) {
+            alert(`${provider.apiKeyLabel || "APIキー"}を入力してください`);
+            setIsSettingsOpen(true);
+            return;
+        }
 
-## 問題
+        // A tiered sheet keeps its labels; what each level means comes from the tier settings
+        const level = sheetData.problems[index].level;
+        const tierLabel = level && sheetData.tiers?.find(t => t.id === level);
+        const tier = tierLabel && { ...tiers.find(t => t.id === level), ...tierLabel };
 
-### 問題1
-[問題文をここに書く]
+        setBusyProblemIndex(index);
+        try {
+            const text = await provider.generate({
+                settings: currentProviderSettings,
+                prompt: buildProblemPrompt(sheetData.problems[index], index, action, customInstructions, {
+                    grade,
+                    subject: activeTemplate.subject,
+                    tier
+                }),
+                images,
+                schema: PROBLEM_SCHEMA
+            });
+            let problem = parseProblemJson(text, index);
+            // A multiple-choice problem gets new options for its new answer
+            const previous = sheetData.problems[index];
+            if (hasChoices(previous)) {
+                problem = await convertProblemLike({
+                    provider,
+                    settings: currentProviderSettings,
+                    problem,
+                    previous,
+                    data: sheetData,
+                    grade,
+                    subject: activeTemplate.subject
+                });
+            }
+            setSheetData(prev => replaceProblem(prev, index, problem));
+        } catch (error) {
+            console.error(error);
+            alert(`問題${index + 1}の作り直しに失敗しました: ${error.message}`);
+        } finally {
+            setBusyProblemIndex(null);
+        }
+    };
 
-### 問題2
-[問題文をここに書く]
+    // ========== A/B Versions ==========
+    // Make versions B, C, … up to `total` versions, replacing any made before
+    const makeVariants = async (total) => {
+        if (!sheetData) return;
+        if (provider.needsApiKey && !currentProviderSettings.apiKey) {
+            alert(`${provider.apiKeyLabel || "APIキー"}を入力してください`);
+            setIsSettingsOpen(true);
+            return;
+        }
 
-(以下同様)
+        const made = [];
+        const takenOrders = [originalVariant(sheetData).order];
+        setVariantProgress({ done: 0, total: total - 1 });
+        try {
+            for (const label of VARIANT_LABELS.slice(1, total)) {
+                let variant = await generateVariant({
+                    provider,
+                    settings: currentProviderSettings,
+                    images,
+                    data: sheetData,
+                    label,
+                    takenOrders,
+                    grade,
+                    subject: activeTemplate.subject
+                });
+                // Versions of a multiple-choice sheet are multiple choice too
+                if (isMultipleChoice(sheetData)) {
+                    variant = await convertVariantLike({
+                        provider,
+                        settings: currentProviderSettings,
+                        variant,
+                        original: sheetData,
+                        grade,
+                        subject: activeTemplate.subject
+                    });
+                }
+                takenOrders.push(variant.order);
+                made.push(variant);
+                setVariantProgress({ done: made.length, total: total - 1 });
+            }
+            setVariants(made);
+            setPrintVariant('all');
+        } catch (error) {
+            console.error(error);
+            alert(`${VARIANT_LABELS[made.length + 1]}版の作成に失敗しました: ${error.message}`);
+        } finally {
+            setVariantProgress(null);
+        }
+    };
 
----
+    const clearVariants = () => {
+        if (!confirm('B版以降を削除しますか？')) return;
+        setVariants([]);
+    };
 
-## 解答・解説
+    // ========== Multiple Choice ==========
+    const makeMultipleChoice = async (distractorCount) => {
+        if (!sheetData) return;
+        if (provider.needsApiKey && !currentProviderSettings.apiKey) {
+            alert(`${provider.apiKeyLabel || "APIキー"}を入力してください`);
+            setIsSettingsOpen(true);
+            return;
+        }
 
-### 問題1の解答
-**答え:** $x = [値]$
-**解説:**
-1. [ステップ1]
-2. [ステップ2]
-...
+        setConvertingChoices(true);
+        try {
+            const data = await convertToMultipleChoice({
+                provider,
+                settings: currentProviderSettings,
+                data: sheetData,
+                grade,
+                subject: activeTemplate.subject,
+                distractorCount
+            });
+            // B, C, … are converted too so a class set never mixes formats
+            const converted = [];
+            for (const variant of variants) {
+                converted.push(await convertVariantLike({
+                    provider,
+                    settings: currentProviderSettings,
+                    variant,
+                    original: data,
+                    grade,
+                    subject: activeTemplate.subject
+                }));
+            }
+            setSheetData(data);
+            setVariants(converted);
+            setShowChoiceModal(false);
+        } catch (error) {
+            console.error(error);
+            alert(`選択式への変換に失敗しました: ${error.message}`);
+        } finally {
+            setConvertingChoices(false);
+        }
+    };
 
-### 問題2の解答
-**答え:** $x = [値]$
-**解説:**
-1. [ステップ1]
-2. [ステップ2]
-...
+    const clearMultipleChoice = () => {
+        if (!confirm('選択肢を削除して記述式に戻しますか？')) return;
+        setSheetData(prev => removeChoices(prev));
+        setVariants(prev => prev.map(v => ({ ...v, data: removeChoices(v.data) })));
+        setShowChoiceModal(false);
+    };
 
-(以下同様)
+    // ========== Backup ==========
+    // Settings live in React state, so reload to pick up everything imported
+    const handleBackupImported = (written) => {
+        alert(`${written}件を取り込みました。アプリを再読み込みします。`);
+        window.location.reload();
+    };
 
----
+    // ========== Batch Generation ==========
+    // Generate one queued job and save it as a sheet
+    const runBatchJob = async (job, { signal, onProgress }) => {
+        let received = '';
+        const template = getTemplate(templates, job.templateId);
+        const total = job.tiers ? job.questionCount * job.tiers.length : job.questionCount;
+        const data = await generateSheet({
+            provider,
+            settings: currentProviderSettings,
+            images: job.images,
+            imageMeta: job.imageMeta,
+            template,
+            grade: job.grade,
+            count: total,
+            ...(job.tiers ? { tiers: job.tiers, perTier: job.questionCount } : {}),
+            customInstructions: job.customInstructions,
+            signal,
+            onChunk: (piece) => {
+                received += piece;
+                onProgress(partialSheetData(received).completeProblems.length / total);
+            }
+        });
+
+        const now = new Date().toISOString();
+        const sheet = {
+            id: newSheetId(),
+            title: job.title || suggestTitle(data) || '無題',
+            studentName: job.studentName,
+            instructorName: job.instructorName,
+            assignDate: job.assignDate,
+            dueDate: job.dueDate,
+            data,
+            result: sheetToMarkdown(data),
+            images: job.images,
+            imageMeta: job.imageMeta,
+            templateId: template.id,
+            subject: template.subject,
+            grade: job.grade,
+            createdAt: now,
+            updatedAt: now
+        };
+        await putSheet(sheet);
+        setSavedSheets(prev => [...prev, sheet]);
+        return { sheet };
+    };
 
-## 講師向けガイド
+    const batchQueue = useBatchQueue(runBatchJob);
+
+    // Jobs made while offline run through the same worker once reconnected
+    const outbox = useOutbox(runBatchJob);
+
+    // The current images and form values as a batch / outbox job
+    const currentJobFields = () => ({
+        images,
+        imageMeta,
+        templateId: activeTemplate.id,
+        grade,
+        tiers: tieredMode ? tiers : null,
+        questionCount,
+        customInstructions,
+        title: sheetTitle,
+        studentName,
+        instructorName,
+        assignDate,
+        dueDate
+    });
+
+    // Queue the current images and form values as a job, then clear the images
+    const addToBatch = () => {
+        if (images.length === 0) return;
+        if (provider.needsApiKey && !currentProviderSettings.apiKey) {
+            alert(`${provider.apiKeyLabel || "APIキー"}を入力してください`);
+            setIsSettingsOpen(true);
+            return;
+        }
+        batchQueue.addJob(currentJobFields());
+        resetImages();
+    };
 
-### 指導のポイント
-[この問題を教える際の重要ポイント]
+    // Keep the job for when the connection returns; the sheet is saved to the library
+    const addToOutbox = async () => {
+        if (images.length === 0) return;
+        if (provider.needsApiKey && !currentProviderSettings.apiKey) {
+            alert(`${provider.apiKeyLabel || "APIキー"}を入力してください`);
+            setIsSettingsOpen(true);
+            return;
+        }
+        try {
+            await outbox.enqueue(currentJobFields());
+        } catch (e) {
+            console.error('Error queueing offline job:', e);
+            alert(`送信待ちに追加できませんでした: ${e.message}`);
+            return;
+        }
+        setInterruption(null);
+        resetImages();
+        alert('送信待ちに追加しました。接続が戻ると自動で作成し、保存済みシートに追加します。');
+    };
 
-### つまずきやすいポイント
-[生徒がつまずきやすい箇所と対策]
-`;
+    // Print every finished job in one preview window
+    const printBatch = (doneJobs, mode) => {
+        const pages = doneJobs.map(job => renderSheetPrint(job.sheet, mode, printLayout, brandProfile));
+        const html = pages.map(page => page.html).join('<div class="page-break"></div>');
+        openPrintWindow(pages[0].title, html, { profile: brandProfile });
+    };
 
-            const response = await genModel.generateContent([prompt, ...imagesParts]);
-            const text = response.response.text();
-            setResult(text);
-        } catch (error) {
-            console.error(error);
-            alert(`生成に失敗しました: ${error.message}`);
-        } finally {
-            setLoading(false);
-        }
+    // ========== Grading ==========
+    const openGrading = () => {
+        captureTargetRef.current = 'grading';
+        setShowGradingModal(true);
     };
 
-    // ========== Print Preview Function ==========
-    const openPrintPreview = (mode) => {
-        if (!result) return;
-
-        // Parse result sections
-        const problemMatch = result.match(/## 問題([\s\S]*?)(?=---|\n## |$)/);
-        const solutionMatch = result.match(/## 解答・解説([\s\S]*?)(?=---|\n## |$)/);
-        const instructorMatch = result.match(/## 講師向けガイド([\s\S]*?)$/);
-
-        const problemContent = problemMatch ? problemMatch[1].trim() : '';
-        const solutionContent = solutionMatch ? solutionMatch[1].trim() : '';
-        const instructorContent = instructorMatch ? instructorMatch[1].trim() : '';
-
-        // Build content based on mode
-        let printContent = '';
-        let title = '';
-
-        const renderSection = (sectionTitle, content) => {
-            return `
-                <div class="print-section">
-                    <h2>${sectionTitle}</h2>
-                    ${markdownToHtml(content)}
-                </div>
-            `;
-        };
+    const closeGrading = () => {
+        captureTargetRef.current = 'source';
+        setShowGradingModal(false);
+        setGradingImages([]);
+    };
 
-        // Header generation helper (similar to Vanilla)
-        const getHeader = (showScore = true) => {
-            const dateStr = assignDate ? new Date(assignDate).toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric' }) : '';
-            return `
-            <div class="print-header">
-              <div class="header-top">
-                 <h1 class="main-title" id="displayTitle">${title}</h1>
-              </div>
-              <div class="header-bottom">
-                  <div class="header-left">
-                    ${dateStr ? `<span class="date">${dateStr}</span>` : ''}
-                    <div class="names">
-                        ${studentName ? `<span class="student">生徒: ${studentName}</span>` : ''}
-                        ${instructorName ? `<span class="instructor">講師: ${instructorName}</span>` : ''}
-                    </div>
-                  </div>
-                  
-                  <div class="header-right">
-                    ${showScore ? `
-                    <div class="score-box">
-                         <div class="score-item">目標時間<div class="score-line"></div>分</div>
-                         <div class="score-item">得点<div class="score-line"></div>/100</div>
-                    </div>` : ''}
-                  </div>
-              </div>
-            </div>
-            `;
-        };
+    // Hide the modal while the camera and crop views are up
+    const captureGradingImage = () => {
+        setShowGradingModal(false);
+        startCamera();
+    };
 
-        switch (mode) {
-            case 'problem':
-                title = '問題';
-                printContent = `
-                    ${getHeader(true)}
-                    ${renderSection('問題', problemContent)}
-                `;
-                break;
-            case 'solution':
-                title = '解答・解説';
-                printContent = `
-                    ${getHeader(false)}
-                    ${renderSection('解答・解説', solutionContent)}
-                `;
-                break;
-            case 'full':
-                title = '類題プリント';
-                printContent = `
-                    ${getHeader(true)}
-                    ${renderSection('問題', problemContent)}
-                    <div class="page-break"></div>
-                    ${getHeader(false)}
-                    ${renderSection('解答・解説', solutionContent)}
-                    <div class="page-break"></div>
-                    ${getHeader(false)}
-                    ${renderSection('講師向けガイド', instructorContent)}
-                `;
-                break;
-            case 'instructor':
-                title = '講師向けガイド';
-                printContent = `
-                    ${getHeader(false)}
-                    ${renderSection('講師向けガイド', instructorContent)}
-                `;
-                break;
-            default:
-                title = '類題';
-                printContent = markdownToHtml(result);
-        }
-
-        const printWindow = window.open('', '_blank');
-
-        // Copy all styles from current document
-        const styles = Array.from(document.querySelectorAll('style, link[rel="stylesheet"]'))
-            .map(node => node.outerHTML)
-            .join('');
-
-        const printHtml = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="UTF-8">
-          <title>${title} - RUIDAI (Print)</title>
-          ${styles}
-          <style>
-            @import url('https://fonts.googleapis.com/css2?family=Zen+Maru+Gothic:wght@400;500;700&display=swap');
-            
-            body {
-                background: #e5e7eb !important; /* Gray background for preview */
-                margin: 0;
-                padding: 0;
-                padding-top: 80px; /* Space for controls */
-                color: #333;
-                font-family: 'Zen Maru Gothic', sans-serif;
-            }
-            .print-wrapper {
-                max-width: 210mm;
-                margin: 0 auto;
-                padding: 15mm;
-                padding-bottom: 20mm; /* Space for footer */
-                background: white;
-                min-height: 297mm;
-                box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
-                position: relative;
-            }
-            
-            /* Section Styling */
-            .result-content { line-height: 1.6; }
-            .print-section { margin-bottom: 20px; }
-            
-            h2 {
-                margin-bottom: 1rem;
-                font-size: 1.25rem;
-                color: #333;
-                border-left: 5px solid #888;
-                padding-left: 10px;
-                margin-top: 0;
-            }
-            
-            /* Header Styling */
-            .print-header {
-              margin-bottom: 20px;
-              border-bottom: 2px solid #333;
-              padding-bottom: 5px;
-            }
-            .header-top { text-align: center; margin-bottom: 10px; }
-            .main-title { font-size: 24px; margin: 0; letter-spacing: 2px; }
-            .header-bottom { display: flex; justify-content: space-between; align-items: flex-end; }
-            .header-left .date { font-weight: 500; margin-right: 15px; }
-            .names { display: inline-flex; gap: 15px; }
-            .score-box {
-              border: 2px solid #333;
-              border-radius: 8px;
-              padding: 5px 15px;
-              display: flex;
-              gap: 20px;
-              background: #fff;
-            }
-            .score-item { font-size: 14px; display: flex; align-items: flex-end; }
-            .score-line { border-bottom: 1px solid #333; width: 60px; margin-left: 5px; }
-            
-            .page-break {
-                page-break-after: always;
-                height: 0;
-                display: block;
-                border: none;
-            }
-            
-            /* Footer */
-            .print-footer {
-                position: fixed;
-                bottom: 0;
-                left: 0;
-                width: 100%;
-                text-align: center;
-                font-size: 10px;
-                color: #666;
-                padding-bottom: 5mm;
-                background-color: rgba(255, 255, 255, 0.9);
-                z-index: 1000;
-            }
+    // Ask the model to mark the photographed answers against a saved sheet
+    const gradeAnswers = async (sheet) => {
+        if (provider.needsApiKey && !currentProviderSettings.apiKey) {
+            setIsSettingsOpen(true);
+            throw new Error('APIキーを入力してください');
+        }
+        const data = sheetDataFromSaved(sheet);
+        const text = await provider.generate({
+            settings: currentProviderSettings,
+            prompt: buildGradingPrompt(data),
+            images: gradingImages,
+            schema: GRADING_SCHEMA
+        });
+        return parseGradingJson(text, data.problems.length);
+    };
 
-            /* Controls */
-            .print-controls {
-                position: fixed;
-                top: 0;
-                left: 0;
-                width: 100%;
-                height: 60px;
-                background: #f3f4f6;
-                border-bottom: 1px solid #d1d5db;
-                display: flex;
-                align-items: center;
-                justify-content: space-between;
-                padding: 0 20px;
-                box-sizing: border-box;
-                z-index: 9999;
-                font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-            }
-            .control-group { display: flex; align-items: center; gap: 15px; }
-            .control-group label { font-weight: bold; color: #374151; }
-            input[type=range] { width: 150px; cursor: pointer; }
-            input[type=text] { padding: 5px; border-radius: 4px; border: 1px solid #ccc; width: 150px; }
-            .buttons { display: flex; gap: 10px; }
-            .btn { padding: 8px 16px; border-radius: 6px; border: none; cursor: pointer; font-weight: bold; transition: opacity 0.2s; }
-            .btn-print { background: #4f46e5; color: white; }
-            .btn-close { background: #6b7280; color: white; }
-            .btn:hover { opacity: 0.9; }
-
-            @page {
-                size: A4 portrait;
-                margin: 10mm;
-            }
+    // Store the confirmed grading on the sheet and, if a roster student was
+    // chosen, record the score on their assignment for this sheet
+    const saveGrading = async (sheet, student, grading) => {
+        const now = new Date().toISOString();
+        const record = {
+            id: newRecordId(),
+            gradedAt: now,
+            studentId: student?.id ?? null,
+            studentName: student?.name ?? sheet.studentName ?? '',
+            results: grading.results.map(({ confirmed, ...r }) => r),
+            overallComment: grading.overallComment,
+            score: grading.score,
+            maxScore: grading.maxScore,
+            images: gradingImages
+        };
+        const updatedSheet = { ...sheet, gradings: [...(sheet.gradings || []), record], updatedAt: now };
+        await putSheet(updatedSheet);
+        setSavedSheets(prev => prev.map(s => (s.id === sheet.id ? updatedSheet : s)));
+
+        if (!student) return;
+        const forSheet = (await getAllAssignments())
+            .filter(a => a.studentId === student.id && a.sheetId === sheet.id);
+        const existing = forSheet.find(a => a.status === 'assigned') || forSheet[0];
+        await putAssignment({
+            id: newRecordId(),
+            studentId: student.id,
+            sheetId: sheet.id,
+            assignDate: sheet.assignDate || now.split('T')[0],
+            dueDate: sheet.dueDate || '',
+            timeTakenMin: null,
+            createdAt: now,
+            ...existing,
+            status: 'returned',
+            score: grading.score,
+            maxScore: grading.maxScore,
+            wrongProblems: grading.results
+                .map((r, i) => (r.verdict === 'correct' ? null : i))
+                .filter(i => i !== null),
+            returnedAt: now
+        });
+    };
 
-            @media print {
-                .print-controls { display: none !important; }
-                body { padding-top: 0 !important; background: white !important; }
-                .print-wrapper { width: 100%; max-width: none; margin: 0; padding: 0; box-shadow: none; padding-bottom: 0; }
-                .print-footer { display: block !important; }
-            }
-          </style>
-        </head>
-        <body>
-          <div class="print-controls">
-            <div class="control-group">
-                <label>タイトル:</label>
-                <input type="text" id="titleInput" value="${title}">
-                
-                <label style="margin-left: 15px;">サイズ: <span id="scaleVal">100%</span></label>
-                <input type="range" id="scaleSlider" min="50" max="150" value="100" step="5">
-            </div>
-            <div class="buttons">
-                <button class="btn btn-print" onclick="window.print()">🖨️ 印刷</button>
-                <button class="btn btn-close" onclick="window.close()">✕ 閉じる</button>
-            </div>
-          </div>
-
-          <div class="print-wrapper result-content">
-             ${printContent}
-             <div class="print-footer">
-                ©ECCベストワン藍住・北島中央
-             </div>
-          </div>
-          
-          <script>
-            const slider = document.getElementById('scaleSlider');
-            const label = document.getElementById('scaleVal');
-            const titleInput = document.getElementById('titleInput');
-            
-            slider.addEventListener('input', (e) => {
-                const val = e.target.value;
-                label.textContent = val + '%';
-                document.body.style.zoom = val + '%';
-            });
-            
-            titleInput.addEventListener('input', (e) => {
-                const newTitle = e.target.value;
-                document.querySelectorAll('.main-title').forEach(el => el.textContent = newTitle);
-                document.title = newTitle;
-            });
-          </script>
-        </body>
-      </html>
-    `;
+    // Apply Markdown edited in the source editor back onto the data model
+    const applyEdit = (markdown) => {
+        setSheetData(prev => applyMarkdownEdit(prev, markdown));
+        setIsEditing(false);
+    };
 
-        printWindow.document.write(printHtml);
-        printWindow.document.close();
+    // ========== Print Preview Function ==========
+    // renderSheetPrint inputs for the selected A/B version(s)
+    const printSheets = () => {
+        const base = { studentName, instructorName, assignDate, dueDate, level: printLevel };
+        if (variants.length === 0) return [{ ...base, data: sheetData }];
+        return [originalVariant(sheetData), ...variants]
+            .filter(v => printVariant === 'all' || v.label === printVariant)
+            .map(v => ({ ...base, data: v.data, variant: v.label }));
     };
 
-    // Simple markdown to HTML converter using ReactMarkdown
-    const markdownToHtml = (md) => {
-        if (!md) return '';
-        // Remove trailing spaces to prevent hard breaks
-        const cleanMd = md.replace(/ +$/gm, '');
-        return renderToStaticMarkup(
-            <ReactMarkdown remarkPlugins={[remarkMath]} rehypePlugins={[rehypeKatex]}>
-                {cleanMd}
-            </ReactMarkdown>
-        );
+    const openPrintPreview = (mode) => {
+        if (!sheetData) return;
+        const sheets = printSheets();
+        const pages = sheets.map(sheet => renderSheetPrint(sheet, mode, printLayout, brandProfile));
+        const html = pages.map(page => page.html).join('<div class="page-break"></div>');
+        // With one version the footer (repeated on every page) carries its label
+        openPrintWindow(pages[0].title, html, {
+            profile: brandProfile,
+            variant: sheets.length === 1 ? sheets[0].variant : ''
+        });
+    };
+
+    // Download the sheet as a PDF / DOCX / HTML file (one file per A/B version)
+    const exportSheetFile = async (mode, format) => {
+        if (!sheetData) return;
+        try {
+            for (const sheet of printSheets()) {
+                await exportSheet(sheet, mode, format, { layout: printLayout, profile: brandProfile, name: sheetTitle || suggestTitle(sheetData) });
+            }
+        } catch (error) {
+            console.error('Error exporting sheet:', error);
+            alert(`書き出しに失敗しました: ${error.message}`);
+        }
     };
 
     return (
@@ -665,33 +1134,118 @@ ${customInstructions ? `追加指示: ${customInstructions}` : ''}
             {/* Header */}
             <header className="header">
                 <h1>RUIDAI <span className="badge">Mobile</span></h1>
-                <button className="settings-btn" onClick={() => setIsSettingsOpen(true)}>⚙️</button>
+                <div className="header-actions">
+                    {!outbox.online && <span className="offline-badge">オフライン</span>}
+                    <button className="settings-btn" onClick={() => setShowBatchModal(true)} title="一括作成">
+                        📦{batchQueue.jobs.length > 0 && <span className="count-badge">{batchQueue.jobs.length}</span>}
+                    </button>
+                    <button className="settings-btn" onClick={openGrading} title="採点">✅</button>
+                    <button className="settings-btn" onClick={() => setShowRosterModal(true)} title="生徒名簿">👥</button>
+                    <button className="settings-btn" onClick={() => setShowSavedListModal(true)} title="保存済みシート">📚</button>
+                    <button className="settings-btn" onClick={() => setShowBrandingModal(true)} title="校舎・印刷設定">🏫</button>
+                    <button className="settings-btn" onClick={() => setShowBackupModal(true)} title="バックアップ・復元">💾</button>
+                    <button className="settings-btn" onClick={() => setShowUsageModal(true)} title="利用状況">📊</button>
+                    <button className="settings-btn" onClick={() => setIsSettingsOpen(true)}>⚙️</button>
+                </div>
             </header>
 
+            {/* Saved Sheets Library */}
+            {showSavedListModal && (
+                <LibraryModal
+                    sheets={savedSheets}
+                    currentSheetId={currentSheetId}
+                    onOpen={loadSheet}
+                    onDuplicate={duplicateSheet}
+                    onDelete={deleteSheet}
+                    onClose={() => setShowSavedListModal(false)}
+                />
+            )}
+
             {/* Settings Modal */}
             {isSettingsOpen && (
                 <div className="modal-overlay" onClick={() => setIsSettingsOpen(false)}>
                     <div className="modal" onClick={e => e.stopPropagation()}>
                         <h3>設定</h3>
                         <div className="setting-item">
-                            <label>API Key:</label>
-                            <input
-                                type="password"
-                                value={apiKey}
-                                onChange={(e) => setApiKey(e.target.value)}
-                                placeholder="Gemini API Key"
-                            />
-                            <a href="https://aistudio.google.com/app/apikey" target="_blank" rel="noopener noreferrer">
-                                キーを取得 ↗
-                            </a>
+                            <label>プロバイダー:</label>
+                            <select value={provider.id} onChange={(e) => setProviderId(e.target.value)}>
+                                {PROVIDERS.map(p => (
+                                    <option key={p.id} value={p.id}>{p.label}</option>
+                                ))}
+                            </select>
                         </div>
+                        {provider.fields.includes('baseUrl') && (
+                            <div className="setting-item">
+                                <label>ベースURL:</label>
+                                <input
+                                    type="url"
+                                    value={currentProviderSettings.baseUrl}
+                                    onChange={(e) => updateProviderSetting('baseUrl', e.target.value)}
+                                    placeholder={provider.needsApiKey ? '(既定)' : 'http://localhost:11434/v1'}
+                                />
+                            </div>
+                        )}
+                        {provider.fields.includes('apiKey') && (
+                            <div className="setting-item">
+                                <label>{provider.apiKeyLabel || 'API Key'}{provider.needsApiKey ? '' : ' (任意)'}:</label>
+                                <input
+                                    type="password"
+                                    value={currentProviderSettings.apiKey}
+                                    onChange={(e) => updateProviderSetting('apiKey', e.target.value)}
+                                    placeholder={`${provider.label} ${provider.apiKeyLabel || 'API Key'}`}
+                                />
+                                {provider.usage && providerUsage && (
+                                    <p className="hint-text">
+                                        {providerUsage.error
+                                            ? `⚠️ ${providerUsage.error}`
+                                            : `${providerUsage.name} さん: 本日の利用 ${providerUsage.used} / ${providerUsage.limit} 回`}
+                                    </p>
+                                )}
+                                {provider.apiKeyUrl && (
+                                    <a href={provider.apiKeyUrl} target="_blank" rel="noopener noreferrer">
+                                        キーを取得 ↗
+                                    </a>
+                                )}
+                            </div>
+                        )}
+                        {provider.fields.includes('models') && (
+                            <div className="setting-item">
+                                <label>モデル一覧 (カンマ区切り):</label>
+                                <input
+                                    type="text"
+                                    defaultValue={currentProviderSettings.models.join(', ')}
+                                    key={provider.id}
+                                    onBlur={(e) => updateProviderSetting(
+                                        'models',
+                                        e.target.value.split(',').map(m => m.trim()).filter(Boolean)
+                                    )}
+                                />
+                            </div>
+                        )}
                         <div className="setting-item">
                             <label>モデル:</label>
-                            <select value={model} onChange={(e) => setModel(e.target.value)}>
-                                <option value="gemini-1.5-pro">Gemini 1.5 Pro</option>
-                                <option value="gemini-1.5-flash">Gemini 1.5 Flash</option>
-                                <option value="gemini-2.0-flash-exp">Gemini 2.0 Flash</option>
-                                <option value="gemini-3-flash-preview">Gemini 3 Flash Preview</option>
+                            <select
+                                value={currentProviderSettings.model}
+                                onChange={(e) => updateProviderSetting('model', e.target.value)}
+                            >
+                                {!currentProviderSettings.models.includes(currentProviderSettings.model) && (
+                                    <option value={currentProviderSettings.model}>{currentProviderSettings.model}</option>
+                                )}
+                                {currentProviderSettings.models.map(m => (
+                                    <option key={m} value={m}>{m}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="setting-item">
+                            <label>予備モデル（混雑で失敗したとき）:</label>
+                            <select
+                                value={currentProviderSettings.fallbackModel || ''}
+                                onChange={(e) => updateProviderSetting('fallbackModel', e.target.value)}
+                            >
+                                <option value="">（なし）</option>
+                                {currentProviderSettings.models
+                                    .filter(m => m !== currentProviderSettings.model)
+                                    .map(m => <option key={m} value={m}>{m}</option>)}
                             </select>
                         </div>
                         <button className="primary-btn" onClick={() => setIsSettingsOpen(false)}>閉じる</button>
@@ -699,29 +1253,193 @@ ${customInstructions ? `追加指示: ${customInstructions}` : ''}
                 </div>
             )}
 
+            {/* Student Roster */}
+            {showRosterModal && (
+                <RosterModal
+                    students={students}
+                    setStudents={setStudents}
+                    sheets={savedSheets}
+                    onClose={() => setShowRosterModal(false)}
+                />
+            )}
+
+            {/* Grading */}
+            {showGradingModal && (
+                <GradingModal
+                    sheets={savedSheets}
+                    students={students}
+                    images={gradingImages}
+                    onDeleteImage={(index) => setGradingImages(prev => prev.filter((_, i) => i !== index))}
+                    onCapture={captureGradingImage}
+                    onPickFiles={openFilePicker}
+                    onGrade={gradeAnswers}
+                    onSave={saveGrading}
+                    onClose={closeGrading}
+                />
+            )}
+
+            {/* PDF page selection */}
+            {pdfImports.length > 0 && (
+                <PdfPageModal
+                    key={pdfImports[0].id}
+                    fileName={pdfImports[0].fileName}
+                    numPages={pdfImports[0].pdf.numPages}
+                    thumbnails={pdfImports[0].thumbnails}
+                    progress={pdfProgress}
+                    onAdd={addPdfPages}
+                    onClose={closePdfImport}
+                />
+            )}
+
+            {/* Prompt Templates */}
+            {showTemplateModal && (
+                <TemplateModal
+                    templates={templates}
+                    selectedId={activeTemplate.id}
+                    grade={grade}
+                    onChange={setTemplates}
+                    onSelect={selectTemplate}
+                    onClose={() => setShowTemplateModal(false)}
+                />
+            )}
+
+            {/* Tier Definitions */}
+            {showTierModal && (
+                <TierModal tiers={tiers} onChange={setTiers} onClose={() => setShowTierModal(false)} />
+            )}
+
+            {/* Print Layout */}
+            {showPrintLayoutModal && (
+                <PrintLayoutModal
+                    layout={printLayout}
+                    onChange={setPrintLayout}
+                    onClose={() => setShowPrintLayoutModal(false)}
+                />
+            )}
+
+            {/* File Export */}
+            {showExportModal && (
+                <ExportModal onExport={exportSheetFile} onClose={() => setShowExportModal(false)} />
+            )}
+
+            {/* Branding */}
+            {showBrandingModal && (
+                <BrandingModal
+                    branding={branding}
+                    onChange={setBranding}
+                    onClose={() => setShowBrandingModal(false)}
+                />
+            )}
+
+            {/* A/B Versions */}
+            {showVariantModal && (
+                <VariantModal
+                    variants={variants}
+                    subject={sheetSubject}
+                    progress={variantProgress}
+                    onCreate={makeVariants}
+                    onClear={clearVariants}
+                    onClose={() => setShowVariantModal(false)}
+                />
+            )}
+
+            {/* API usage and spend limits */}
+            {showUsageModal && (
+                <UsageModal
+                    settings={usageSettings}
+                    onSettingsChange={setUsageSettings}
+                    onClose={() => setShowUsageModal(false)}
+                />
+            )}
+
+            {/* Backup / Restore */}
+            {showBackupModal && (
+                <BackupModal
+                    lastBackup={lastBackup}
+                    reminder={backupReminder}
+                    onBackedUp={() => setLastBackup(lastBackupAt())}
+                    onReminderChange={setBackupReminder}
+                    onImported={handleBackupImported}
+                    onClose={() => setShowBackupModal(false)}
+                />
+            )}
+
+            {/* Multiple Choice */}
+            {showChoiceModal && (
+                <MultipleChoiceModal
+                    active={isMultipleChoice(sheetData)}
+                    converting={convertingChoices}
+                    onConvert={makeMultipleChoice}
+                    onRemove={clearMultipleChoice}
+                    onClose={() => setShowChoiceModal(false)}
+                />
+            )}
+
+            {/* Batch Queue */}
+            {showBatchModal && (
+                <BatchModal
+                    queue={batchQueue}
+                    onPrintAll={printBatch}
+                    onClose={() => setShowBatchModal(false)}
+                />
+            )}
+
+            {/* Source Editor */}
+            {isEditing && sheetData && (
+                <SheetEditor
+                    initialMarkdown={result}
+                    onApply={applyEdit}
+                    onCancel={() => setIsEditing(false)}
+                />
+            )}
+
             {/* Crop Modal */}
             {showCropModal && tempImage && (
-                <div className="modal-overlay crop-modal-overlay">
-                    <div className="crop-modal">
-                        <h3>📐 トリミング</h3>
-                        <div className="crop-container">
-                            <ReactCrop
-                                crop={crop}
-                                onChange={(c) => setCrop(c)}
-                                onComplete={(c) => setCompletedCrop(c)}
-                            >
-                                <img
-                                    ref={cropImageRef}
-                                    src={tempImage}
-                                    alt="Crop preview"
-                                    style={{ maxWidth: '100%', maxHeight: '60vh' }}
-                                />
-                            </ReactCrop>
-                        </div>
-                        <div className="crop-actions">
-                            <button className="cancel-crop-btn" onClick={cancelCrop}>キャンセル</button>
-                            <button className="confirm-crop-btn" onClick={confirmCrop}>✓ 確定</button>
-                        </div>
+                <CropModal image={tempImage} onConfirm={confirmCrop} onCancel={cancelCrop} />
+            )}
+
+            {outbox.entries.length > 0 && (
+                <div className="interrupted-banner outbox-banner">
+                    <div>
+                        <span>
+                            📤 送信待ち {outbox.entries.length}件
+                            {outbox.sending ? '（作成中…）' : outbox.online ? '' : '（接続が戻ると自動で作成します）'}
+                        </span>
+                        <ul className="outbox-list">
+                            {outbox.entries.map(entry => (
+                                <li key={entry.id}>
+                                    <span>{entry.title || '無題'}{entry.studentName ? `（${entry.studentName}）` : ''}</span>
+                                    {entry.status === 'running' && <span className="spinner small"></span>}
+                                    {entry.error && <span className="job-error">{entry.error}</span>}
+                                    {entry.status !== 'running' && (
+                                        <button className="print-chip danger" onClick={() => outbox.remove(entry.id)}>削除</button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                    {outbox.online && !outbox.sending && outbox.entries.some(e => e.status === 'failed') && (
+                        <button className="print-chip" onClick={outbox.retry}>▶ 再送信</button>
+                    )}
+                </div>
+            )}
+            {outbox.sent.length > 0 && (
+                <div className="interrupted-banner outbox-banner done">
+                    <span>✅ 送信待ちの {outbox.sent.join('、')} を作成し、保存済みシートに追加しました</span>
+                    <button className="print-chip" onClick={outbox.dismissSent}>✕</button>
+                </div>
+            )}
+
+            {backupDue && (
+                <div className="interrupted-banner backup-banner">
+                    <span>
+                        💾 {backupDue.days === null
+                            ? 'まだバックアップがありません。端末のリセットに備えてバックアップしましょう。'
+                            : `最後のバックアップから${backupDue.days}日経っています。`}
+                    </span>
+                    <div className="print-buttons">
+                        <button className="print-chip" onClick={() => setShowBackupModal(true)}>バックアップ</button>
+                        <button className="print-chip" onClick={() => setBackupReminder(prev => snoozeBackupReminder(prev))}>あとで</button>
                     </div>
                 </div>
             )}
@@ -736,46 +1454,105 @@ ${customInstructions ? `追加指示: ${customInstructions}` : ''}
                             <canvas ref={canvasRef} style={{ display: 'none' }} />
                             <div className="camera-controls">
                                 <button className="capture-btn" onClick={captureImage}>📷 撮影</button>
-                                <button className="cancel-btn" onClick={stopCamera}>✕ 閉じる</button>
+                                <button className="cancel-btn" onClick={closeCamera}>✕ 閉じる</button>
                             </div>
                         </div>
                     ) : (
                         <div
-                            className="upload-area"
+                            className={`upload-area ${dragActive ? 'drag-active' : ''}`}
                             onClick={startCamera}
                             onTouchStart={handleTouchStart}
                             onTouchEnd={handleTouchEnd}
                             onMouseDown={handleTouchStart}
                             onMouseUp={handleTouchEnd}
                             onMouseLeave={handleTouchEnd}
+                            onDragOver={handleDragOver}
+                            onDragLeave={() => setDragActive(false)}
+                            onDrop={handleDrop}
                         >
-                            <div className="drop-icon">📸</div>
+                            <div className="drop-icon">{importing ? <span className="spinner small"></span> : '📸'}</div>
+                            {importing && pdfProgress !== null && (
+                                <p className="hint-text">PDFを読み込み中… {Math.round(pdfProgress * 100)}%</p>
+                            )}
                             <p>タップでカメラ起動</p>
-                            <p className="hint-text">長押しでクリップボードから貼付</p>
-                            <button className="start-camera-btn" onClick={(e) => { e.stopPropagation(); startCamera(); }}>
-                                カメラを起動
-                            </button>
+                            <p className="hint-text">長押しでクリップボードから貼付・画像/PDFをドロップ</p>
+                            <div className="upload-buttons">
+                                <button className="start-camera-btn" onClick={(e) => { e.stopPropagation(); startCamera(); }}>
+                                    カメラを起動
+                                </button>
+                                <button
+                                    className="start-camera-btn"
+                                    disabled={importing}
+                                    onClick={(e) => { e.stopPropagation(); openFilePicker(); }}
+                                >
+                                    📁 ファイルを選択
+                                </button>
+                            </div>
                         </div>
                     )}
 
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept={ACCEPTED_FILE_TYPES}
+                        multiple
+                        style={{ display: 'none' }}
+                        onChange={handleFileInput}
+                    />
+
                     {/* Image Preview */}
                     {images.length > 0 && (
                         <div className="image-preview">
                             <h3>問題画像 ({images.length}枚)</h3>
-                            <div className="image-grid">
-                                {images.map((img, index) => (
-                                    <div key={index} className="image-item">
-                                        <img src={img} alt={`問題 ${index + 1}`} />
-                                        <button className="delete-btn" onClick={() => deleteImage(index)}>✕</button>
-                                        <span className="page-number">P.{index + 1}</span>
-                                    </div>
-                                ))}
-                            </div>
+                            <ImageGrid
+                                images={images}
+                                meta={imageMeta}
+                                onDelete={removeImage}
+                                onMove={moveImage}
+                                onSetSource={setImageSource}
+                            />
                         </div>
                     )}
 
                     {/* Config */}
                     <div className="config-section">
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label>テンプレート:</label>
+                                <div className="template-picker">
+                                    <select
+                                        value={activeTemplate.id}
+                                        onChange={(e) => selectTemplate(e.target.value)}
+                                    >
+                                        {templates.map(t => (
+                                            <option key={t.id} value={t.id}>{t.name}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        type="button"
+                                        className="stepper-btn"
+                                        onClick={() => setShowTemplateModal(true)}
+                                        title="テンプレートを編集"
+                                    >📝</button>
+                                </div>
+                            </div>
+                            <div className="form-group">
+                                <label>学年:</label>
+                                <select value={grade} onChange={(e) => selectGrade(e.target.value)}>
+                                    {!GRADE_OPTIONS.includes(grade) && <option value={grade}>{grade}</option>}
+                                    {GRADE_OPTIONS.map(g => <option key={g} value={g}>{g}</option>)}
+                                </select>
+                            </div>
+                        </div>
+                        <div className="form-group">
+                            <label>タイトル:</label>
+                            <input
+                                type="text"
+                                value={sheetTitle}
+                                onChange={(e) => setSheetTitle(e.target.value)}
+                                placeholder={suggestTitle(sheetData) || '無題'}
+                            />
+                        </div>
                         <div className="form-row">
                             <div className="form-group">
                                 <label>日付:</label>
@@ -786,7 +1563,17 @@ ${customInstructions ? `追加指示: ${customInstructions}` : ''}
                                 />
                             </div>
                             <div className="form-group">
-                                <label>問題数:</label>
+                                <label>提出期限:</label>
+                                <input
+                                    type="date"
+                                    value={dueDate}
+                                    onChange={(e) => setDueDate(e.target.value)}
+                                />
+                            </div>
+                        </div>
+                        <div className="form-row">
+                            <div className="form-group">
+                                <label>{tieredMode ? '各段階の問題数:' : '問題数:'}</label>
                                 <div className="number-stepper">
                                     <button
                                         type="button"
@@ -801,6 +1588,25 @@ ${customInstructions ? `追加指示: ${customInstructions}` : ''}
                                     >+</button>
                                 </div>
                             </div>
+                            <div className="form-group">
+                                <label>段階別:</label>
+                                <div className="tier-toggle">
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={tieredMode}
+                                            onChange={(e) => setTieredMode(e.target.checked)}
+                                        />
+                                        {tiers.map(t => t.label).join('・')}
+                                    </label>
+                                    <button
+                                        type="button"
+                                        className="print-chip"
+                                        onClick={() => setShowTierModal(true)}
+                                        title="段階の定義"
+                                    >⚙️</button>
+                                </div>
+                            </div>
                         </div>
                         <div className="form-row">
                             <div className="form-group">
@@ -808,9 +1614,13 @@ ${customInstructions ? `追加指示: ${customInstructions}` : ''}
                                 <input
                                     type="text"
                                     value={studentName}
-                                    onChange={(e) => setStudentName(e.target.value)}
+                                    onChange={(e) => changeStudentName(e.target.value)}
                                     placeholder="生徒名"
+                                    list="roster-students"
                                 />
+                                <datalist id="roster-students">
+                                    {students.map(s => <option key={s.id} value={s.name} />)}
+                                </datalist>
                             </div>
                             <div className="form-group">
                                 <label>講師名:</label>
@@ -849,32 +1659,125 @@ ${customInstructions ? `追加指示: ${customInstructions}` : ''}
                     >
                         {loading ? '作成中...' : '類題を作成 ✨'}
                     </button>
+                    <button
+                        className="queue-btn"
+                        disabled={images.length === 0}
+                        onClick={addToBatch}
+                    >
+                        📦 キューに追加{batchQueue.jobs.length > 0 ? ` (${batchQueue.jobs.length}件)` : ''}
+                    </button>
                 </aside>
 
                 {/* Right Panel - Result */}
                 <section className="right-panel">
                     <div className="result-header">
                         <h2>結果</h2>
-                        {result && (
+                        {loading ? (
+                            <div className="print-buttons">
+                                <button className="print-chip danger" onClick={stopGeneration}>⏹ 停止</button>
+                            </div>
+                        ) : result && (
                             <div className="print-buttons">
+                                {sheetData?.tiers && (
+                                    <select
+                                        className="print-level"
+                                        value={printLevel}
+                                        onChange={(e) => setPrintLevel(e.target.value)}
+                                        title="印刷する段階"
+                                    >
+                                        <option value="">全段階</option>
+                                        {sheetData.tiers.map(t => <option key={t.id} value={t.id}>{t.label}のみ</option>)}
+                                    </select>
+                                )}
+                                {variants.length > 0 && (
+                                    <select
+                                        className="print-level"
+                                        value={printVariant}
+                                        onChange={(e) => setPrintVariant(e.target.value)}
+                                        title="印刷する版"
+                                    >
+                                        <option value="all">全版</option>
+                                        {[originalVariant(sheetData), ...variants].map(v => (
+                                            <option key={v.label} value={v.label}>{v.label}版のみ</option>
+                                        ))}
+                                    </select>
+                                )}
                                 <button className="print-chip" onClick={() => openPrintPreview('problem')}>🖨️ 問題</button>
                                 <button className="print-chip" onClick={() => openPrintPreview('solution')}>🖨️ 解答</button>
                                 <button className="print-chip" onClick={() => openPrintPreview('full')}>🖨️ 全て</button>
                                 <button className="print-chip" onClick={() => openPrintPreview('instructor')}>🖨️ 講師用</button>
+                                <button className="print-chip" onClick={() => setShowPrintLayoutModal(true)} title="印刷レイアウト">📐</button>
+                                <button className="print-chip" onClick={() => setShowExportModal(true)} title="ファイルに書き出し">⬇️ 書き出し</button>
+                                <button className="print-chip" onClick={() => setShowVariantModal(true)} title="A/B版を作る">
+                                    🔀 A/B版{variants.length > 0 ? ` (${variants.length + 1})` : ''}
+                                </button>
+                                <button className="print-chip" onClick={() => setShowChoiceModal(true)} title="選択式に変換">
+                                    🔘 {isMultipleChoice(sheetData) ? '選択式' : '選択式に変換'}
+                                </button>
+                                <button className="print-chip" onClick={() => setIsEditing(true)}>✏️ 編集</button>
+                                <button className="print-chip" onClick={saveSheet}>💾 保存</button>
                             </div>
                         )}
                     </div>
-                    {loading ? (
+                    {!loading && interruption && (
+                        <div className="interrupted-banner">
+                            <span>
+                                {interruption.stopped
+                                    ? '⏹ 生成を停止しました。'
+                                    : `⚠️ 生成が途中で失敗しました: ${interruption.message}`}
+                                {' '}（完成 {interruption.doneProblems.length}問）
+                            </span>
+                            <div className="print-buttons">
+                                {interruption.remaining > 0 && (
+                                    <button className="print-chip" onClick={resumeGeneration}>
+                                        ▶ 続きを生成（残り{interruption.remaining}問）
+                                    </button>
+                                )}
+                                {!interruption.stopped && images.length > 0 && (
+                                    <button className="print-chip" onClick={addToOutbox} title="接続が安定したら自動で作成します">
+                                        📤 送信待ちに入れる
+                                    </button>
+                                )}
+                                <button className="print-chip" onClick={() => setInterruption(null)}>✕</button>
+                            </div>
+                        </div>
+                    )}
+                    {loading && retryNotice && (
+                        <div className="interrupted-banner retry-notice">
+                            {retryNotice.fallback
+                                ? `⚠️ 混み合っているため予備モデル ${retryNotice.model} に切り替えています…`
+                                : `⚠️ ${retryNotice.model} が混み合っています。${Math.ceil(retryNotice.delayMs / 1000)}秒後に再試行します（${retryNotice.attempt}/${retryNotice.maxRetries}）`}
+                        </div>
+                    )}
+                    {loading && !streamingMarkdown ? (
                         <div className="loading">
                             <div className="spinner"></div>
                             <p>類題を作成中...</p>
                         </div>
-                    ) : result ? (
-                        <div className="result-content">
-                            <ReactMarkdown remarkPlugins={[remarkMath]} rehypePlugins={[rehypeKatex]}>
-                                {result}
-                            </ReactMarkdown>
+                    ) : loading ? (
+                        <div className="result-content streaming">
+                            <Markdown>{streamingMarkdown}</Markdown>
+                            <div className="streaming-indicator">
+                                <div className="spinner small"></div>
+                                <span>受信中...</span>
+                            </div>
                         </div>
+                    ) : sheetData ? (
+                        <>
+                            <TagEditor
+                                tags={sheetData.tags}
+                                subject={activeTemplate.subject}
+                                grade={grade}
+                                onChange={(tags) => setSheetData(prev => ({ ...prev, tags }))}
+                            />
+                            <SheetView
+                                data={sheetData}
+                                verification={verification}
+                                busyIndex={busyProblemIndex}
+                                disabled={loading}
+                                onProblemAction={handleProblemAction}
+                            />
+                        </>
                     ) : (
                         <div className="placeholder">
                             <p>📝 問題画像を撮影し、「類題を作成」ボタンを押してください</p>
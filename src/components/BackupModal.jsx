@@ -0,0 +1,184 @@
+import React, { useRef, useState } from 'react';
+import {
+    CONFLICT_STRATEGIES,
+    REMINDER_INTERVALS,
+    createBackup,
+    readBackup,
+    planImport,
+    applyImport,
+    conflictWinner
+} from '../lib/backup';
+import { downloadBlob } from '../lib/exportFiles';
+
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString('ja-JP') : '');
+
+// Backup of the whole workspace to a file, and restore / merge from one
+function BackupModal({ lastBackup, reminder, onBackedUp, onReminderChange, onImported, onClose }) {
+    const fileRef = useRef(null);
+    const [includeApiKey, setIncludeApiKey] = useState(false);
+    const [busy, setBusy] = useState(false);
+    // Import in progress: { backup, groups }
+    const [pending, setPending] = useState(null);
+    const [strategy, setStrategy] = useState('newer');
+    const [overrides, setOverrides] = useState({});
+    const [includeSettings, setIncludeSettings] = useState(true);
+
+    const handleBackup = async () => {
+        setBusy(true);
+        try {
+            const { blob, filename } = await createBackup({ includeApiKey });
+            downloadBlob(filename, blob);
+            onBackedUp();
+        } catch (e) {
+            console.error('Error creating backup:', e);
+            alert(`バックアップに失敗しました: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        setBusy(true);
+        try {
+            const backup = await readBackup(file);
+            setPending({ backup, groups: await planImport(backup) });
+            setOverrides({});
+        } catch (err) {
+            console.error('Error reading backup:', err);
+            alert(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleImport = async () => {
+        setBusy(true);
+        try {
+            const written = await applyImport(pending.backup, pending.groups, { strategy, overrides, includeSettings });
+            onImported(written);
+        } catch (e) {
+            console.error('Error importing backup:', e);
+            alert(`取り込みに失敗しました: ${e.message}`);
+            setBusy(false);
+        }
+    };
+
+    const toggleOverride = (groupId, conflict) => {
+        const key = `${groupId}:${conflict.id}`;
+        const current = conflictWinner(groupId, conflict, strategy, overrides);
+        setOverrides(prev => ({ ...prev, [key]: current === 'local' ? 'incoming' : 'local' }));
+    };
+
+    const { manifest } = pending?.backup || {};
+
+    return (
+        <div className="modal-overlay" onClick={busy ? undefined : onClose}>
+            <div className="modal backup-modal" onClick={e => e.stopPropagation()}>
+                <h3>💾 バックアップ・復元</h3>
+
+                {!pending ? (
+                    <>
+                        <div className="setting-item">
+                            <label>バックアップを作成</label>
+                            <p className="hint-text">
+                                保存済みシート（元の画像を含む）・生徒名簿・テンプレート・設定を1つのファイルにまとめます。
+                                {lastBackup ? ` 前回: ${formatDateTime(lastBackup)}` : ' まだバックアップしていません。'}
+                            </p>
+                            <label className="backup-option">
+                                <input
+                                    type="checkbox"
+                                    checked={includeApiKey}
+                                    onChange={(e) => setIncludeApiKey(e.target.checked)}
+                                />
+                                APIキーも含める（ファイルの扱いに注意）
+                            </label>
+                            <button className="primary-btn" disabled={busy} onClick={handleBackup}>
+                                {busy ? <span className="spinner"></span> : '⬇️ バックアップをダウンロード'}
+                            </button>
+                        </div>
+
+                        <div className="setting-item">
+                            <label>バックアップから復元・取り込み</label>
+                            <p className="hint-text">別の端末のデータと同じIDのものは、内容を比べてから取り込みます。</p>
+                            <button className="print-chip" disabled={busy} onClick={() => fileRef.current?.click()}>
+                                📂 ファイルを選ぶ
+                            </button>
+                            <input ref={fileRef} type="file" accept=".zip,application/zip" style={{ display: 'none' }} onChange={handleFile} />
+                        </div>
+
+                        <div className="setting-item">
+                            <label>バックアップのリマインダー</label>
+                            <select
+                                value={reminder.intervalDays}
+                                onChange={(e) => onReminderChange({ ...reminder, intervalDays: Number(e.target.value), snoozedUntil: '' })}
+                            >
+                                {REMINDER_INTERVALS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                            </select>
+                        </div>
+                    </>
+                ) : (
+                    <>
+                        <p className="hint-text">
+                            {formatDateTime(manifest.createdAt)} のバックアップ
+                            {manifest.includesApiKey ? '（APIキーを含む）' : ''}
+                        </p>
+                        <ul className="variant-list">
+                            {pending.groups.map(g => (
+                                <li key={g.id}>
+                                    <strong>{g.label}</strong>
+                                    <span className="roster-muted">新規 {g.added.length} / 同じ {g.unchanged}</span>
+                                    {g.conflicts.length > 0 && <span className="variant-warning">競合 {g.conflicts.length}</span>}
+                                </li>
+                            ))}
+                        </ul>
+
+                        {pending.groups.some(g => g.conflicts.length > 0) && (
+                            <div className="setting-item">
+                                <label>競合したとき</label>
+                                <select value={strategy} disabled={busy} onChange={(e) => { setStrategy(e.target.value); setOverrides({}); }}>
+                                    {CONFLICT_STRATEGIES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                                </select>
+                                <ul className="backup-conflicts">
+                                    {pending.groups.flatMap(g => g.conflicts.map(c => {
+                                        const winner = conflictWinner(g.id, c, strategy, overrides);
+                                        return (
+                                            <li key={`${g.id}:${c.id}`}>
+                                                <span>{g.label}: {g.title(c.local)}</span>
+                                                <button className="print-chip" disabled={busy} onClick={() => toggleOverride(g.id, c)}>
+                                                    {winner === 'local' ? 'この端末' : 'ファイル'}
+                                                </button>
+                                            </li>
+                                        );
+                                    }))}
+                                </ul>
+                            </div>
+                        )}
+
+                        <label className="backup-option">
+                            <input
+                                type="checkbox"
+                                checked={includeSettings}
+                                onChange={(e) => setIncludeSettings(e.target.checked)}
+                            />
+                            テンプレート・校舎設定・その他の設定も取り込む
+                        </label>
+
+                        <div className="batch-fields">
+                            <button className="primary-btn" disabled={busy} onClick={handleImport}>
+                                {busy ? <span className="spinner"></span> : '取り込む'}
+                            </button>
+                            <button className="print-chip" disabled={busy} onClick={() => setPending(null)}>戻る</button>
+                        </div>
+                    </>
+                )}
+
+                {!busy && <button className="print-chip" onClick={onClose}>閉じる</button>}
+            </div>
+        </div>
+    );
+}
+
+export default BackupModal;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+
+const STATUS_LABELS = {
+    pending: '待機中',
+    running: '生成中',
+    retrying: '再試行待ち',
+    done: '完了・保存済み',
+    failed: '失敗',
+    cancelled: '中止'
+};
+
+const PRINT_MODES = [
+    { value: 'problem', label: '問題' },
+    { value: 'solution', label: '解答' },
+    { value: 'full', label: '全て' },
+];
+
+// Batch generation queue: one job per student / image set
+function BatchModal({ queue, onPrintAll, onClose }) {
+    const { jobs, running, settings, setSettings, updateJob, removeJob, clearFinished, start, cancel } = queue;
+    const [printMode, setPrintMode] = useState('problem');
+
+    const runnableCount = jobs.filter(job => ['pending', 'failed', 'cancelled'].includes(job.status)).length;
+    const doneCount = jobs.filter(job => job.status === 'done').length;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal library-modal" onClick={e => e.stopPropagation()}>
+                <div className="library-header">
+                    <h3>📦 一括作成 ({doneCount}/{jobs.length})</h3>
+                    <button className="library-close" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="library-toolbar">
+                    <label className="library-filter">
+                        同時実行数
+                        <select
+                            value={settings.concurrency}
+                            disabled={running}
+                            onChange={(e) => setSettings(prev => ({ ...prev, concurrency: Number(e.target.value) }))}
+                        >
+                            {[1, 2, 3].map(n => <option key={n} value={n}>{n}</option>)}
+                        </select>
+                    </label>
+                    <label className="library-filter">
+                        リトライ
+                        <select
+                            value={settings.retries}
+                            disabled={running}
+                            onChange={(e) => setSettings(prev => ({ ...prev, retries: Number(e.target.value) }))}
+                        >
+                            {[0, 1, 2, 3].map(n => <option key={n} value={n}>{n}回</option>)}
+                        </select>
+                    </label>
+                </div>
+
+                <div className="library-list">
+                    {jobs.length === 0 ? (
+                        <p className="library-empty">
+                            画像を撮影し、「キューに追加」で生徒ごとのジョブを追加してください
+                        </p>
+                    ) : jobs.map((job, index) => {
+                        const editable = !running && job.status !== 'done';
+                        return (
+                            <div key={job.id} className={`library-item batch-job ${job.status}`}>
+                                {job.images[0] && <img className="library-thumb" src={job.images[0]} alt="" />}
+                                <div className="library-info">
+                                    <div className="library-title">
+                                        {index + 1}. {job.title || '無題'}
+                                        <span className={`job-status ${job.status}`}>{STATUS_LABELS[job.status]}</span>
+                                    </div>
+                                    <div className="batch-fields">
+                                        <input
+                                            type="text"
+                                            value={job.studentName}
+                                            disabled={!editable}
+                                            onChange={(e) => updateJob(job.id, { studentName: e.target.value })}
+                                            placeholder="生徒名"
+                                        />
+                                        <input
+                                            type="date"
+                                            value={job.dueDate}
+                                            disabled={!editable}
+                                            onChange={(e) => updateJob(job.id, { dueDate: e.target.value })}
+                                            title="提出期限"
+                                        />
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            max="10"
+                                            value={job.questionCount}
+                                            disabled={!editable}
+                                            onChange={(e) => updateJob(job.id, {
+                                                questionCount: Math.min(10, Math.max(1, Number(e.target.value) || 1))
+                                            })}
+                                            title="問題数"
+                                        />
+                                    </div>
+                                    <div className="library-meta">
+                                        <span>画像 {job.images.length}枚</span>
+                                        {job.customInstructions && <span>指示: {job.customInstructions}</span>}
+                                        {job.error && <span className="job-error">{job.error}</span>}
+                                    </div>
+                                    {['running', 'retrying', 'done'].includes(job.status) && (
+                                        <div className="job-progress">
+                                            <div style={{ width: `${Math.round((job.progress || 0) * 100)}%` }} />
+                                        </div>
+                                    )}
+                                </div>
+                                <div className="library-actions">
+                                    {editable && (
+                                        <button className="print-chip danger" onClick={() => removeJob(job.id)}>削除</button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div className="batch-footer">
+                    {running ? (
+                        <button className="print-chip danger" onClick={cancel}>⏹ 中止</button>
+                    ) : (
+                        <button className="print-chip" disabled={runnableCount === 0} onClick={start}>
+                            ▶ 実行 ({runnableCount}件)
+                        </button>
+                    )}
+                    <button className="print-chip" disabled={running || doneCount === 0} onClick={clearFinished}>
+                        完了を片付ける
+                    </button>
+                    <div className="batch-print">
+                        <select value={printMode} onChange={(e) => setPrintMode(e.target.value)}>
+                            {PRINT_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                        </select>
+                        <button
+                            className="print-chip"
+                            disabled={doneCount === 0}
+                            onClick={() => onPrintAll(jobs.filter(job => job.status === 'done'), printMode)}
+                        >
+                            🖨️ 完了分をまとめて印刷
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default BatchModal;
@@ -0,0 +1,151 @@
+import React, { useRef } from 'react';
+import { HEADER_FIELDS, DEFAULT_PROFILE, resizeLogo } from '../lib/branding';
+import { readImageFile } from '../lib/files';
+
+// School name, logo, footer and header fields of printed sheets, per campus profile
+function BrandingModal({ branding, onChange, onClose }) {
+    const logoRef = useRef(null);
+    const { profiles, activeId } = branding;
+    const profile = profiles.find(p => p.id === activeId) || profiles[0];
+
+    const updateProfile = (patch) => {
+        onChange({
+            ...branding,
+            profiles: profiles.map(p => (p.id === profile.id ? { ...p, ...patch } : p))
+        });
+    };
+
+    const updateField = (id, checked) => {
+        updateProfile({ headerFields: { ...profile.headerFields, [id]: checked } });
+    };
+
+    const addProfile = (base) => {
+        const copy = {
+            ...(base || DEFAULT_PROFILE),
+            id: `profile-${Date.now()}`,
+            name: base ? `${base.name} (コピー)` : '新しい校舎'
+        };
+        onChange({ profiles: [...profiles, copy], activeId: copy.id });
+    };
+
+    const deleteProfile = () => {
+        if (profiles.length <= 1) return;
+        if (!confirm(`「${profile.name}」を削除しますか？`)) return;
+        const rest = profiles.filter(p => p.id !== profile.id);
+        onChange({ profiles: rest, activeId: rest[0].id });
+    };
+
+    const handleLogo = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            updateProfile({ logo: await resizeLogo(await readImageFile(file)) });
+        } catch (err) {
+            console.error('Error loading logo:', err);
+            alert('ロゴ画像を読み込めませんでした');
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal branding-modal" onClick={e => e.stopPropagation()}>
+                <h3>🏫 校舎・印刷設定</h3>
+
+                <div className="setting-item">
+                    <label>プロフィール</label>
+                    <select value={profile.id} onChange={(e) => onChange({ ...branding, activeId: e.target.value })}>
+                        {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                    </select>
+                    <div className="batch-fields">
+                        <button className="print-chip" onClick={() => addProfile(null)}>＋ 新規</button>
+                        <button className="print-chip" onClick={() => addProfile(profile)}>複製</button>
+                        {profiles.length > 1 && (
+                            <button className="print-chip danger" onClick={deleteProfile}>削除</button>
+                        )}
+                    </div>
+                </div>
+
+                <div className="setting-item">
+                    <label>プロフィール名</label>
+                    <input type="text" value={profile.name} onChange={(e) => updateProfile({ name: e.target.value })} />
+                </div>
+
+                <div className="setting-item">
+                    <label>校舎名（ヘッダーに表示）</label>
+                    <input
+                        type="text"
+                        value={profile.schoolName}
+                        onChange={(e) => updateProfile({ schoolName: e.target.value })}
+                        placeholder="例: ○○校"
+                    />
+                </div>
+
+                <div className="setting-item">
+                    <label>ロゴ</label>
+                    <div className="branding-logo">
+                        {profile.logo && <img src={profile.logo} alt="ロゴ" />}
+                        <button className="print-chip" onClick={() => logoRef.current?.click()}>
+                            {profile.logo ? '変更' : '画像を選ぶ'}
+                        </button>
+                        {profile.logo && (
+                            <button className="print-chip danger" onClick={() => updateProfile({ logo: '' })}>削除</button>
+                        )}
+                        <input ref={logoRef} type="file" accept="image/*" style={{ display: 'none' }} onChange={handleLogo} />
+                    </div>
+                </div>
+
+                <div className="setting-item">
+                    <label>フッター</label>
+                    <input
+                        type="text"
+                        value={profile.footerText}
+                        onChange={(e) => updateProfile({ footerText: e.target.value })}
+                        placeholder="空欄でフッターなし"
+                    />
+                </div>
+
+                <div className="setting-item">
+                    <label>アクセントカラー</label>
+                    <input
+                        type="color"
+                        value={profile.accentColor}
+                        onChange={(e) => updateProfile({ accentColor: e.target.value })}
+                    />
+                </div>
+
+                <div className="setting-item">
+                    <label>ヘッダーに表示する項目</label>
+                    <div className="branding-fields">
+                        {HEADER_FIELDS.map(f => (
+                            <label key={f.id}>
+                                <input
+                                    type="checkbox"
+                                    checked={!!profile.headerFields[f.id]}
+                                    onChange={(e) => updateField(f.id, e.target.checked)}
+                                />
+                                {f.label}
+                            </label>
+                        ))}
+                    </div>
+                </div>
+
+                {profile.headerFields.score && (
+                    <div className="setting-item">
+                        <label>満点</label>
+                        <input
+                            type="number"
+                            min="1"
+                            value={profile.maxScore}
+                            onChange={(e) => updateProfile({ maxScore: Math.max(1, Number(e.target.value) || 100) })}
+                        />
+                    </div>
+                )}
+
+                <button className="primary-btn" onClick={onClose}>閉じる</button>
+            </div>
+        </div>
+    );
+}
+
+export default BrandingModal;
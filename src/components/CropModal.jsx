@@ -0,0 +1,318 @@
+import React, { useState, useRef, useEffect } from 'react';
+import ReactCrop from 'react-image-crop';
+import 'react-image-crop/dist/ReactCrop.css';
+import {
+    OUTPUT_FORMATS,
+    loadPreprocessSettings,
+    savePreprocessSettings,
+    preprocessImage,
+    rotateImage
+} from '../lib/imageProcessing';
+
+const MAX_SIZES = [1024, 1600, 2048, 3000];
+
+const INITIAL_CROP = { unit: '%', width: 90, height: 90, x: 5, y: 5 };
+
+const REGION_LABELS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// Cut a percent crop out of a loaded image
+const cropImage = (img, percentCrop) => {
+    const canvas = document.createElement('canvas');
+    const scaleX = img.naturalWidth / 100;
+    const scaleY = img.naturalHeight / 100;
+
+    canvas.width = percentCrop.width * scaleX;
+    canvas.height = percentCrop.height * scaleY;
+
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(
+        img,
+        percentCrop.x * scaleX,
+        percentCrop.y * scaleY,
+        percentCrop.width * scaleX,
+        percentCrop.height * scaleY,
+        0,
+        0,
+        canvas.width,
+        canvas.height
+    );
+
+    return canvas.toDataURL('image/png');
+};
+
+// Crop → rotate → preprocess. The first step rotates the raw photo and marks
+// one or more labelled regions; the second shows each preprocessed region with
+// a before/after toggle. onConfirm(images, labels, { sameSource }) receives
+// one image per region; sameSource is set when the teacher merged the regions
+// into one problem.
+function CropModal({ image, onConfirm, onCancel }) {
+    const [rotation, setRotation] = useState(0);
+    const [fineRotation, setFineRotation] = useState(0);
+    const [rotatedImage, setRotatedImage] = useState(image);
+    const [crop, setCrop] = useState(INITIAL_CROP);
+    // Crops are kept in percent so they still fit after the fine-rotation
+    // slider resizes the source
+    const [completedCrop, setCompletedCrop] = useState(null);
+    const [regions, setRegions] = useState([]);
+    const cropImageRef = useRef(null);
+
+    // Preprocessing step: one entry per region
+    const [cropped, setCropped] = useState(null);
+    const [labels, setLabels] = useState([]);
+    const [processed, setProcessed] = useState(null);
+    const [skews, setSkews] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const [processing, setProcessing] = useState(false);
+    const [showBefore, setShowBefore] = useState(false);
+    // Regions are separate problems unless merged here
+    const [sameSource, setSameSource] = useState(false);
+    const [settings, setSettings] = useState(loadPreprocessSettings);
+
+    useEffect(() => {
+        savePreprocessSettings(settings);
+    }, [settings]);
+
+    // Re-render the rotated source (debounced for the fine-rotation slider)
+    useEffect(() => {
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            rotateImage(image, rotation + fineRotation)
+                .then(url => { if (!cancelled) setRotatedImage(url); })
+                .catch(e => console.error('Error rotating image:', e));
+        }, 150);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [image, rotation, fineRotation]);
+
+    // Rerun the pipeline whenever the cropped images or settings change
+    useEffect(() => {
+        if (!cropped) return;
+        if (!settings.enabled) {
+            setProcessed(cropped);
+            setSkews([]);
+            return;
+        }
+        let cancelled = false;
+        setProcessing(true);
+        (async () => {
+            const outputs = [];
+            for (const src of cropped) {
+                try {
+                    outputs.push(await preprocessImage(src, settings));
+                } catch (e) {
+                    console.error('Error preprocessing image:', e);
+                    outputs.push({ image: src, skew: 0 });
+                }
+                if (cancelled) return;
+            }
+            setProcessed(outputs.map(o => o.image));
+            setSkews(outputs.map(o => o.skew));
+            setProcessing(false);
+        })();
+        return () => { cancelled = true; };
+    }, [cropped, settings]);
+
+    const turn = (degrees) => {
+        setRotation(prev => (prev + degrees + 360) % 360);
+        setCrop(INITIAL_CROP);
+        setCompletedCrop(null);
+        setRegions([]);
+    };
+
+    const nextLabel = () => [...REGION_LABELS].find(l => !regions.some(r => r.label === l)) || '';
+
+    const addRegion = () => {
+        if (!completedCrop?.width) return;
+        setRegions(prev => [...prev, { crop: completedCrop, label: nextLabel() }]);
+    };
+
+    const removeRegion = (index) => {
+        setRegions(prev => prev.filter((_, i) => i !== index));
+    };
+
+    const confirmCrop = () => {
+        const img = cropImageRef.current;
+        let parts;
+        if (regions.length > 0) {
+            parts = regions.map(r => ({ image: cropImage(img, r.crop), label: r.label }));
+        } else if (completedCrop?.width) {
+            parts = [{ image: cropImage(img, completedCrop), label: '' }];
+        } else {
+            // If no crop, use the (rotated) original
+            parts = [{ image: rotatedImage, label: '' }];
+        }
+        setProcessed(null);
+        setShowBefore(false);
+        setActiveIndex(0);
+        setLabels(parts.map(p => p.label));
+        setCropped(parts.map(p => p.image));
+    };
+
+    const updateSetting = (key, value) => setSettings(prev => ({ ...prev, [key]: value }));
+
+    if (cropped) {
+        const skew = skews[activeIndex] || 0;
+        return (
+            <div className="modal-overlay crop-modal-overlay">
+                <div className="crop-modal">
+                    <h3>🪄 前処理{cropped.length > 1 ? ` (${cropped.length}領域)` : ''}</h3>
+                    <div className="crop-container">
+                        {processing || !processed ? (
+                            <span className="spinner"></span>
+                        ) : (
+                            <img
+                                src={showBefore ? cropped[activeIndex] : processed[activeIndex]}
+                                alt={showBefore ? '処理前' : '処理後'}
+                                style={{ maxWidth: '100%', maxHeight: '50vh' }}
+                            />
+                        )}
+                    </div>
+                    {cropped.length > 1 && (
+                        <div className="region-chips">
+                            {labels.map((label, index) => (
+                                <button
+                                    key={index}
+                                    className={`print-chip ${index === activeIndex ? 'active' : ''}`}
+                                    onClick={() => setActiveIndex(index)}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                    {cropped.length > 1 && (
+                        <label className="backup-option">
+                            <input type="checkbox" checked={sameSource} onChange={(e) => setSameSource(e.target.checked)} />
+                            {cropped.length}つの領域を1つの問題としてまとめる
+                        </label>
+                    )}
+                    <div className="preprocess-options">
+                        <div className="preview-toggle">
+                            <button className={`print-chip ${showBefore ? 'active' : ''}`} onClick={() => setShowBefore(true)}>処理前</button>
+                            <button className={`print-chip ${showBefore ? '' : 'active'}`} onClick={() => setShowBefore(false)}>処理後</button>
+                            {skew !== 0 && <span className="hint-text">傾き補正 {-skew}°</span>}
+                        </div>
+                        <label>
+                            <input type="checkbox" checked={settings.enabled} onChange={(e) => updateSetting('enabled', e.target.checked)} />
+                            前処理を行う
+                        </label>
+                        {settings.enabled && (
+                            <>
+                                <label>
+                                    <input type="checkbox" checked={settings.autoDeskew} onChange={(e) => updateSetting('autoDeskew', e.target.checked)} />
+                                    傾き自動補正
+                                </label>
+                                <label>
+                                    <input type="checkbox" checked={settings.removeShadows} onChange={(e) => updateSetting('removeShadows', e.target.checked)} />
+                                    影除去
+                                </label>
+                                <label>
+                                    <input type="checkbox" checked={settings.grayscale} onChange={(e) => updateSetting('grayscale', e.target.checked)} />
+                                    グレースケール
+                                </label>
+                                <label>
+                                    <input type="checkbox" checked={settings.contrast} onChange={(e) => updateSetting('contrast', e.target.checked)} />
+                                    コントラスト補正
+                                </label>
+                                <label>
+                                    最大サイズ
+                                    <select value={settings.maxSize} onChange={(e) => updateSetting('maxSize', Number(e.target.value))}>
+                                        {MAX_SIZES.map(size => <option key={size} value={size}>{size}px</option>)}
+                                    </select>
+                                </label>
+                                <label>
+                                    形式
+                                    <select value={settings.format} onChange={(e) => updateSetting('format', e.target.value)}>
+                                        {OUTPUT_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                                    </select>
+                                </label>
+                            </>
+                        )}
+                    </div>
+                    <div className="crop-actions">
+                        <button className="cancel-crop-btn" onClick={() => setCropped(null)}>← 戻る</button>
+                        <button
+                            className="confirm-crop-btn"
+                            disabled={processing || !processed}
+                            onClick={() => onConfirm(processed, labels, { sameSource })}
+                        >
+                            ✓ 追加
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="modal-overlay crop-modal-overlay">
+            <div className="crop-modal">
+                <h3>📐 トリミング</h3>
+                <div className="crop-container">
+                    <ReactCrop
+                        crop={crop}
+                        onChange={(c) => setCrop(c)}
+                        onComplete={(_, percentCrop) => setCompletedCrop(percentCrop)}
+                    >
+                        <div className="crop-regions">
+                            <img
+                                ref={cropImageRef}
+                                src={rotatedImage}
+                                alt="Crop preview"
+                                style={{ maxWidth: '100%', maxHeight: '60vh' }}
+                            />
+                            {regions.map(r => (
+                                <div
+                                    key={r.label}
+                                    className="crop-region"
+                                    style={{
+                                        left: `${r.crop.x}%`,
+                                        top: `${r.crop.y}%`,
+                                        width: `${r.crop.width}%`,
+                                        height: `${r.crop.height}%`
+                                    }}
+                                >
+                                    <span>{r.label}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </ReactCrop>
+                </div>
+                <div className="region-chips">
+                    {regions.map((r, index) => (
+                        <span key={r.label} className="region-chip">
+                            {r.label}
+                            <button onClick={() => removeRegion(index)}>✕</button>
+                        </span>
+                    ))}
+                    <button className="print-chip" disabled={!completedCrop?.width} onClick={addRegion}>
+                        ＋ 領域{nextLabel()}として追加
+                    </button>
+                </div>
+                <div className="rotate-controls">
+                    <button className="print-chip" onClick={() => turn(-90)} title="左に90°回転">⟲</button>
+                    <input
+                        type="range"
+                        min="-15"
+                        max="15"
+                        step="0.5"
+                        value={fineRotation}
+                        onChange={(e) => setFineRotation(Number(e.target.value))}
+                    />
+                    <span className="hint-text">{fineRotation}°</span>
+                    <button className="print-chip" onClick={() => turn(90)} title="右に90°回転">⟳</button>
+                </div>
+                <div className="crop-actions">
+                    <button className="cancel-crop-btn" onClick={onCancel}>キャンセル</button>
+                    <button className="confirm-crop-btn" onClick={confirmCrop}>
+                        ✓ 確定{regions.length > 0 ? ` (${regions.length}領域)` : ''}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default CropModal;
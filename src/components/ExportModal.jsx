@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, EXPORT_MODES } from '../lib/exportFiles';
+
+// Download the sheet as PDF / DOCX / HTML, laid out like the print preview
+function ExportModal({ onExport, onClose }) {
+    const [format, setFormat] = useState('pdf');
+    const [exporting, setExporting] = useState(null);
+
+    const handleExport = async (mode) => {
+        setExporting(mode);
+        try {
+            await onExport(mode, format);
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <h3>ファイルに書き出し</h3>
+                <div className="setting-item">
+                    <label>形式</label>
+                    <select value={format} disabled={!!exporting} onChange={(e) => setFormat(e.target.value)}>
+                        {EXPORT_FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+                    </select>
+                </div>
+                <div className="export-modes">
+                    {EXPORT_MODES.map(m => (
+                        <button
+                            key={m.value}
+                            className="print-chip"
+                            disabled={!!exporting}
+                            onClick={() => handleExport(m.value)}
+                        >
+                            {exporting === m.value ? <span className="spinner"></span> : `⬇️ ${m.label}`}
+                        </button>
+                    ))}
+                </div>
+                <p className="hint-text">レイアウトと印刷する段階は印刷と同じ設定が使われます</p>
+                <button className="primary-btn" onClick={onClose}>閉じる</button>
+            </div>
+        </div>
+    );
+}
+
+export default ExportModal;
@@ -0,0 +1,189 @@
+import React, { useState, useMemo } from 'react';
+import Markdown from './Markdown';
+import { sheetDataFromSaved } from '../lib/sheetModel';
+import { VERDICTS, scoreResults } from '../lib/grading';
+
+// Grade photographed answers against a saved sheet. The model proposes a mark
+// for every problem; each one must be confirmed (or overridden) before saving.
+function GradingModal({ sheets, students, images, onDeleteImage, onCapture, onPickFiles, onGrade, onSave, onClose }) {
+    const sortedSheets = useMemo(
+        () => [...sheets].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')),
+        [sheets]
+    );
+    const [sheetId, setSheetId] = useState(sortedSheets[0]?.id ?? '');
+    const [studentId, setStudentId] = useState('');
+    const [maxScore, setMaxScore] = useState(100);
+    const [grading, setGrading] = useState(null);
+    const [busy, setBusy] = useState(false);
+
+    const sheet = sheets.find(s => s.id === Number(sheetId));
+    const data = sheet ? sheetDataFromSaved(sheet) : null;
+    const student = students.find(s => s.id === studentId) || null;
+    const allConfirmed = grading && grading.results.every(r => r.confirmed);
+    const score = grading ? scoreResults(grading.results, maxScore) : 0;
+
+    const changeSheet = (id) => {
+        setSheetId(id);
+        setGrading(null);
+    };
+
+    const runGrading = async () => {
+        if (!sheet || images.length === 0) return;
+        setBusy(true);
+        try {
+            setGrading(await onGrade(sheet));
+        } catch (e) {
+            console.error(e);
+            alert(`採点に失敗しました: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const updateResult = (index, patch) => {
+        setGrading(prev => ({
+            ...prev,
+            results: prev.results.map((r, i) => (i === index ? { ...r, ...patch } : r))
+        }));
+    };
+
+    const confirmAll = () => {
+        setGrading(prev => ({ ...prev, results: prev.results.map(r => ({ ...r, confirmed: true })) }));
+    };
+
+    // Closing discards the captured answer photos, so a stray overlay tap is
+    // ignored once there are any and the close button asks first
+    const requestClose = () => {
+        if (images.length > 0 && !confirm('撮影した答案の写真は破棄されます。閉じますか？')) return;
+        onClose();
+    };
+
+    const handleSave = async () => {
+        if (!allConfirmed) return;
+        setBusy(true);
+        try {
+            await onSave(sheet, student, { ...grading, score, maxScore: Number(maxScore) || 100 });
+            onClose();
+        } catch (e) {
+            console.error('Error saving grading:', e);
+            alert(`保存に失敗しました: ${e.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={busy || images.length > 0 ? undefined : onClose}>
+            <div className="modal roster-modal" onClick={e => e.stopPropagation()}>
+                <div className="library-header">
+                    <h3>✅ 採点</h3>
+                    <button className="library-close" disabled={busy} onClick={requestClose}>✕</button>
+                </div>
+
+                <div className="roster-detail">
+                    <div className="batch-fields">
+                        <select value={sheetId} onChange={(e) => changeSheet(e.target.value)}>
+                            {sortedSheets.length === 0 && <option value="">保存済みシートがありません</option>}
+                            {sortedSheets.map(s => (
+                                <option key={s.id} value={s.id}>
+                                    {s.title || '無題'}{s.studentName ? ` / ${s.studentName}` : ''}{s.assignDate ? ` (${s.assignDate})` : ''}
+                                </option>
+                            ))}
+                        </select>
+                        <select value={studentId} onChange={(e) => setStudentId(e.target.value)}>
+                            <option value="">生徒（名簿）を選択</option>
+                            {students.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                        <label className="library-filter">
+                            満点 <input type="number" value={maxScore} onChange={(e) => setMaxScore(e.target.value)} />
+                        </label>
+                    </div>
+
+                    <h5>解答用紙 ({images.length}枚)</h5>
+                    <div className="image-grid">
+                        {images.map((img, index) => (
+                            <div key={index} className="image-item">
+                                <img src={img} alt={`解答 ${index + 1}`} />
+                                <button className="delete-btn" onClick={() => onDeleteImage(index)}>✕</button>
+                                <span className="page-number">P.{index + 1}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <p className="roster-muted">撮影・ファイル選択、または Ctrl+V で貼り付けできます</p>
+                    <div className="batch-fields">
+                        <button className="print-chip" onClick={onCapture}>📷 解答を撮影</button>
+                        <button className="print-chip" onClick={onPickFiles}>📁 ファイル</button>
+                        <button
+                            className="print-chip"
+                            disabled={busy || !sheet || images.length === 0}
+                            onClick={runGrading}
+                        >
+                            {busy && !grading ? '採点中...' : '🤖 採点する'}
+                        </button>
+                    </div>
+
+                    {grading && data && (
+                        <>
+                            <h5>採点結果（確認してから保存してください）</h5>
+                            {grading.results.map((r, index) => (
+                                <div key={index} className={`assignment-item grading-row ${r.verdict}`}>
+                                    <div className="grading-answers">
+                                        <div>
+                                            <div className="roster-muted">問{index + 1} 模範解答</div>
+                                            <Markdown>{data.problems[index]?.answer || ''}</Markdown>
+                                        </div>
+                                        <div>
+                                            <div className="roster-muted">生徒の答え</div>
+                                            <Markdown>{r.studentAnswer || '（読み取れません）'}</Markdown>
+                                        </div>
+                                    </div>
+                                    <div className="batch-fields">
+                                        <select
+                                            value={r.verdict}
+                                            onChange={(e) => updateResult(index, { verdict: e.target.value, confirmed: true })}
+                                        >
+                                            {Object.entries(VERDICTS).map(([key, v]) => (
+                                                <option key={key} value={key}>{v.label}</option>
+                                            ))}
+                                        </select>
+                                        <input
+                                            type="text"
+                                            className="grading-comment"
+                                            value={r.comment}
+                                            onChange={(e) => updateResult(index, { comment: e.target.value })}
+                                        />
+                                        <label className="library-filter">
+                                            <input
+                                                type="checkbox"
+                                                checked={r.confirmed}
+                                                onChange={(e) => updateResult(index, { confirmed: e.target.checked })}
+                                            />
+                                            確認
+                                        </label>
+                                    </div>
+                                </div>
+                            ))}
+                            {grading.overallComment && <p className="roster-muted">💬 {grading.overallComment}</p>}
+                        </>
+                    )}
+                </div>
+
+                {grading && (
+                    <div className="batch-footer">
+                        <span className="assignment-score">得点 {score}/{maxScore}</span>
+                        <button className="print-chip" onClick={confirmAll}>すべて確認</button>
+                        <button
+                            className="print-chip"
+                            disabled={busy || !allConfirmed}
+                            onClick={handleSave}
+                        >
+                            💾 得点を保存
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default GradingModal;
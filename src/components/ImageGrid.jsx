@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { sourceNumbers, nextSourceId } from '../lib/imageSources';
+
+// Problem image thumbnails: drag (or ◀ ▶) to reorder, pick a source group,
+// delete
+function ImageGrid({ images, meta, onDelete, onMove, onSetSource }) {
+    const [dragIndex, setDragIndex] = useState(null);
+    const [overIndex, setOverIndex] = useState(null);
+    const numbers = sourceNumbers(meta);
+    const newSource = nextSourceId(meta);
+
+    const handleDrop = (e, index) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (dragIndex !== null) onMove(dragIndex, index);
+        setDragIndex(null);
+        setOverIndex(null);
+    };
+
+    return (
+        <div className="image-grid sortable">
+            {images.map((img, index) => {
+                const m = meta[index];
+                return (
+                    <div
+                        key={index}
+                        className={`image-item ${dragIndex === index ? 'dragging' : ''} ${overIndex === index ? 'drag-over' : ''}`}
+                        draggable
+                        onDragStart={(e) => {
+                            e.dataTransfer.effectAllowed = 'move';
+                            setDragIndex(index);
+                        }}
+                        onDragOver={(e) => {
+                            e.preventDefault();
+                            setOverIndex(index);
+                        }}
+                        onDragLeave={() => setOverIndex(null)}
+                        onDrop={(e) => handleDrop(e, index)}
+                        onDragEnd={() => { setDragIndex(null); setOverIndex(null); }}
+                    >
+                        <img src={img} alt={`問題 ${index + 1}`} draggable={false} />
+                        <button className="delete-btn" onClick={() => onDelete(index)}>✕</button>
+                        <span className="page-number">P.{index + 1}{m.label ? ` ${m.label}` : ''}</span>
+                        <div className="image-item-controls">
+                            <button disabled={index === 0} onClick={() => onMove(index, index - 1)}>◀</button>
+                            <select
+                                value={m.source}
+                                onChange={(e) => onSetSource(index, Number(e.target.value))}
+                                title="出典"
+                            >
+                                {[...numbers.entries()].map(([source, number]) => (
+                                    <option key={source} value={source}>出典{number}</option>
+                                ))}
+                                <option value={newSource}>＋新規</option>
+                            </select>
+                            <button disabled={index === images.length - 1} onClick={() => onMove(index, index + 1)}>▶</button>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+export default ImageGrid;
@@ -0,0 +1,209 @@
+import React, { useState, useMemo } from 'react';
+import { GRADE_LEVELS } from '../lib/templates';
+import { sheetTags, tagLabel } from '../lib/curriculum';
+
+const SORT_OPTIONS = [
+    { value: 'createdDesc', label: '作成日（新しい順）' },
+    { value: 'createdAsc', label: '作成日（古い順）' },
+    { value: 'dueAsc', label: '提出期限（近い順）' },
+    { value: 'assignDesc', label: '日付（新しい順）' },
+    { value: 'title', label: 'タイトル順' },
+    { value: 'unit', label: '単元順' },
+];
+
+const gradeIndex = (grade) => {
+    const i = GRADE_LEVELS.indexOf(grade);
+    return i < 0 ? GRADE_LEVELS.length : i;
+};
+
+// Untagged sheets sort after tagged ones
+const unitOrder = (sheet) => {
+    const [tag] = sheetTags(sheet);
+    return tag ? `${String(gradeIndex(tag.grade)).padStart(2, '0')}${tag.subject}${tag.unit}` : '\uffff';
+};
+
+const matchesTag = (tag, filter) =>
+    (!filter.grade || tag.grade === filter.grade)
+    && (!filter.subject || tag.subject === filter.subject)
+    && (!filter.unit || tag.unit === filter.unit);
+
+const today = () => new Date().toISOString().split('T')[0];
+
+export const isOverdue = (sheet) => !!sheet.dueDate && sheet.dueDate < today();
+
+const compareSheets = (sortKey) => (a, b) => {
+    switch (sortKey) {
+        case 'createdAsc':
+            return (a.createdAt || '').localeCompare(b.createdAt || '');
+        case 'dueAsc':
+            // Sheets without a due date go last
+            if (!a.dueDate) return b.dueDate ? 1 : 0;
+            if (!b.dueDate) return -1;
+            return a.dueDate.localeCompare(b.dueDate);
+        case 'assignDesc':
+            return (b.assignDate || '').localeCompare(a.assignDate || '');
+        case 'title':
+            return (a.title || '').localeCompare(b.title || '', 'ja');
+        case 'unit':
+            return unitOrder(a).localeCompare(unitOrder(b), 'ja') || (b.createdAt || '').localeCompare(a.createdAt || '');
+        case 'createdDesc':
+        default:
+            return (b.createdAt || '').localeCompare(a.createdAt || '');
+    }
+};
+
+function LibraryModal({ sheets, currentSheetId, onOpen, onDuplicate, onDelete, onClose }) {
+    const [query, setQuery] = useState('');
+    const [sortKey, setSortKey] = useState('createdDesc');
+    const [overdueOnly, setOverdueOnly] = useState(false);
+    // Curriculum tag filter: '' = any
+    const [tagFilter, setTagFilter] = useState({ grade: '', subject: '', unit: '' });
+
+    // Filter choices from the tags in use; units with their sheet counts
+    const tagOptions = useMemo(() => {
+        const tags = sheets.flatMap(sheetTags);
+        const unique = (list) => [...new Set(list)];
+        const units = unique(tags
+            .filter(t => matchesTag(t, { ...tagFilter, unit: '' }))
+            .map(t => t.unit));
+        return {
+            grades: unique(tags.map(t => t.grade)).sort((a, b) => gradeIndex(a) - gradeIndex(b)),
+            subjects: unique(tags.map(t => t.subject)),
+            units: units.map(unit => ({
+                unit,
+                count: sheets.filter(sheet => sheetTags(sheet).some(t => matchesTag(t, { ...tagFilter, unit }))).length
+            }))
+        };
+    }, [sheets, tagFilter]);
+
+    const tagFiltered = tagFilter.grade || tagFilter.subject || tagFilter.unit;
+
+    const visibleSheets = useMemo(() => {
+        const q = query.trim().toLowerCase();
+        return sheets
+            .filter(sheet => !overdueOnly || isOverdue(sheet))
+            .filter(sheet => !tagFiltered || sheetTags(sheet).some(t => matchesTag(t, tagFilter)))
+            .filter(sheet => {
+                if (!q) return true;
+                return [sheet.title, sheet.studentName, sheet.instructorName, sheet.assignDate, sheet.dueDate, ...sheetTags(sheet).map(t => tagLabel(t))]
+                    .some(field => (field || '').toLowerCase().includes(q));
+            })
+            .sort(compareSheets(sortKey));
+    }, [sheets, query, sortKey, overdueOnly, tagFilter, tagFiltered]);
+
+    const updateTagFilter = (key, value) => setTagFilter(prev => ({
+        ...prev,
+        [key]: value,
+        // A unit picked under another grade / subject may not exist any more
+        ...(key !== 'unit' ? { unit: '' } : {})
+    }));
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal library-modal" onClick={e => e.stopPropagation()}>
+                <div className="library-header">
+                    <h3>📚 保存済みシート ({sheets.length})</h3>
+                    <button className="library-close" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="library-toolbar">
+                    <input
+                        type="search"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        placeholder="タイトル・生徒・講師・日付・単元で検索"
+                    />
+                    <select value={sortKey} onChange={(e) => setSortKey(e.target.value)}>
+                        {SORT_OPTIONS.map(opt => (
+                            <option key={opt.value} value={opt.value}>{opt.label}</option>
+                        ))}
+                    </select>
+                    <label className="library-filter">
+                        <input
+                            type="checkbox"
+                            checked={overdueOnly}
+                            onChange={(e) => setOverdueOnly(e.target.checked)}
+                        />
+                        期限切れのみ
+                    </label>
+                </div>
+
+                {tagOptions.grades.length > 0 && (
+                    <div className="library-toolbar">
+                        <select value={tagFilter.grade} onChange={(e) => updateTagFilter('grade', e.target.value)}>
+                            <option value="">全学年</option>
+                            {tagOptions.grades.map(g => <option key={g} value={g}>{g}</option>)}
+                        </select>
+                        <select value={tagFilter.subject} onChange={(e) => updateTagFilter('subject', e.target.value)}>
+                            <option value="">全教科</option>
+                            {tagOptions.subjects.map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                        <select value={tagFilter.unit} onChange={(e) => updateTagFilter('unit', e.target.value)}>
+                            <option value="">全単元</option>
+                            {tagOptions.units.map(u => <option key={u.unit} value={u.unit}>{u.unit} ({u.count})</option>)}
+                        </select>
+                        {tagFiltered && (
+                            <button className="print-chip" onClick={() => setTagFilter({ grade: '', subject: '', unit: '' })}>✕ 解除</button>
+                        )}
+                    </div>
+                )}
+
+                <div className="library-list">
+                    {visibleSheets.length === 0 ? (
+                        <p className="library-empty">
+                            {sheets.length === 0 ? '保存されたシートはまだありません' : '該当するシートがありません'}
+                        </p>
+                    ) : visibleSheets.map(sheet => (
+                        <div
+                            key={sheet.id}
+                            className={`library-item ${sheet.id === currentSheetId ? 'current' : ''}`}
+                        >
+                            {sheet.images?.length > 0 && (
+                                <img className="library-thumb" src={sheet.images[0]} alt="" />
+                            )}
+                            <div className="library-info">
+                                <div className="library-title">
+                                    {sheet.title || '無題'}
+                                    {isOverdue(sheet) && <span className="overdue-badge">期限切れ</span>}
+                                </div>
+                                <div className="library-meta">
+                                    {sheet.studentName && <span>生徒: {sheet.studentName}</span>}
+                                    {sheet.instructorName && <span>講師: {sheet.instructorName}</span>}
+                                    {sheet.assignDate && <span>日付: {sheet.assignDate}</span>}
+                                    {sheet.dueDate && <span>期限: {sheet.dueDate}</span>}
+                                    {sheet.variants?.length > 0 && (
+                                        <span>A/B: {sheet.variants.length + 1}版</span>
+                                    )}
+                                    {sheet.gradings?.length > 0 && (
+                                        <span>採点: {sheet.gradings.at(-1).score}/{sheet.gradings.at(-1).maxScore}</span>
+                                    )}
+                                </div>
+                                {sheetTags(sheet).length > 0 && (
+                                    <div className="library-tags">
+                                        {sheetTags(sheet).map(tag => (
+                                            <button
+                                                key={`${tag.unitId}|${tag.skill}`}
+                                                className="unit-tag"
+                                                onClick={() => setTagFilter({ grade: tag.grade, subject: tag.subject, unit: tag.unit })}
+                                                title="この単元で絞り込む"
+                                            >
+                                                {tagLabel(tag)}
+                                            </button>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                            <div className="library-actions">
+                                <button className="print-chip" onClick={() => onOpen(sheet)}>開く</button>
+                                <button className="print-chip" onClick={() => onDuplicate(sheet)}>複製</button>
+                                <button className="print-chip danger" onClick={() => onDelete(sheet.id)}>削除</button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default LibraryModal;
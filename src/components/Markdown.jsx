@@ -0,0 +1,15 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+
+// Markdown with KaTeX math, as used everywhere results are shown
+function Markdown({ children }) {
+    return (
+        <ReactMarkdown remarkPlugins={[remarkMath]} rehypePlugins={[rehypeKatex]}>
+            {children}
+        </ReactMarkdown>
+    );
+}
+
+export default Markdown;
@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import { DISTRACTOR_COUNTS, DEFAULT_DISTRACTOR_COUNT } from '../lib/multipleChoice';
+import { CHOICE_LABELS } from '../lib/sheetModel';
+
+// Turn the sheet into a multiple-choice quick check, or back into written problems
+function MultipleChoiceModal({ active, converting, onConvert, onRemove, onClose }) {
+    const [count, setCount] = useState(DEFAULT_DISTRACTOR_COUNT);
+
+    return (
+        <div className="modal-overlay" onClick={converting ? undefined : onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <h3>🔘 選択式に変換</h3>
+                <p className="hint-text">
+                    講師向けガイドの「つまずきやすいポイント」をもとに誤答の選択肢を作り、選択肢の順番を入れ替えます。
+                    解答には誤答ごとの間違いの理由が入り、印刷ではマークシート式の解答欄が付きます。
+                </p>
+
+                <div className="setting-item">
+                    <label>選択肢の数</label>
+                    <select value={count} disabled={converting} onChange={(e) => setCount(Number(e.target.value))}>
+                        {DISTRACTOR_COUNTS.map(n => (
+                            <option key={n} value={n}>{n + 1}択（{CHOICE_LABELS.slice(0, n + 1).join('・')}）</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="batch-fields">
+                    <button className="primary-btn" disabled={converting} onClick={() => onConvert(count)}>
+                        {converting ? (
+                            <><span className="spinner"></span> 選択肢を作成中…</>
+                        ) : active ? '選択肢を作り直す' : '変換'}
+                    </button>
+                    {active && !converting && (
+                        <button className="print-chip danger" onClick={onRemove}>記述式に戻す</button>
+                    )}
+                </div>
+                {!converting && <button className="print-chip" onClick={onClose}>閉じる</button>}
+            </div>
+        </div>
+    );
+}
+
+export default MultipleChoiceModal;
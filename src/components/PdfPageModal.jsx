@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+
+// Short PDFs start with every page picked; long ones with none
+const PRESELECT_MAX_PAGES = 10;
+
+// Pick which PDF pages to add as problem images. `thumbnails` are small
+// previews of the first pages; onAdd(indices) renders the picked ones.
+// `progress` (0–1) is set while they are rendered.
+function PdfPageModal({ fileName, numPages, thumbnails, progress, onAdd, onClose }) {
+    const [selected, setSelected] = useState(() =>
+        (numPages <= PRESELECT_MAX_PAGES ? thumbnails.map((_, i) => i) : []));
+    const busy = progress !== null;
+
+    const togglePage = (index) => {
+        setSelected(prev => (prev.includes(index)
+            ? prev.filter(i => i !== index)
+            : [...prev, index].sort((a, b) => a - b)));
+    };
+
+    return (
+        <div className="modal-overlay" onClick={busy ? undefined : onClose}>
+            <div className="modal library-modal" onClick={e => e.stopPropagation()}>
+                <div className="library-header">
+                    <h3>📄 {fileName}</h3>
+                    <button className="library-close" disabled={busy} onClick={onClose}>✕</button>
+                </div>
+
+                <div className="library-toolbar">
+                    <button className="print-chip" onClick={() => setSelected(thumbnails.map((_, i) => i))}>すべて選択</button>
+                    <button className="print-chip" onClick={() => setSelected([])}>選択解除</button>
+                </div>
+                {numPages > thumbnails.length && (
+                    <p className="hint-text">全{numPages}ページのうち、先頭の{thumbnails.length}ページを表示しています。</p>
+                )}
+
+                <div className="library-list pdf-page-grid">
+                    {thumbnails.map((page, index) => (
+                        <label key={index} className={`pdf-page ${selected.includes(index) ? 'selected' : ''}`}>
+                            <img src={page} alt={`${index + 1}ページ`} />
+                            <span>
+                                <input
+                                    type="checkbox"
+                                    checked={selected.includes(index)}
+                                    onChange={() => togglePage(index)}
+                                />
+                                {index + 1}
+                            </span>
+                        </label>
+                    ))}
+                </div>
+
+                <div className="batch-footer">
+                    <button
+                        className="print-chip"
+                        disabled={selected.length === 0 || busy}
+                        onClick={() => onAdd(selected)}
+                    >
+                        {busy
+                            ? `読み込み中… ${Math.round(progress * 100)}%`
+                            : `選択した${selected.length}ページを追加`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PdfPageModal;
@@ -0,0 +1,96 @@
+import React from 'react';
+import {
+    PRINT_SECTIONS,
+    ANSWER_SPACES,
+    DEFAULT_PRINT_LAYOUT,
+    moveSection
+} from '../lib/printLayout';
+
+// Worksheet layout options used by every print preview
+function PrintLayoutModal({ layout, onChange, onClose }) {
+    const update = (key, value) => onChange({ ...layout, [key]: value });
+
+    const sectionLabel = (id) => PRINT_SECTIONS.find(s => s.id === id)?.label || id;
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <h3>印刷レイアウト</h3>
+
+                <div className="setting-item">
+                    <label>段組み</label>
+                    <select value={layout.columns} onChange={(e) => update('columns', Number(e.target.value))}>
+                        <option value={1}>1段</option>
+                        <option value={2}>2段</option>
+                    </select>
+                </div>
+
+                <div className="setting-item">
+                    <label>解答スペース</label>
+                    <select value={layout.answerSpace} onChange={(e) => update('answerSpace', e.target.value)}>
+                        {ANSWER_SPACES.map(a => <option key={a.value} value={a.value}>{a.label}</option>)}
+                    </select>
+                </div>
+
+                {(layout.answerSpace === 'box' || layout.answerSpace === 'lines') && (
+                    <div className="setting-item">
+                        <label>解答スペースの高さ: {layout.answerHeight}mm</label>
+                        <input
+                            type="range"
+                            min="10"
+                            max="120"
+                            step="5"
+                            value={layout.answerHeight}
+                            onChange={(e) => update('answerHeight', Number(e.target.value))}
+                        />
+                    </div>
+                )}
+
+                <div className="setting-item">
+                    <label>1ページの問題数</label>
+                    <select value={layout.problemsPerPage} onChange={(e) => update('problemsPerPage', Number(e.target.value))}>
+                        <option value={0}>自動</option>
+                        {[1, 2, 3, 4, 5, 6, 8, 10].map(n => <option key={n} value={n}>{n}問</option>)}
+                    </select>
+                </div>
+
+                <div className="setting-item layout-check">
+                    <label>
+                        <input
+                            type="checkbox"
+                            checked={layout.keepTogether}
+                            onChange={(e) => update('keepTogether', e.target.checked)}
+                        />
+                        問題をページの途中で分割しない
+                    </label>
+                </div>
+
+                <div className="setting-item">
+                    <label>「全て」を印刷するときの順番</label>
+                    {layout.sectionOrder.map((id, index) => (
+                        <div key={id} className="section-order-item">
+                            <span>{index + 1}. {sectionLabel(id)}</span>
+                            <button
+                                className="print-chip"
+                                disabled={index === 0}
+                                onClick={() => update('sectionOrder', moveSection(layout.sectionOrder, id, -1))}
+                            >▲</button>
+                            <button
+                                className="print-chip"
+                                disabled={index === layout.sectionOrder.length - 1}
+                                onClick={() => update('sectionOrder', moveSection(layout.sectionOrder, id, 1))}
+                            >▼</button>
+                        </div>
+                    ))}
+                </div>
+
+                <div className="batch-fields">
+                    <button className="print-chip" onClick={() => onChange(DEFAULT_PRINT_LAYOUT)}>既定に戻す</button>
+                </div>
+                <button className="primary-btn" onClick={onClose}>閉じる</button>
+            </div>
+        </div>
+    );
+}
+
+export default PrintLayoutModal;
@@ -0,0 +1,350 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { isOverdue } from './LibraryModal';
+import {
+    getAllAssignments,
+    putAssignment,
+    removeAssignment,
+    putStudent,
+    removeStudent,
+    newRecordId
+} from '../lib/db';
+import { sheetDataFromSaved } from '../lib/sheetModel';
+import { GRADE_LEVELS } from '../lib/templates';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const percent = (a) => (a.maxScore ? Math.round((a.score / a.maxScore) * 100) : 0);
+
+// Score trend as a small SVG line (oldest → newest)
+function ScoreTrend({ assignments }) {
+    const points = assignments
+        .filter(a => a.status === 'returned')
+        .sort((a, b) => (a.assignDate || '').localeCompare(b.assignDate || ''));
+    if (points.length === 0) return <p className="roster-muted">まだ得点の記録がありません</p>;
+
+    const width = 280;
+    const height = 80;
+    const step = points.length > 1 ? width / (points.length - 1) : 0;
+    const coords = points.map((a, i) => [i * step, height - (percent(a) / 100) * height]);
+    const average = Math.round(points.reduce((sum, a) => sum + percent(a), 0) / points.length);
+
+    return (
+        <div className="score-trend">
+            <svg viewBox={`-6 -6 ${width + 12} ${height + 12}`} width="100%" height={height + 12}>
+                <line x1="0" y1={height / 2} x2={width} y2={height / 2} className="trend-mid" />
+                <polyline points={coords.map(c => c.join(',')).join(' ')} className="trend-line" />
+                {coords.map(([x, y], i) => (
+                    <circle key={i} cx={x} cy={y} r="3.5" className="trend-dot">
+                        <title>{`${points[i].assignDate}: ${percent(points[i])}%`}</title>
+                    </circle>
+                ))}
+            </svg>
+            <div className="roster-muted">平均 {average}% ・ 記録 {points.length}件</div>
+        </div>
+    );
+}
+
+// Inline form for recording a returned assignment
+function ResultForm({ assignment, problemCount, onSave, onCancel }) {
+    const [score, setScore] = useState(assignment.score ?? '');
+    const [maxScore, setMaxScore] = useState(assignment.maxScore ?? 100);
+    const [timeTakenMin, setTimeTakenMin] = useState(assignment.timeTakenMin ?? '');
+    const [wrongProblems, setWrongProblems] = useState(assignment.wrongProblems || []);
+
+    const toggleWrong = (index) => {
+        setWrongProblems(prev => (prev.includes(index)
+            ? prev.filter(i => i !== index)
+            : [...prev, index].sort((a, b) => a - b)));
+    };
+
+    const handleSave = () => {
+        if (score === '' || Number.isNaN(Number(score))) {
+            alert('得点を入力してください');
+            return;
+        }
+        onSave({
+            ...assignment,
+            status: 'returned',
+            score: Number(score),
+            maxScore: Number(maxScore) || 100,
+            timeTakenMin: timeTakenMin === '' ? null : Number(timeTakenMin),
+            wrongProblems,
+            returnedAt: new Date().toISOString()
+        });
+    };
+
+    return (
+        <div className="result-form">
+            <div className="batch-fields">
+                <label>得点 <input type="number" value={score} onChange={(e) => setScore(e.target.value)} /></label>
+                <label>/ <input type="number" value={maxScore} onChange={(e) => setMaxScore(e.target.value)} /></label>
+                <label>時間 <input type="number" value={timeTakenMin} onChange={(e) => setTimeTakenMin(e.target.value)} /> 分</label>
+            </div>
+            {problemCount > 0 && (
+                <div className="wrong-problems">
+                    <span className="roster-muted">間違えた問題:</span>
+                    {Array.from({ length: problemCount }, (_, i) => (
+                        <label key={i} className="library-filter">
+                            <input type="checkbox" checked={wrongProblems.includes(i)} onChange={() => toggleWrong(i)} />
+                            問{i + 1}
+                        </label>
+                    ))}
+                </div>
+            )}
+            <div className="library-actions">
+                <button className="print-chip" onClick={handleSave}>保存</button>
+                <button className="print-chip" onClick={onCancel}>キャンセル</button>
+            </div>
+        </div>
+    );
+}
+
+// Student roster with per-student assignment history and score entry
+function RosterModal({ students, setStudents, sheets, onClose }) {
+    const [assignments, setAssignments] = useState([]);
+    const [selectedId, setSelectedId] = useState(students[0]?.id ?? null);
+    const [newName, setNewName] = useState('');
+    const [newGrade, setNewGrade] = useState('中1');
+    const [recordingId, setRecordingId] = useState(null);
+    const [assignSheetId, setAssignSheetId] = useState('');
+    const [assignDate, setAssignDate] = useState(today());
+    const [dueDate, setDueDate] = useState('');
+
+    useEffect(() => {
+        getAllAssignments()
+            .then(setAssignments)
+            .catch(e => console.error('Error loading assignments:', e));
+    }, []);
+
+    const selected = students.find(s => s.id === selectedId);
+    const sheetById = useMemo(() => new Map(sheets.map(s => [s.id, s])), [sheets]);
+    const sortedSheets = useMemo(
+        () => [...sheets].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')),
+        [sheets]
+    );
+
+    const studentAssignments = assignments
+        .filter(a => a.studentId === selectedId)
+        .sort((a, b) => (b.assignDate || '').localeCompare(a.assignDate || ''));
+
+    const overdueCount = (studentId) => assignments
+        .filter(a => a.studentId === studentId && a.status !== 'returned' && isOverdue(a)).length;
+
+    const saveStudent = async (student) => {
+        try {
+            await putStudent(student);
+            setStudents(prev => (prev.some(s => s.id === student.id)
+                ? prev.map(s => (s.id === student.id ? student : s))
+                : [...prev, student]));
+        } catch (e) {
+            console.error('Error saving student:', e);
+            alert(`保存に失敗しました: ${e.message}`);
+        }
+    };
+
+    const addStudent = async () => {
+        const name = newName.trim();
+        if (!name) return;
+        const student = { id: newRecordId(), name, gradeLevel: newGrade, notes: '', createdAt: new Date().toISOString() };
+        await saveStudent(student);
+        setSelectedId(student.id);
+        setNewName('');
+    };
+
+    const deleteStudent = async (student) => {
+        if (!confirm(`${student.name} さんと割り当て履歴を削除しますか？`)) return;
+        try {
+            await removeStudent(student.id);
+        } catch (e) {
+            console.error('Error deleting student:', e);
+            alert(`削除に失敗しました: ${e.message}`);
+            return;
+        }
+        setStudents(prev => prev.filter(s => s.id !== student.id));
+        setAssignments(prev => prev.filter(a => a.studentId !== student.id));
+        setSelectedId(null);
+    };
+
+    const saveAssignment = async (assignment) => {
+        try {
+            await putAssignment(assignment);
+            setAssignments(prev => (prev.some(a => a.id === assignment.id)
+                ? prev.map(a => (a.id === assignment.id ? assignment : a))
+                : [...prev, assignment]));
+        } catch (e) {
+            console.error('Error saving assignment:', e);
+            alert(`保存に失敗しました: ${e.message}`);
+        }
+    };
+
+    const assignSheet = async () => {
+        if (!selected || !assignSheetId) return;
+        await saveAssignment({
+            id: newRecordId(),
+            studentId: selected.id,
+            sheetId: Number(assignSheetId),
+            assignDate,
+            dueDate,
+            status: 'assigned',
+            score: null,
+            maxScore: 100,
+            timeTakenMin: null,
+            wrongProblems: [],
+            returnedAt: null,
+            createdAt: new Date().toISOString()
+        });
+        setAssignSheetId('');
+    };
+
+    const deleteAssignment = async (id) => {
+        if (!confirm('この割り当てを削除しますか？')) return;
+        try {
+            await removeAssignment(id);
+            setAssignments(prev => prev.filter(a => a.id !== id));
+        } catch (e) {
+            console.error('Error deleting assignment:', e);
+            alert(`削除に失敗しました: ${e.message}`);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal roster-modal" onClick={e => e.stopPropagation()}>
+                <div className="library-header">
+                    <h3>👥 生徒名簿 ({students.length})</h3>
+                    <button className="library-close" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="roster-body">
+                    <div className="roster-list">
+                        {students.map(student => (
+                            <button
+                                key={student.id}
+                                className={`roster-student ${student.id === selectedId ? 'current' : ''}`}
+                                onClick={() => { setSelectedId(student.id); setRecordingId(null); }}
+                            >
+                                <span>{student.name}</span>
+                                <span className="roster-muted">{student.gradeLevel}</span>
+                                {overdueCount(student.id) > 0 && (
+                                    <span className="overdue-badge">期限切れ {overdueCount(student.id)}</span>
+                                )}
+                            </button>
+                        ))}
+                        <div className="roster-add">
+                            <input
+                                type="text"
+                                value={newName}
+                                onChange={(e) => setNewName(e.target.value)}
+                                onKeyDown={(e) => { if (e.key === 'Enter') addStudent(); }}
+                                placeholder="生徒名"
+                            />
+                            <select value={newGrade} onChange={(e) => setNewGrade(e.target.value)}>
+                                {GRADE_LEVELS.map(g => <option key={g} value={g}>{g}</option>)}
+                            </select>
+                            <button className="print-chip" onClick={addStudent}>＋ 追加</button>
+                        </div>
+                    </div>
+
+                    <div className="roster-detail">
+                        {!selected ? (
+                            <p className="library-empty">生徒を選択または追加してください</p>
+                        ) : (
+                            <>
+                                <div className="roster-profile">
+                                    <h4>{selected.name}</h4>
+                                    <select
+                                        value={selected.gradeLevel}
+                                        onChange={(e) => saveStudent({ ...selected, gradeLevel: e.target.value })}
+                                    >
+                                        {GRADE_LEVELS.map(g => <option key={g} value={g}>{g}</option>)}
+                                    </select>
+                                    <button className="print-chip danger" onClick={() => deleteStudent(selected)}>削除</button>
+                                </div>
+                                <textarea
+                                    key={selected.id}
+                                    className="roster-notes"
+                                    defaultValue={selected.notes}
+                                    onBlur={(e) => {
+                                        if (e.target.value !== selected.notes) saveStudent({ ...selected, notes: e.target.value });
+                                    }}
+                                    placeholder="メモ（苦手分野・志望校など）"
+                                    rows={2}
+                                />
+
+                                <h5>得点の推移</h5>
+                                <ScoreTrend assignments={studentAssignments} />
+
+                                <h5>シートを割り当てる</h5>
+                                <div className="batch-fields">
+                                    <select value={assignSheetId} onChange={(e) => setAssignSheetId(e.target.value)}>
+                                        <option value="">保存済みシートを選択</option>
+                                        {sortedSheets.map(sheet => (
+                                            <option key={sheet.id} value={sheet.id}>
+                                                {sheet.title || '無題'}{sheet.assignDate ? ` (${sheet.assignDate})` : ''}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <input type="date" value={assignDate} onChange={(e) => setAssignDate(e.target.value)} title="日付" />
+                                    <input type="date" value={dueDate} onChange={(e) => setDueDate(e.target.value)} title="提出期限" />
+                                    <button className="print-chip" disabled={!assignSheetId} onClick={assignSheet}>割り当て</button>
+                                </div>
+
+                                <h5>履歴</h5>
+                                {studentAssignments.length === 0 ? (
+                                    <p className="roster-muted">割り当てはまだありません</p>
+                                ) : studentAssignments.map(a => {
+                                    const sheet = sheetById.get(a.sheetId);
+                                    const overdue = a.status !== 'returned' && isOverdue(a);
+                                    return (
+                                        <div key={a.id} className="assignment-item">
+                                            <div className="assignment-row">
+                                                <div className="library-info">
+                                                    <div className="library-title">
+                                                        {sheet ? sheet.title || '無題' : '（削除されたシート）'}
+                                                        {overdue && <span className="overdue-badge">期限切れ</span>}
+                                                    </div>
+                                                    <div className="library-meta">
+                                                        {a.assignDate && <span>日付: {a.assignDate}</span>}
+                                                        {a.dueDate && <span>期限: {a.dueDate}</span>}
+                                                        {a.status === 'returned' ? (
+                                                            <>
+                                                                <span className="assignment-score">{a.score}/{a.maxScore}</span>
+                                                                {a.timeTakenMin != null && <span>{a.timeTakenMin}分</span>}
+                                                                {a.wrongProblems.length > 0 && (
+                                                                    <span>誤答: {a.wrongProblems.map(i => `問${i + 1}`).join('・')}</span>
+                                                                )}
+                                                            </>
+                                                        ) : <span>未提出</span>}
+                                                    </div>
+                                                </div>
+                                                <div className="library-actions">
+                                                    <button className="print-chip" onClick={() => setRecordingId(a.id)}>
+                                                        {a.status === 'returned' ? '修正' : '結果を記録'}
+                                                    </button>
+                                                    <button className="print-chip danger" onClick={() => deleteAssignment(a.id)}>削除</button>
+                                                </div>
+                                            </div>
+                                            {recordingId === a.id && (
+                                                <ResultForm
+                                                    assignment={a}
+                                                    problemCount={sheet ? sheetDataFromSaved(sheet).problems.length : 0}
+                                                    onSave={async (updated) => {
+                                                        await saveAssignment(updated);
+                                                        setRecordingId(null);
+                                                    }}
+                                                    onCancel={() => setRecordingId(null)}
+                                                />
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default RosterModal;
@@ -0,0 +1,122 @@
+import React, { useState, useRef, useMemo } from 'react';
+import Markdown from './Markdown';
+import { findMathErrors } from '../lib/mathCheck';
+
+const MATH_TEMPLATES = [
+    { label: '分数', text: '$\\frac{a}{b}$' },
+    { label: '√', text: '$\\sqrt{x}$' },
+    { label: '累乗', text: '$x^{2}$' },
+    { label: '連立方程式', text: '$$\n\\begin{cases}\nx + y = 5 \\\\\nx - y = 1\n\\end{cases}\n$$' },
+];
+
+// Source split into plain text and marked math errors, for the layer drawn
+// behind the textarea
+const highlightErrors = (source, errors) => {
+    const parts = [];
+    let pos = 0;
+    errors.forEach((err, i) => {
+        parts.push(source.slice(pos, err.start));
+        parts.push(<mark key={i}>{source.slice(err.start, err.end)}</mark>);
+        pos = err.end;
+    });
+    // A trailing newline only gets a line box when something follows it
+    parts.push(`${source.slice(pos)}\n`);
+    return parts;
+};
+
+// Side-by-side Markdown/LaTeX source editor with live KaTeX preview. Broken
+// math is underlined in place in the source.
+function SheetEditor({ initialMarkdown, onApply, onCancel }) {
+    const [source, setSource] = useState(initialMarkdown);
+    const textareaRef = useRef(null);
+    const highlightsRef = useRef(null);
+
+    const mathErrors = useMemo(() => findMathErrors(source), [source]);
+
+    const syncScroll = () => {
+        if (highlightsRef.current) highlightsRef.current.scrollTop = textareaRef.current.scrollTop;
+    };
+
+    // Insert a template at the cursor (replacing any selection)
+    const insertTemplate = (text) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+        const { selectionStart, selectionEnd } = textarea;
+        const next = source.slice(0, selectionStart) + text + source.slice(selectionEnd);
+        setSource(next);
+        requestAnimationFrame(() => {
+            textarea.focus();
+            const cursor = selectionStart + text.length;
+            textarea.setSelectionRange(cursor, cursor);
+        });
+    };
+
+    // Select the broken math in the source
+    const jumpTo = (error) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+        textarea.focus();
+        textarea.setSelectionRange(error.start, error.end);
+    };
+
+    const handleApply = () => {
+        if (mathErrors.length > 0 &&
+            !confirm(`数式エラーが${mathErrors.length}件あります。このまま反映しますか？`)) {
+            return;
+        }
+        onApply(source);
+    };
+
+    return (
+        <div className="modal-overlay editor-overlay">
+            <div className="editor-modal">
+                <div className="editor-header">
+                    <h3>✏️ 編集</h3>
+                    <div className="math-toolbar">
+                        {MATH_TEMPLATES.map(t => (
+                            <button key={t.label} className="chip-btn" onClick={() => insertTemplate(t.text)}>
+                                {t.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="editor-body">
+                    <div className="editor-pane">
+                        <div className="editor-source">
+                            <div className="editor-highlights" ref={highlightsRef} aria-hidden="true">
+                                {highlightErrors(source, mathErrors)}
+                            </div>
+                            <textarea
+                                ref={textareaRef}
+                                value={source}
+                                onChange={(e) => setSource(e.target.value)}
+                                onScroll={syncScroll}
+                                spellCheck={false}
+                            />
+                        </div>
+                        {mathErrors.length > 0 && (
+                            <ul className="math-errors">
+                                {mathErrors.map((err, i) => (
+                                    <li key={i} onClick={() => jumpTo(err)}>
+                                        <strong>{err.line}行目:</strong> <code>{err.tex}</code> — {err.message}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                    <div className="editor-preview result-content">
+                        <Markdown>{source}</Markdown>
+                    </div>
+                </div>
+
+                <div className="crop-actions">
+                    <button className="cancel-crop-btn" onClick={onCancel}>キャンセル</button>
+                    <button className="confirm-crop-btn" onClick={handleApply}>✓ 反映</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default SheetEditor;
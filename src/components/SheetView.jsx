@@ -0,0 +1,84 @@
+import React from 'react';
+import Markdown from './Markdown';
+import { statementMarkdown, solutionMarkdown, instructorMarkdown, levelLabel } from '../lib/sheetModel';
+import { PROBLEM_ACTIONS, RESOLVE_ACTION } from '../lib/problemActions';
+import { VERIFY_STATUS } from '../lib/verify';
+
+const VERIFY_LABELS = {
+    [VERIFY_STATUS.OK]: '✅ 検算OK',
+    [VERIFY_STATUS.MISMATCH]: '⚠️ 答えが一致しません',
+    [VERIFY_STATUS.UNVERIFIED]: '❔ 未検証'
+};
+
+// Result panel view of a sheet, one block per problem with its actions
+function SheetView({ data, verification, busyIndex, disabled, onProblemAction }) {
+    const guide = instructorMarkdown(data);
+
+    return (
+        <div className="result-content">
+            <h2>問題</h2>
+            {data.problems.map((problem, index) => (
+                <div key={index} className={`problem-block ${busyIndex === index ? 'busy' : ''}`}>
+                    {levelLabel(data, problem) && (
+                        <span className={`level-badge ${problem.level}`}>{levelLabel(data, problem)}</span>
+                    )}
+                    <Markdown>{`### 問題${index + 1}\n${statementMarkdown(problem)}`}</Markdown>
+                    {onProblemAction && (
+                        <div className="problem-actions">
+                            {busyIndex === index ? (
+                                <span className="problem-busy">
+                                    <span className="spinner small"></span> 作成中...
+                                </span>
+                            ) : PROBLEM_ACTIONS.map(action => (
+                                <button
+                                    key={action.id}
+                                    className="problem-action-btn"
+                                    disabled={disabled || busyIndex !== null}
+                                    onClick={() => onProblemAction(index, action.id)}
+                                >
+                                    {action.label}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            <hr />
+
+            <h2>解答・解説</h2>
+            {data.problems.map((problem, index) => (
+                <div key={index} className={`problem-block ${busyIndex === index ? 'busy' : ''}`}>
+                    <Markdown>{solutionMarkdown(problem, index)}</Markdown>
+                    {verification && verification[index] && (
+                        <div className={`verify-badge ${verification[index].status}`}>
+                            <span title={verification[index].detail}>
+                                {VERIFY_LABELS[verification[index].status]}
+                                <span className="verify-detail">{verification[index].detail}</span>
+                            </span>
+                            {verification[index].status === VERIFY_STATUS.MISMATCH && onProblemAction && (
+                                <button
+                                    className="problem-action-btn"
+                                    disabled={disabled || busyIndex !== null}
+                                    onClick={() => onProblemAction(index, RESOLVE_ACTION.id)}
+                                >
+                                    {RESOLVE_ACTION.label}
+                                </button>
+                            )}
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            {guide && (
+                <>
+                    <hr />
+                    <h2>講師向けガイド</h2>
+                    <Markdown>{guide}</Markdown>
+                </>
+            )}
+        </div>
+    );
+}
+
+export default SheetView;
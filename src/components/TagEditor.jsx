@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { CURRICULUM_UNITS, CURRICULUM_SUBJECTS, makeTag, sameTag, tagLabel } from '../lib/curriculum';
+
+// Curriculum tags of the open sheet: remove with ✕, add from the unit list.
+// `subject` / `grade` preselect the add form.
+function TagEditor({ tags = [], subject, grade, onChange }) {
+    const [adding, setAdding] = useState(false);
+    const [pickSubject, setPickSubject] = useState('');
+    const [pickGrade, setPickGrade] = useState('');
+    const [unitId, setUnitId] = useState('');
+    const [skill, setSkill] = useState('');
+
+    const grades = [...new Set(CURRICULUM_UNITS.filter(u => u.subject === pickSubject).map(u => u.grade))];
+    const units = CURRICULUM_UNITS.filter(u => u.subject === pickSubject && u.grade === pickGrade);
+    const unit = units.find(u => u.id === unitId);
+
+    const startAdding = () => {
+        const s = CURRICULUM_SUBJECTS.includes(subject) ? subject : CURRICULUM_SUBJECTS[0];
+        const subjectGrades = CURRICULUM_UNITS.filter(u => u.subject === s).map(u => u.grade);
+        setPickSubject(s);
+        setPickGrade(subjectGrades.includes(grade) ? grade : subjectGrades[0]);
+        setUnitId('');
+        setSkill('');
+        setAdding(true);
+    };
+
+    const changeSubject = (value) => {
+        setPickSubject(value);
+        setPickGrade(CURRICULUM_UNITS.find(u => u.subject === value).grade);
+        setUnitId('');
+        setSkill('');
+    };
+
+    const add = () => {
+        const tag = makeTag(unit, skill);
+        if (!tags.some(t => sameTag(t, tag))) onChange([...tags, tag]);
+        setAdding(false);
+    };
+
+    return (
+        <div className="tag-editor">
+            <span className="tag-editor-label">単元:</span>
+            {tags.length === 0 && !adding && <span className="roster-muted">未設定</span>}
+            {tags.map(tag => (
+                <span key={`${tag.unitId}|${tag.skill}`} className="unit-tag">
+                    {tagLabel(tag)}
+                    <button onClick={() => onChange(tags.filter(t => !sameTag(t, tag)))} title="外す">✕</button>
+                </span>
+            ))}
+            {adding ? (
+                <span className="tag-editor-form">
+                    <select value={pickSubject} onChange={(e) => changeSubject(e.target.value)}>
+                        {CURRICULUM_SUBJECTS.map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                    <select value={pickGrade} onChange={(e) => { setPickGrade(e.target.value); setUnitId(''); setSkill(''); }}>
+                        {grades.map(g => <option key={g} value={g}>{g}</option>)}
+                    </select>
+                    <select value={unitId} onChange={(e) => { setUnitId(e.target.value); setSkill(''); }}>
+                        <option value="">単元を選ぶ</option>
+                        {units.map(u => <option key={u.id} value={u.id}>{u.unit}</option>)}
+                    </select>
+                    {unit && (
+                        <select value={skill} onChange={(e) => setSkill(e.target.value)}>
+                            <option value="">（単元全体）</option>
+                            {unit.skills.map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                    )}
+                    <button className="print-chip" disabled={!unit} onClick={add}>追加</button>
+                    <button className="print-chip" onClick={() => setAdding(false)}>キャンセル</button>
+                </span>
+            ) : (
+                <button className="print-chip" onClick={startAdding}>＋ 追加</button>
+            )}
+        </div>
+    );
+}
+
+export default TagEditor;
@@ -0,0 +1,209 @@
+import React, { useState, useRef } from 'react';
+import {
+    SUBJECTS,
+    DEFAULT_TEMPLATES,
+    TEMPLATE_VARIABLES,
+    renderTemplate,
+    exportTemplates,
+    parseTemplateImport,
+    mergeTemplates
+} from '../lib/templates';
+
+// Presets are edited as one "ラベル=指示" per line
+const presetsToText = (presets) => presets.map(p => `${p.label}=${p.value}`).join('\n');
+const textToPresets = (text) => text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+        const [label, ...rest] = line.split('=');
+        return { label: label.trim(), value: (rest.join('=') || label).trim() };
+    });
+
+const downloadText = (filename, text) => {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+};
+
+// Edit, add, import and export prompt templates
+function TemplateModal({ templates, selectedId, grade, onChange, onSelect, onClose }) {
+    const [editingId, setEditingId] = useState(selectedId);
+    const [presetText, setPresetText] = useState(null);
+    const importRef = useRef(null);
+
+    const template = templates.find(t => t.id === editingId) || templates[0];
+    const original = DEFAULT_TEMPLATES.find(d => d.id === template.id);
+
+    const updateTemplate = (patch) => {
+        onChange(templates.map(t => (t.id === template.id ? { ...t, ...patch } : t)));
+    };
+
+    const startEditing = (id) => {
+        setEditingId(id);
+        setPresetText(null);
+    };
+
+    const addTemplate = (base) => {
+        const copy = {
+            id: `custom-${Date.now()}`,
+            name: base ? `${base.name} (コピー)` : '新しいテンプレート',
+            subject: base?.subject || '',
+            body: base?.body || 'あなたは{{grade}}向けの{{subject}}教育のプロフェッショナルです。添付された問題画像を分析し、類似した{{count}}問の問題を作成してください。\n\n追加指示: {{customInstructions}}',
+            presets: base?.presets || []
+        };
+        onChange([...templates, copy]);
+        startEditing(copy.id);
+    };
+
+    const deleteTemplate = () => {
+        if (template.builtIn) return;
+        if (!confirm(`「${template.name}」を削除しますか？`)) return;
+        const rest = templates.filter(t => t.id !== template.id);
+        onChange(rest);
+        if (selectedId === template.id) onSelect(rest[0].id);
+        startEditing(rest[0].id);
+    };
+
+    const resetTemplate = () => {
+        if (!original || !confirm('既定の内容に戻しますか？')) return;
+        updateTemplate({ name: original.name, subject: original.subject, body: original.body, presets: original.presets });
+        setPresetText(null);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseTemplateImport(await file.text());
+            onChange(mergeTemplates(templates, imported));
+            alert(`${imported.length}件のテンプレートを読み込みました`);
+        } catch (err) {
+            console.error('Error importing templates:', err);
+            alert(`読み込みに失敗しました: ${err.message}`);
+        }
+    };
+
+    const preview = renderTemplate(template.body, {
+        count: 3,
+        customInstructions: '',
+        grade,
+        subject: template.subject
+    });
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal roster-modal" onClick={e => e.stopPropagation()}>
+                <div className="library-header">
+                    <h3>📝 プロンプトテンプレート</h3>
+                    <button className="library-close" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="roster-body">
+                    <div className="roster-list">
+                        {templates.map(t => (
+                            <button
+                                key={t.id}
+                                className={`roster-student ${t.id === template.id ? 'current' : ''}`}
+                                onClick={() => startEditing(t.id)}
+                            >
+                                <span>{t.name}</span>
+                                {t.subject && <span className="roster-muted">{t.subject}</span>}
+                                {t.id === selectedId && <span className="template-in-use">使用中</span>}
+                            </button>
+                        ))}
+                        <div className="roster-add">
+                            <button className="print-chip" onClick={() => addTemplate(null)}>＋ 新規</button>
+                            <button className="print-chip" onClick={() => importRef.current?.click()}>読み込み</button>
+                            <button
+                                className="print-chip"
+                                onClick={() => downloadText('ruidai-templates.json', exportTemplates(templates))}
+                            >
+                                書き出し
+                            </button>
+                            <input
+                                ref={importRef}
+                                type="file"
+                                accept="application/json,.json"
+                                style={{ display: 'none' }}
+                                onChange={handleImport}
+                            />
+                        </div>
+                    </div>
+
+                    <div className="roster-detail template-editor">
+                        <div className="batch-fields">
+                            <input
+                                type="text"
+                                value={template.name}
+                                onChange={(e) => updateTemplate({ name: e.target.value })}
+                                placeholder="テンプレート名"
+                            />
+                            <input
+                                type="text"
+                                value={template.subject}
+                                onChange={(e) => updateTemplate({ subject: e.target.value })}
+                                placeholder="教科"
+                                list="template-subjects"
+                            />
+                            <datalist id="template-subjects">
+                                {SUBJECTS.map(s => <option key={s} value={s} />)}
+                            </datalist>
+                        </div>
+
+                        <p className="roster-muted">
+                            使える変数: {TEMPLATE_VARIABLES.map(v => `{{${v.name}}}（${v.label}）`).join('・')}
+                            <br />変数がすべて空になった行は省かれます
+                        </p>
+                        <textarea
+                            className="template-body"
+                            value={template.body}
+                            onChange={(e) => updateTemplate({ body: e.target.value })}
+                            rows={12}
+                        />
+
+                        <h5>追加指示チップ（1行に「ラベル=指示」）</h5>
+                        <textarea
+                            value={presetText ?? presetsToText(template.presets)}
+                            onChange={(e) => setPresetText(e.target.value)}
+                            onBlur={() => {
+                                if (presetText === null) return;
+                                updateTemplate({ presets: textToPresets(presetText) });
+                                setPresetText(null);
+                            }}
+                            rows={3}
+                        />
+
+                        <details>
+                            <summary>プレビュー（{grade}・3問）</summary>
+                            <pre className="template-preview">{preview}</pre>
+                        </details>
+
+                        <div className="batch-fields">
+                            <button
+                                className="print-chip"
+                                disabled={template.id === selectedId}
+                                onClick={() => onSelect(template.id)}
+                            >
+                                このテンプレートを使う
+                            </button>
+                            <button className="print-chip" onClick={() => addTemplate(template)}>複製</button>
+                            {original && (
+                                <button className="print-chip" onClick={resetTemplate}>既定に戻す</button>
+                            )}
+                            {!template.builtIn && (
+                                <button className="print-chip danger" onClick={deleteTemplate}>削除</button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default TemplateModal;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { DEFAULT_TIERS } from '../lib/tiers';
+
+// Edit what each difficulty tier means; the descriptions go into the prompt
+function TierModal({ tiers, onChange, onClose }) {
+    const updateTier = (id, patch) => {
+        onChange(tiers.map(t => (t.id === id ? { ...t, ...patch } : t)));
+    };
+
+    const resetTiers = () => {
+        if (!confirm('段階の定義を既定に戻しますか？')) return;
+        onChange(DEFAULT_TIERS);
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <h3>段階の定義</h3>
+                {tiers.map(tier => (
+                    <div key={tier.id} className="setting-item tier-item">
+                        <label>
+                            <span className={`level-badge ${tier.id}`}>{tier.label || tier.id}</span>
+                            <input
+                                type="text"
+                                value={tier.label}
+                                onChange={(e) => updateTier(tier.id, { label: e.target.value })}
+                                placeholder="表示名"
+                            />
+                        </label>
+                        <textarea
+                            value={tier.description}
+                            onChange={(e) => updateTier(tier.id, { description: e.target.value })}
+                            rows={3}
+                            placeholder="この段階の問題の条件"
+                        />
+                    </div>
+                ))}
+                <div className="batch-fields">
+                    <button className="print-chip" onClick={resetTiers}>既定に戻す</button>
+                </div>
+                <button className="primary-btn" onClick={onClose}>閉じる</button>
+            </div>
+        </div>
+    );
+}
+
+export default TierModal;
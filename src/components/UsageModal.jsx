@@ -0,0 +1,189 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { getAllUsage, clearUsage } from '../lib/db';
+import {
+    MODEL_PRICES,
+    USAGE_GROUPS,
+    summarizeUsage,
+    spendTotals,
+    priceFor,
+    formatYen
+} from '../lib/usage';
+
+const RETRY_OPTIONS = [0, 1, 2, 3, 5];
+
+const formatTokens = (n) => n.toLocaleString('ja-JP');
+
+// Token usage and cost per day / instructor / campus / model, with spend limits
+function UsageModal({ settings, onSettingsChange, onClose }) {
+    const [records, setRecords] = useState(null);
+    const [groupId, setGroupId] = useState('date');
+
+    useEffect(() => {
+        getAllUsage()
+            .then(setRecords)
+            .catch(e => {
+                console.error('Error loading usage:', e);
+                setRecords([]);
+            });
+    }, []);
+
+    const rows = useMemo(() => summarizeUsage(records || [], groupId, settings), [records, groupId, settings]);
+    const spent = useMemo(() => spendTotals(records || [], settings), [records, settings]);
+    // Known models plus any model that has been used
+    const models = useMemo(
+        () => [...new Set([...Object.keys(MODEL_PRICES), ...(records || []).map(r => r.model)])],
+        [records]
+    );
+
+    const update = (key, value) => onSettingsChange({ ...settings, [key]: value });
+
+    const updatePrice = (model, field, value) => {
+        const price = { ...priceFor(model, settings), [field]: Number(value) || 0 };
+        update('prices', { ...settings.prices, [model]: price });
+    };
+
+    const handleClear = async () => {
+        if (!confirm('利用記録をすべて削除しますか？')) return;
+        try {
+            await clearUsage();
+            setRecords([]);
+        } catch (e) {
+            console.error('Error clearing usage:', e);
+            alert(`削除に失敗しました: ${e.message}`);
+        }
+    };
+
+    const limitText = (limit) => (limit ? ` / 上限 ${formatYen(limit)}` : '');
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal usage-modal" onClick={e => e.stopPropagation()}>
+                <h3>📊 利用状況</h3>
+
+                <div className="usage-totals">
+                    <span>今日 <strong>{formatYen(spent.today)}</strong>{limitText(settings.dailyLimit)}</span>
+                    <span>今月 <strong>{formatYen(spent.month)}</strong>{limitText(settings.monthlyLimit)}</span>
+                </div>
+
+                <div className="print-buttons">
+                    {USAGE_GROUPS.map(g => (
+                        <button
+                            key={g.id}
+                            className={`print-chip ${groupId === g.id ? 'active' : ''}`}
+                            onClick={() => setGroupId(g.id)}
+                        >
+                            {g.label}
+                        </button>
+                    ))}
+                </div>
+
+                {records === null ? (
+                    <div className="spinner"></div>
+                ) : rows.length === 0 ? (
+                    <p className="hint-text">まだ記録がありません。</p>
+                ) : (
+                    <table className="usage-table">
+                        <thead>
+                            <tr>
+                                <th>{USAGE_GROUPS.find(g => g.id === groupId).label.replace('別', '')}</th>
+                                <th>回数</th>
+                                <th>入力</th>
+                                <th>出力</th>
+                                <th>金額</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr key={row.key}>
+                                    <td>{row.key}</td>
+                                    <td>{row.requests}</td>
+                                    <td>{formatTokens(row.inputTokens)}</td>
+                                    <td>{formatTokens(row.outputTokens)}</td>
+                                    <td>{formatYen(row.cost)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                <p className="hint-text">金額はトークン数と下の単価から計算した目安です。</p>
+
+                <div className="batch-fields">
+                    <div className="setting-item">
+                        <label>1日の上限（円）</label>
+                        <input
+                            type="number"
+                            min="0"
+                            value={settings.dailyLimit || ''}
+                            placeholder="なし"
+                            onChange={(e) => update('dailyLimit', Number(e.target.value) || 0)}
+                        />
+                    </div>
+                    <div className="setting-item">
+                        <label>1か月の上限（円）</label>
+                        <input
+                            type="number"
+                            min="0"
+                            value={settings.monthlyLimit || ''}
+                            placeholder="なし"
+                            onChange={(e) => update('monthlyLimit', Number(e.target.value) || 0)}
+                        />
+                    </div>
+                </div>
+
+                <div className="batch-fields">
+                    <div className="setting-item">
+                        <label>混雑時の自動再試行</label>
+                        <select value={settings.maxRetries} onChange={(e) => update('maxRetries', Number(e.target.value))}>
+                            {RETRY_OPTIONS.map(n => <option key={n} value={n}>{n === 0 ? 'しない' : `${n}回まで`}</option>)}
+                        </select>
+                    </div>
+                    <div className="setting-item">
+                        <label>為替（円/ドル）</label>
+                        <input
+                            type="number"
+                            min="1"
+                            value={settings.exchangeRate}
+                            onChange={(e) => update('exchangeRate', Number(e.target.value) || 0)}
+                        />
+                    </div>
+                </div>
+
+                <details className="usage-prices">
+                    <summary>単価（USD / 100万トークン）</summary>
+                    <table className="usage-table">
+                        <thead>
+                            <tr>
+                                <th>モデル</th>
+                                <th>入力</th>
+                                <th>出力</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {models.map(model => {
+                                const price = priceFor(model, settings);
+                                return (
+                                    <tr key={model}>
+                                        <td>{model}</td>
+                                        <td>
+                                            <input type="number" min="0" step="0.01" value={price.input} onChange={(e) => updatePrice(model, 'input', e.target.value)} />
+                                        </td>
+                                        <td>
+                                            <input type="number" min="0" step="0.01" value={price.output} onChange={(e) => updatePrice(model, 'output', e.target.value)} />
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </details>
+
+                <div className="batch-fields">
+                    <button className="print-chip danger" onClick={handleClear} disabled={!records?.length}>🗑 記録を削除</button>
+                    <button className="primary-btn" onClick={onClose}>閉じる</button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default UsageModal;
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { VARIANT_LABELS } from '../lib/variants';
+import { verifySheetOfSubject, VERIFY_STATUS } from '../lib/verify';
+
+// Versions A, B, C… of the current sheet for handing out to a whole class
+function VariantModal({ variants, subject, progress, onCreate, onClear, onClose }) {
+    const [total, setTotal] = useState(Math.max(2, variants.length + 1));
+
+    return (
+        <div className="modal-overlay" onClick={progress ? undefined : onClose}>
+            <div className="modal" onClick={e => e.stopPropagation()}>
+                <h3>🔀 A/B版（数値・順番違い）</h3>
+                <p className="hint-text">
+                    A版は今のシートです。B版以降は同じ構成のまま数値を変え、問題の順番を入れ替えます。
+                </p>
+
+                {variants.length > 0 && (
+                    <ul className="variant-list">
+                        {variants.map(v => {
+                            const mismatches = (verifySheetOfSubject(v.data, subject) || [])
+                                .filter(r => r.status === VERIFY_STATUS.MISMATCH).length;
+                            return (
+                                <li key={v.label}>
+                                    <strong>{v.label}版</strong>
+                                    <span className="roster-muted">出題順: {v.order.map(i => i + 1).join(', ')}</span>
+                                    {mismatches > 0 && <span className="variant-warning">検算NG {mismatches}問</span>}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                <div className="setting-item">
+                    <label>版の数（A版を含む）</label>
+                    <select value={total} disabled={!!progress} onChange={(e) => setTotal(Number(e.target.value))}>
+                        {[2, 3, 4, 5].map(n => (
+                            <option key={n} value={n}>{n}版（{VARIANT_LABELS.slice(0, n).join('・')}）</option>
+                        ))}
+                    </select>
+                </div>
+
+                <div className="batch-fields">
+                    <button className="primary-btn" disabled={!!progress} onClick={() => onCreate(total)}>
+                        {progress ? (
+                            <><span className="spinner"></span> {VARIANT_LABELS[progress.done + 1]}版を作成中… ({progress.done}/{progress.total})</>
+                        ) : variants.length > 0 ? '作り直す' : '作成'}
+                    </button>
+                    {variants.length > 0 && !progress && (
+                        <button className="print-chip danger" onClick={onClear}>削除</button>
+                    )}
+                </div>
+                {!progress && <button className="print-chip" onClick={onClose}>閉じる</button>}
+            </div>
+        </div>
+    );
+}
+
+export default VariantModal;
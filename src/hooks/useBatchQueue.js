@@ -0,0 +1,91 @@
+import { useState, useRef, useEffect } from 'react';
+import { runQueue } from '../lib/batchQueue';
+import { isJobRetryable } from '../lib/providers/resilient';
+
+const SETTINGS_KEY = 'ruidai_batch_settings';
+
+const loadSettings = () => {
+    try {
+        return { concurrency: 1, retries: 2, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+    } catch (e) {
+        return { concurrency: 1, retries: 2 };
+    }
+};
+
+// Statuses a job can be (re)started from
+const RUNNABLE = ['pending', 'failed', 'cancelled'];
+
+// Batch generation queue state. Jobs hold their own images and sheet fields;
+// `worker(job, { signal, onProgress })` produces the result patch for a job.
+export default function useBatchQueue(worker) {
+    const [jobs, setJobs] = useState([]);
+    const [running, setRunning] = useState(false);
+    const [settings, setSettings] = useState(loadSettings);
+    const abortRef = useRef(null);
+
+    useEffect(() => {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }, [settings]);
+
+    const updateJob = (id, patch) => {
+        setJobs(prev => prev.map(job => (job.id === id ? { ...job, ...patch } : job)));
+    };
+
+    const addJob = (fields) => {
+        const job = {
+            ...fields,
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            status: 'pending',
+            progress: 0,
+            error: ''
+        };
+        setJobs(prev => [...prev, job]);
+        return job;
+    };
+
+    const removeJob = (id) => {
+        setJobs(prev => prev.filter(job => job.id !== id));
+    };
+
+    const clearFinished = () => {
+        setJobs(prev => prev.filter(job => job.status !== 'done'));
+    };
+
+    const start = async () => {
+        const runnable = jobs.filter(job => RUNNABLE.includes(job.status));
+        if (running || runnable.length === 0) return;
+
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setRunning(true);
+        try {
+            await runQueue(runnable, worker, {
+                concurrency: settings.concurrency,
+                retries: settings.retries,
+                shouldRetry: isJobRetryable,
+                signal: controller.signal,
+                onUpdate: updateJob
+            });
+        } finally {
+            abortRef.current = null;
+            setRunning(false);
+        }
+    };
+
+    const cancel = () => {
+        if (abortRef.current) abortRef.current.abort();
+    };
+
+    return {
+        jobs,
+        running,
+        settings,
+        setSettings,
+        addJob,
+        updateJob,
+        removeJob,
+        clearFinished,
+        start,
+        cancel
+    };
+}
@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import { normalizeImageMeta, nextSourceId } from '../lib/imageSources';
+
+// Problem images plus their grouping. `meta[i]` describes `images[i]`:
+// { source, label } — images with the same source come from one problem source
+// (e.g. several crops of one photo). Both arrays live in one state so they
+// never drift apart.
+export default function useImageSources() {
+    const [state, setState] = useState({ images: [], meta: [] });
+
+    // Add images; `sameSource` puts them all into one new source group
+    const addImages = (newImages, { labels = [], sameSource = false } = {}) => {
+        setState(prev => {
+            const first = nextSourceId(prev.meta);
+            const meta = newImages.map((_, i) => ({
+                source: sameSource ? first : first + i,
+                label: labels[i] || ''
+            }));
+            return { images: [...prev.images, ...newImages], meta: [...prev.meta, ...meta] };
+        });
+    };
+
+    const removeImage = (index) => {
+        setState(prev => ({
+            images: prev.images.filter((_, i) => i !== index),
+            meta: prev.meta.filter((_, i) => i !== index)
+        }));
+    };
+
+    const moveImage = (from, to) => {
+        setState(prev => {
+            if (from === to || to < 0 || to >= prev.images.length) return prev;
+            const images = [...prev.images];
+            const meta = [...prev.meta];
+            images.splice(to, 0, ...images.splice(from, 1));
+            meta.splice(to, 0, ...meta.splice(from, 1));
+            return { images, meta };
+        });
+    };
+
+    const setImageSource = (index, source) => {
+        setState(prev => ({
+            ...prev,
+            meta: prev.meta.map((m, i) => (i === index ? { ...m, source } : m))
+        }));
+    };
+
+    // Replace everything (load a saved sheet, clear after queueing)
+    const resetImages = (images = [], meta) => {
+        setState({ images, meta: normalizeImageMeta(images, meta) });
+    };
+
+    return {
+        images: state.images,
+        meta: state.meta,
+        addImages,
+        removeImage,
+        moveImage,
+        setImageSource,
+        resetImages
+    };
+}
@@ -0,0 +1,115 @@
+import { useState, useRef, useEffect } from 'react';
+import { runQueue } from '../lib/batchQueue';
+import { isJobRetryable } from '../lib/providers/resilient';
+import { getAllOutbox, putOutbox, removeOutbox, newRecordId } from '../lib/db';
+import { notify, requestNotificationPermission } from '../lib/notify';
+
+// Generation jobs made while offline. They are kept in IndexedDB so they
+// survive closing the app, and `worker(job, { signal, onProgress })` runs them
+// as soon as the connection is back. Failed jobs wait for the next reconnect
+// or a manual send.
+export default function useOutbox(worker) {
+    const [entries, setEntries] = useState([]);
+    const [online, setOnline] = useState(navigator.onLine);
+    const [sending, setSending] = useState(false);
+    // Titles of jobs finished since the banner was last dismissed
+    const [sent, setSent] = useState([]);
+    const sendingRef = useRef(false);
+
+    const updateEntry = (id, patch) => {
+        setEntries(prev => prev.map(entry => (entry.id === id ? { ...entry, ...patch } : entry)));
+    };
+
+    // Retry failed jobs (after a reconnect or on request)
+    const resetFailed = () => {
+        setEntries(prev => prev.map(entry => (entry.status === 'failed' ? { ...entry, status: 'pending', error: '' } : entry)));
+    };
+
+    useEffect(() => {
+        // A job that was running when the app closed starts over
+        getAllOutbox()
+            .then(saved => setEntries(saved
+                .map(entry => (entry.status === 'running' ? { ...entry, status: 'pending' } : entry))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))))
+            .catch(e => console.error('Error loading outbox:', e));
+
+        const handleOnline = () => {
+            setOnline(true);
+            resetFailed();
+        };
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    const send = async (pending) => {
+        sendingRef.current = true;
+        setSending(true);
+        try {
+            await runQueue(pending, worker, {
+                retries: 1,
+                shouldRetry: isJobRetryable,
+                onUpdate: (id, patch) => {
+                    const entry = pending.find(e => e.id === id);
+                    if (patch.status === 'done') {
+                        setEntries(prev => prev.filter(e => e.id !== id));
+                        setSent(prev => [...prev, entry.title || '無題']);
+                        removeOutbox(id).catch(e => console.error('Error removing outbox entry:', e));
+                        notify('類題を作成しました', `「${entry.title || '無題'}」を保存済みシートに追加しました`);
+                        return;
+                    }
+                    updateEntry(id, patch);
+                    if (patch.status === 'failed') {
+                        putOutbox({ ...entry, status: 'failed', error: patch.error })
+                            .catch(e => console.error('Error saving outbox entry:', e));
+                    }
+                }
+            });
+        } finally {
+            sendingRef.current = false;
+            setSending(false);
+        }
+    };
+
+    // Send whatever is pending whenever we are online
+    useEffect(() => {
+        if (!online || sendingRef.current) return;
+        const pending = entries.filter(entry => entry.status === 'pending');
+        if (pending.length > 0) send(pending);
+    }, [online, entries, sending]);
+
+    const enqueue = async (fields) => {
+        // Still inside the click, which some browsers require for the prompt
+        requestNotificationPermission();
+        const entry = {
+            ...fields,
+            id: newRecordId(),
+            status: 'pending',
+            error: '',
+            createdAt: new Date().toISOString()
+        };
+        await putOutbox(entry);
+        setEntries(prev => [...prev, entry]);
+        return entry;
+    };
+
+    const remove = (id) => {
+        setEntries(prev => prev.filter(entry => entry.id !== id));
+        removeOutbox(id).catch(e => console.error('Error removing outbox entry:', e));
+    };
+
+    return {
+        entries,
+        online,
+        sending,
+        sent,
+        enqueue,
+        remove,
+        retry: resetFailed,
+        dismissSent: () => setSent([])
+    };
+}
@@ -0,0 +1,296 @@
+// Workspace backup: saved sheets with their source images, the roster,
+// templates and settings in one zip archive, for restoring after a device
+// reset or moving work between devices.
+//
+// Archive layout (version 1):
+//   manifest.json   { type, version, createdAt, includesApiKey, counts }
+//   sheets.json     sheets; `images` hold paths into images/
+//   students.json, assignments.json
+//   settings.json   { localStorage key: parsed value }
+//   images/<sheetId>/<n>.<ext>
+import JSZip from 'jszip';
+import { getAll, putOne, SHEETS_STORE, STUDENTS_STORE, ASSIGNMENTS_STORE } from './db';
+
+const BACKUP_TYPE = 'ruidai-backup';
+export const BACKUP_VERSION = 1;
+
+const LAST_BACKUP_KEY = 'ruidai_last_backup';
+const REMINDER_KEY = 'ruidai_backup_reminder';
+const PROVIDER_SETTINGS_KEY = 'ruidai_provider_settings';
+
+// Device-specific or legacy keys that are never part of a backup
+const EXCLUDED_KEYS = [LAST_BACKUP_KEY, 'ruidai_api_key', 'ruidai_model', 'ruidai_saved_sheets'];
+
+// Settings that hold records with ids; these are merged like the stores
+const ID_SETTINGS = {
+    ruidai_prompt_templates: {
+        label: 'テンプレート',
+        get: (value) => (Array.isArray(value) ? value : []),
+        set: (value, records) => records
+    },
+    ruidai_branding: {
+        label: '校舎設定',
+        get: (value) => (Array.isArray(value?.profiles) ? value.profiles : []),
+        set: (value, records) => ({ ...value, profiles: records })
+    }
+};
+
+export const BACKUP_STORES = [
+    { id: SHEETS_STORE, label: 'シート', title: r => r.title || '無題' },
+    { id: STUDENTS_STORE, label: '生徒', title: r => r.name || '' },
+    { id: ASSIGNMENTS_STORE, label: '配布記録', title: r => `${r.assignDate || ''} ${r.status || ''}`.trim() }
+];
+
+export const CONFLICT_STRATEGIES = [
+    { value: 'newer', label: '新しい方を残す' },
+    { value: 'local', label: 'この端末のデータを残す' },
+    { value: 'incoming', label: 'ファイルのデータで上書き' }
+];
+
+export const REMINDER_INTERVALS = [
+    { value: 0, label: 'しない' },
+    { value: 7, label: '7日ごと' },
+    { value: 14, label: '14日ごと' },
+    { value: 30, label: '30日ごと' }
+];
+
+const DEFAULT_REMINDER = { intervalDays: 14, snoozedUntil: '' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ========== Export ==========
+
+const IMAGE_EXT = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+const readSettings = (includeApiKey) => {
+    const settings = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith('ruidai_') || EXCLUDED_KEYS.includes(key)) continue;
+        const raw = localStorage.getItem(key);
+        try {
+            settings[key] = JSON.parse(raw);
+        } catch (e) {
+            settings[key] = raw; // plain strings such as ruidai_student
+        }
+    }
+    if (!includeApiKey && settings[PROVIDER_SETTINGS_KEY]) {
+        settings[PROVIDER_SETTINGS_KEY] = Object.fromEntries(Object.entries(settings[PROVIDER_SETTINGS_KEY])
+            .map(([id, { apiKey, ...rest }]) => [id, rest]));
+    }
+    return settings;
+};
+
+// Zip the whole workspace. The API key is only included on request.
+export const createBackup = async ({ includeApiKey = false } = {}) => {
+    const [sheets, students, assignments] = await Promise.all(
+        BACKUP_STORES.map(s => getAll(s.id))
+    );
+    const zip = new JSZip();
+
+    const archivedSheets = sheets.map(sheet => ({
+        ...sheet,
+        images: (sheet.images || []).map((src, i) => {
+            const [, mime, base64] = src.match(/^data:([^;]+);base64,(.*)$/) || [];
+            if (!base64) return src;
+            const path = `images/${sheet.id}/${i}.${IMAGE_EXT[mime] || 'bin'}`;
+            zip.file(path, base64, { base64: true });
+            return { path, mime };
+        })
+    }));
+
+    const createdAt = new Date().toISOString();
+    zip.file('manifest.json', JSON.stringify({
+        type: BACKUP_TYPE,
+        version: BACKUP_VERSION,
+        createdAt,
+        includesApiKey: includeApiKey,
+        counts: { sheets: sheets.length, students: students.length, assignments: assignments.length }
+    }, null, 2));
+    zip.file('sheets.json', JSON.stringify(archivedSheets));
+    zip.file('students.json', JSON.stringify(students));
+    zip.file('assignments.json', JSON.stringify(assignments));
+    zip.file('settings.json', JSON.stringify(readSettings(includeApiKey)));
+
+    const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+    localStorage.setItem(LAST_BACKUP_KEY, createdAt);
+    return { blob, filename: `ruidai-backup-${createdAt.slice(0, 10)}.zip` };
+};
+
+// ========== Import ==========
+
+const readJson = async (zip, name, fallback) => {
+    const file = zip.file(name);
+    if (!file) return fallback;
+    try {
+        return JSON.parse(await file.async('string'));
+    } catch (e) {
+        throw new Error(`${name} を読み込めません`);
+    }
+};
+
+// Read and validate a backup archive. Throws with a readable message.
+export const readBackup = async (file) => {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(file);
+    } catch (e) {
+        throw new Error('バックアップファイル（zip）として読み込めません');
+    }
+    const manifest = await readJson(zip, 'manifest.json', null);
+    if (manifest?.type !== BACKUP_TYPE) {
+        throw new Error('RUIDAI のバックアップファイルではありません');
+    }
+    if (!(manifest.version <= BACKUP_VERSION)) {
+        throw new Error(`新しいバージョンのアプリで作られたバックアップです（形式 v${manifest.version}）。アプリを更新してください`);
+    }
+
+    const sheets = await readJson(zip, 'sheets.json', []);
+    const restored = await Promise.all(sheets.map(async sheet => ({
+        ...sheet,
+        images: await Promise.all((sheet.images || []).map(async image => {
+            if (typeof image === 'string') return image;
+            const data = await zip.file(image.path)?.async('base64');
+            if (!data) throw new Error(`画像 ${image.path} が見つかりません`);
+            return `data:${image.mime};base64,${data}`;
+        }))
+    })));
+
+    return {
+        manifest,
+        records: {
+            [SHEETS_STORE]: restored,
+            [STUDENTS_STORE]: await readJson(zip, 'students.json', []),
+            [ASSIGNMENTS_STORE]: await readJson(zip, 'assignments.json', [])
+        },
+        settings: await readJson(zip, 'settings.json', {})
+    };
+};
+
+const recordTime = (r) => Date.parse(r.updatedAt || r.returnedAt || r.createdAt || '') || 0;
+
+const sameRecord = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Compare incoming records with local ones by id
+const diffRecords = (local, incoming) => {
+    const byId = new Map(local.map(r => [r.id, r]));
+    const added = [];
+    const conflicts = [];
+    let unchanged = 0;
+    incoming.forEach(r => {
+        const existing = byId.get(r.id);
+        if (!existing) added.push(r);
+        else if (sameRecord(existing, r)) unchanged++;
+        else conflicts.push({ id: r.id, local: existing, incoming: r });
+    });
+    return { added, conflicts, unchanged };
+};
+
+const readLocalSetting = (key) => {
+    try {
+        return JSON.parse(localStorage.getItem(key) || 'null');
+    } catch (e) {
+        return null;
+    }
+};
+
+// What importing `backup` would change: per store/setting group the records
+// that are new, identical, or in conflict with a different local version
+export const planImport = async (backup) => {
+    const groups = await Promise.all(BACKUP_STORES.map(async store => ({
+        id: store.id,
+        label: store.label,
+        title: store.title,
+        ...diffRecords(await getAll(store.id), backup.records[store.id] || [])
+    })));
+    Object.entries(ID_SETTINGS).forEach(([key, setting]) => {
+        if (!(key in backup.settings)) return;
+        groups.push({
+            id: key,
+            label: setting.label,
+            title: r => r.name || r.id,
+            ...diffRecords(setting.get(readLocalSetting(key)), setting.get(backup.settings[key]))
+        });
+    });
+    return groups;
+};
+
+// Which side a conflict keeps; `overrides` maps `${groupId}:${id}` to 'local' | 'incoming'
+export const conflictWinner = (groupId, conflict, strategy, overrides = {}) => {
+    const override = overrides[`${groupId}:${conflict.id}`];
+    if (override) return override;
+    if (strategy === 'newer') {
+        return recordTime(conflict.incoming) > recordTime(conflict.local) ? 'incoming' : 'local';
+    }
+    return strategy;
+};
+
+// Records of a group to write: new ones plus conflicts won by the file
+const recordsToWrite = (group, strategy, overrides) => [
+    ...group.added,
+    ...group.conflicts
+        .filter(c => conflictWinner(group.id, c, strategy, overrides) === 'incoming')
+        .map(c => c.incoming)
+];
+
+// Apply an import plan. Plain settings are replaced only with `includeSettings`;
+// a provider's API key stays unless the file carries one.
+export const applyImport = async (backup, groups, { strategy = 'newer', overrides = {}, includeSettings = true } = {}) => {
+    let written = 0;
+    for (const group of groups) {
+        const records = recordsToWrite(group, strategy, overrides);
+        if (ID_SETTINGS[group.id]) {
+            if (!includeSettings || records.length === 0) continue;
+            written += records.length;
+            const setting = ID_SETTINGS[group.id];
+            const current = readLocalSetting(group.id);
+            const ids = new Set(records.map(r => r.id));
+            const merged = [...setting.get(current).filter(r => !ids.has(r.id)), ...records];
+            localStorage.setItem(group.id, JSON.stringify(setting.set(current ?? backup.settings[group.id], merged)));
+        } else {
+            for (const record of records) await putOne(group.id, record);
+            written += records.length;
+        }
+    }
+
+    if (includeSettings) {
+        Object.entries(backup.settings).forEach(([key, value]) => {
+            if (ID_SETTINGS[key] || EXCLUDED_KEYS.includes(key) || !key.startsWith('ruidai_')) return;
+            if (key === PROVIDER_SETTINGS_KEY) {
+                const local = readLocalSetting(key) || {};
+                const merged = { ...local };
+                Object.entries(value || {}).forEach(([id, settings]) => {
+                    merged[id] = { ...local[id], ...settings };
+                });
+                value = merged;
+            }
+            localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+        });
+    }
+    return written;
+};
+
+// ========== Reminder ==========
+
+export const loadBackupReminder = () => ({ ...DEFAULT_REMINDER, ...readLocalSetting(REMINDER_KEY) });
+
+export const saveBackupReminder = (reminder) => {
+    localStorage.setItem(REMINDER_KEY, JSON.stringify(reminder));
+};
+
+export const lastBackupAt = () => localStorage.getItem(LAST_BACKUP_KEY) || '';
+
+// The reminder to show, or null: { days } since the last backup (null if never)
+export const backupReminderDue = (reminder, lastBackup, sheetCount, now = Date.now()) => {
+    if (!reminder.intervalDays || sheetCount === 0) return null;
+    if (reminder.snoozedUntil && Date.parse(reminder.snoozedUntil) > now) return null;
+    const last = Date.parse(lastBackup);
+    if (!last) return { days: null };
+    const days = Math.floor((now - last) / DAY_MS);
+    return days >= reminder.intervalDays ? { days } : null;
+};
+
+export const snoozeBackupReminder = (reminder, days = 3) => ({
+    ...reminder,
+    snoozedUntil: new Date(Date.now() + days * DAY_MS).toISOString()
+});
@@ -0,0 +1,56 @@
+// Ordered job runner with a concurrency limit and per-job retries
+import { wait } from './wait';
+
+// Run `jobs` in order, at most `concurrency` at a time. Each job is retried up
+// to `retries` times, for errors `shouldRetry(error)` accepts. Progress is
+// reported through onUpdate(jobId, patch).
+export const runQueue = async (jobs, worker, {
+    concurrency = 1,
+    retries = 0,
+    retryDelayMs = 2000,
+    shouldRetry = () => true,
+    signal,
+    onUpdate
+}) => {
+    let next = 0;
+
+    const runOne = async (job) => {
+        for (let attempt = 0; ; attempt++) {
+            if (signal?.aborted) {
+                onUpdate(job.id, { status: 'cancelled' });
+                return;
+            }
+            onUpdate(job.id, { status: 'running', attempt, progress: 0, error: '' });
+            try {
+                const result = await worker(job, {
+                    signal,
+                    onProgress: (progress) => onUpdate(job.id, { progress })
+                });
+                onUpdate(job.id, { status: 'done', progress: 1, ...result });
+                return;
+            } catch (e) {
+                if (signal?.aborted) {
+                    onUpdate(job.id, { status: 'cancelled' });
+                    return;
+                }
+                console.error(`Batch job ${job.id} failed:`, e);
+                if (attempt >= retries || !shouldRetry(e)) {
+                    onUpdate(job.id, { status: 'failed', error: e.message });
+                    return;
+                }
+                onUpdate(job.id, { status: 'retrying', error: e.message });
+                // An abort ends the wait early; the next attempt sees it and cancels
+                await wait(retryDelayMs * (attempt + 1), signal).catch(() => {});
+            }
+        }
+    };
+
+    const lane = async () => {
+        while (next < jobs.length) {
+            const job = jobs[next++];
+            await runOne(job);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, lane));
+};
@@ -0,0 +1,77 @@
+// Branding profiles for printed sheets: school name, logo, footer, accent
+// colour and which header fields are shown. Each campus keeps its own profile.
+import { loadImage } from './imageProcessing';
+
+const BRANDING_KEY = 'ruidai_branding';
+
+export const HEADER_FIELDS = [
+    { id: 'date', label: '日付' },
+    { id: 'dueDate', label: '提出期限' },
+    { id: 'student', label: '生徒' },
+    { id: 'instructor', label: '講師' },
+    { id: 'targetTime', label: '目標時間' },
+    { id: 'score', label: '得点' }
+];
+
+export const DEFAULT_PROFILE = {
+    id: 'default',
+    name: '藍住・北島中央',
+    schoolName: '',
+    logo: '', // data URL
+    footerText: '©ECCベストワン藍住・北島中央',
+    accentColor: '#888888',
+    headerFields: {
+        date: true,
+        dueDate: false,
+        student: true,
+        instructor: true,
+        targetTime: true,
+        score: true
+    },
+    maxScore: 100
+};
+
+// Fill in fields added after a profile was saved
+const normalizeProfile = (profile) => ({
+    ...DEFAULT_PROFILE,
+    ...profile,
+    headerFields: { ...DEFAULT_PROFILE.headerFields, ...profile?.headerFields }
+});
+
+export const loadBranding = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(BRANDING_KEY) || 'null');
+        if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+            const profiles = saved.profiles.map(normalizeProfile);
+            const activeId = profiles.some(p => p.id === saved.activeId) ? saved.activeId : profiles[0].id;
+            return { profiles, activeId };
+        }
+    } catch (e) {
+        console.error('Error loading branding profiles:', e);
+    }
+    return { profiles: [DEFAULT_PROFILE], activeId: DEFAULT_PROFILE.id };
+};
+
+export const saveBranding = (branding) => {
+    try {
+        localStorage.setItem(BRANDING_KEY, JSON.stringify(branding));
+    } catch (e) {
+        // Usually a logo too large for localStorage
+        console.error('Error saving branding profiles:', e);
+        alert('校舎設定を保存できませんでした。ロゴ画像を小さくしてください。');
+    }
+};
+
+export const activeProfile = (branding) =>
+    branding.profiles.find(p => p.id === branding.activeId) || branding.profiles[0];
+
+// Logos are stored in localStorage, so keep them small
+export const resizeLogo = async (src, maxSize = 400) => {
+    const img = await loadImage(src);
+    const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+};
@@ -0,0 +1,214 @@
+// Curriculum units (学習指導要領) for tagging sheets
+// Generation classifies the source problems against this list; the tags are
+// stored on the sheet data as { unitId, grade, subject, unit, skill } so saved
+// tags keep their labels even if the list changes. A unit id is
+// "<grade>/<subject>/<unit>", which the model can read as is.
+import { GRADE_LEVELS } from './templates';
+
+// subject → grade → unit → sub-skills
+const UNITS = {
+    数学: {
+        小5: {
+            '小数のかけ算・わり算': ['小数のかけ算', '小数のわり算', 'あまりのあるわり算'],
+            '分数のたし算・ひき算': ['約分と通分', '分数のたし算', '分数のひき算'],
+            '割合': ['割合と百分率', '割合の利用'],
+            '図形の面積': ['三角形の面積', '平行四辺形の面積', '台形・ひし形の面積']
+        },
+        小6: {
+            '分数のかけ算・わり算': ['分数のかけ算', '分数のわり算', '分数の倍'],
+            '比': ['比の値', '等しい比', '比の利用'],
+            '比例と反比例': ['比例', '反比例', 'グラフ'],
+            '円の面積': ['円の面積の公式', '円を組み合わせた図形'],
+            'データの調べ方': ['代表値', 'ドットプロット', '度数分布'],
+            '場合の数': ['並べ方', '組み合わせ方']
+        },
+        中1: {
+            '正の数・負の数': ['加法・減法', '乗法・除法', '四則の混じった計算', '正負の数の利用'],
+            '文字と式': ['文字式の表し方', '式の値', '一次式の計算', '関係を表す式'],
+            '一次方程式': ['等式の性質', '方程式の解き方', 'かっこ・分数を含む方程式', '比例式', '方程式の利用'],
+            '比例と反比例': ['比例の式', '反比例の式', '座標とグラフ', '比例・反比例の利用'],
+            '平面図形': ['基本の作図', '図形の移動', 'おうぎ形の弧の長さと面積'],
+            '空間図形': ['立体の見方', '表面積', '体積'],
+            'データの活用': ['度数分布表とヒストグラム', '相対度数', '代表値', '確率の意味']
+        },
+        中2: {
+            '式の計算': ['多項式の加法・減法', '単項式の乗法・除法', '等式の変形', '文字式の利用'],
+            '連立方程式': ['加減法', '代入法', 'いろいろな連立方程式', '連立方程式の利用'],
+            '一次関数': ['変化の割合', 'グラフ', '式の求め方', '方程式とグラフ', '一次関数の利用'],
+            '図形の性質と合同': ['平行線と角', '多角形の角', '合同条件', '証明'],
+            '三角形と四角形': ['二等辺三角形', '直角三角形の合同', '平行四辺形', '面積の等しい図形'],
+            '確率': ['場合の数', '確率の求め方'],
+            'データの分布': ['四分位数', '箱ひげ図']
+        },
+        中3: {
+            '多項式': ['展開', '乗法公式', '因数分解', '式の計算の利用'],
+            '平方根': ['平方根の意味', '根号を含む式の計算', '分母の有理化', '近似値'],
+            '二次方程式': ['平方根による解法', '因数分解による解法', '解の公式', '二次方程式の利用'],
+            '関数 y=ax²': ['グラフ', '変化の割合', '放物線と直線', '関数の利用'],
+            '相似な図形': ['相似条件', '三角形と比', '中点連結定理', '面積比と体積比'],
+            '円': ['円周角の定理', '円周角の定理の逆', '円と相似'],
+            '三平方の定理': ['定理とその逆', '平面図形への利用', '空間図形への利用'],
+            '標本調査': ['全数調査と標本調査', '母集団の推定']
+        },
+        高1: {
+            '数と式': ['展開と因数分解', '実数と根号', '一次不等式'],
+            '集合と命題': ['集合', '命題と条件', '証明法'],
+            '二次関数': ['グラフ', '最大・最小', '二次方程式', '二次不等式'],
+            '図形と計量': ['三角比', '正弦定理・余弦定理', '図形の計量'],
+            'データの分析': ['分散と標準偏差', '相関係数'],
+            '場合の数と確率': ['順列', '組合せ', '確率', '条件付き確率'],
+            '図形の性質': ['三角形の性質', '円の性質', '作図'],
+            '整数の性質': ['約数と倍数', 'ユークリッドの互除法', '一次不定方程式', 'n進法']
+        },
+        高2: {
+            '式と証明': ['式の計算', '等式の証明', '不等式の証明'],
+            '複素数と方程式': ['複素数', '解と係数の関係', '剰余の定理と因数定理', '高次方程式'],
+            '図形と方程式': ['点と直線', '円', '軌跡と領域'],
+            '三角関数': ['一般角と弧度法', 'グラフ', '加法定理'],
+            '指数関数・対数関数': ['指数の拡張', '指数関数', '対数とその性質', '対数関数'],
+            '微分法': ['微分係数と導関数', '接線', '関数の増減と極値'],
+            '積分法': ['不定積分', '定積分', '面積'],
+            '数列': ['等差数列', '等比数列', 'Σの計算', '漸化式', '数学的帰納法'],
+            '統計的な推測': ['確率分布', '正規分布', '推定と検定']
+        },
+        高3: {
+            '極限': ['数列の極限', '無限級数', '関数の極限'],
+            '微分法とその応用': ['いろいろな関数の導関数', 'グラフの概形', '微分の応用'],
+            '積分法とその応用': ['置換積分・部分積分', '面積・体積', '曲線の長さ'],
+            'ベクトル': ['平面ベクトル', '内積', '空間ベクトル'],
+            '平面上の曲線と複素数平面': ['二次曲線', '媒介変数表示と極座標', '複素数平面']
+        }
+    },
+    理科: {
+        中1: {
+            '植物の体のつくりと分類': ['花のつくり', '葉・茎・根', '植物の分類', '動物の分類'],
+            '身のまわりの物質': ['物質の性質', '気体の性質', '水溶液', '状態変化'],
+            '光・音・力': ['光の反射と屈折', '凸レンズ', '音の性質', '力のはたらき'],
+            '大地の変化': ['火山', '地震', '地層と堆積岩']
+        },
+        中2: {
+            '化学変化と原子・分子': ['分解', '原子・分子と化学式', '化学反応式', '酸化と還元', '質量保存の法則'],
+            '生物の体のつくりとはたらき': ['細胞', '光合成と呼吸', '消化と吸収', '血液の循環', '刺激と反応'],
+            '電流とその利用': ['回路と電流・電圧', 'オームの法則', '電力と熱量', '電流と磁界', '電磁誘導'],
+            '天気とその変化': ['気象観測', '雲のでき方と湿度', '前線と天気', '日本の天気']
+        },
+        中3: {
+            '化学変化とイオン': ['電解質とイオン', '電池', '酸・アルカリ', '中和と塩'],
+            '生命の連続性': ['細胞分裂', '生殖', '遺伝の規則性', '進化'],
+            '運動とエネルギー': ['力の合成・分解', '水圧と浮力', '物体の運動', '仕事とエネルギー'],
+            '地球と宇宙': ['天体の日周運動', '年周運動と季節', '月と金星の見え方', '太陽系'],
+            '自然と人間': ['食物連鎖', 'エネルギー資源']
+        }
+    },
+    英語: {
+        中1: {
+            'be動詞': ['肯定文', '否定文・疑問文'],
+            '一般動詞': ['肯定文', '否定文・疑問文', '三人称単数現在'],
+            '名詞と代名詞': ['複数形', '人称代名詞'],
+            '疑問詞': ['what / who', 'where / when', 'how'],
+            '現在進行形': ['肯定文', '否定文・疑問文'],
+            '助動詞 can': ['肯定文', '否定文・疑問文'],
+            '過去形': ['規則動詞', '不規則動詞', 'be動詞の過去形']
+        },
+        中2: {
+            '過去進行形': ['肯定文', '否定文・疑問文'],
+            '未来の表現': ['will', 'be going to'],
+            '助動詞': ['must / have to', 'should', 'may'],
+            '不定詞': ['名詞的用法', '副詞的用法', '形容詞的用法'],
+            '動名詞': ['主語・目的語になる動名詞', '不定詞との使い分け'],
+            '接続詞': ['when / if', 'because', 'that'],
+            '比較': ['比較級', '最上級', 'as ~ as'],
+            '受け身': ['肯定文', '否定文・疑問文']
+        },
+        中3: {
+            '現在完了': ['継続', '経験', '完了', '現在完了進行形'],
+            '後置修飾': ['現在分詞', '過去分詞', '接触節'],
+            '関係代名詞': ['主格', '目的格'],
+            '間接疑問文': ['疑問詞で始まる間接疑問'],
+            '仮定法': ['if を使った仮定法', 'I wish'],
+            '不定詞の発展': ['It is ~ to', 'want 人 to', '原形不定詞']
+        }
+    },
+    国語: {
+        中1: {
+            '文法': ['言葉の単位', '文節の関係', '品詞'],
+            '古典入門': ['歴史的仮名遣い', '古語の意味']
+        },
+        中2: {
+            '文法': ['用言の活用', '助詞', '助動詞'],
+            '古文': ['係り結び', '古文の読解']
+        },
+        中3: {
+            '古文': ['和歌', '古文の読解'],
+            '漢文': ['訓読と返り点', '書き下し文', '漢詩']
+        }
+    }
+};
+
+// [{ id, grade, subject, unit, skills }] in grade order
+export const CURRICULUM_UNITS = Object.entries(UNITS).flatMap(([subject, grades]) =>
+    Object.entries(grades).flatMap(([grade, units]) =>
+        Object.entries(units).map(([unit, skills]) => ({ id: `${grade}/${subject}/${unit}`, grade, subject, unit, skills }))
+    )
+).sort((a, b) => GRADE_LEVELS.indexOf(a.grade) - GRADE_LEVELS.indexOf(b.grade));
+
+export const CURRICULUM_SUBJECTS = Object.keys(UNITS);
+
+export const getUnit = (id) => CURRICULUM_UNITS.find(u => u.id === id) || null;
+
+// Units the model chooses from: the template's subject, within the school
+// stage of the selected grade ('中学生' and '中2' both mean 中1〜中3)
+export const candidateUnits = ({ subject, grade = '' }) => {
+    const stage = grade.charAt(0);
+    return CURRICULUM_UNITS.filter(u => u.subject === subject && u.grade.charAt(0) === stage);
+};
+
+// Prompt section listing the candidate units, or '' when there are none
+export const buildCurriculumPrompt = (units) => {
+    if (units.length === 0) return '';
+    return `元の問題（画像）が学習指導要領のどの単元にあたるかを、次の一覧から選んで tags に出力してください（該当が複数あれば複数、なければ空の配列）：
+${units.map(u => `- ${u.id}: ${u.skills.join('、')}`).join('\n')}
+`;
+};
+
+// A tag from a unit and one of its skills ('' = the whole unit)
+export const makeTag = (unit, skill = '') => ({
+    unitId: unit.id,
+    grade: unit.grade,
+    subject: unit.subject,
+    unit: unit.unit,
+    skill: unit.skills.includes(skill) ? skill : ''
+});
+
+const tagKey = (tag) => `${tag.unitId}|${tag.skill}`;
+
+// Tags from a model response or saved data: unknown units are dropped,
+// duplicates removed. Saved tags whose unit left the list are kept as they are.
+export const normalizeTags = (raw) => {
+    if (!Array.isArray(raw)) return [];
+    const seen = new Set();
+    return raw.flatMap(t => {
+        if (!t || typeof t.unitId !== 'string') return [];
+        const unit = getUnit(t.unitId);
+        const tag = unit ? makeTag(unit, t.skill) : (t.grade && t.unit ? t : null);
+        if (!tag || seen.has(tagKey(tag))) return [];
+        seen.add(tagKey(tag));
+        return [tag];
+    });
+};
+
+export const sameTag = (a, b) => tagKey(a) === tagKey(b);
+
+// "中3 数学 二次方程式 › 解の公式"
+export const tagLabel = (tag, { subject = true } = {}) =>
+    [tag.grade, subject ? tag.subject : '', tag.unit].filter(Boolean).join(' ') + (tag.skill ? ` › ${tag.skill}` : '');
+
+export const sheetTags = (sheet) => sheet.data?.tags || [];
+
+// Title from the first tag: "中3 二次方程式（解の公式）", or '' without tags
+export const suggestTitle = (data) => {
+    const [tag] = data?.tags || [];
+    if (!tag) return '';
+    const skills = [...new Set(data.tags.filter(t => t.unitId === tag.unitId && t.skill).map(t => t.skill))];
+    return `${tag.grade} ${tag.unit}${skills.length === 1 ? `（${skills[0]}）` : ''}`;
+};
@@ -0,0 +1,183 @@
+// IndexedDB storage for saved sheets, the student roster, the offline outbox
+// and model usage records
+// Sheets used to live in a single localStorage string ('ruidai_saved_sheets'),
+// which overflowed the ~5MB quota as soon as source images were kept.
+
+const DB_NAME = 'ruidai';
+const DB_VERSION = 4;
+export const SHEETS_STORE = 'sheets';
+export const STUDENTS_STORE = 'students';
+export const ASSIGNMENTS_STORE = 'assignments';
+export const OUTBOX_STORE = 'outbox';
+export const USAGE_STORE = 'usage';
+
+const LEGACY_SHEETS_KEY = 'ruidai_saved_sheets';
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export const openDB = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB がサポートされていません'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SHEETS_STORE)) {
+                const store = db.createObjectStore(SHEETS_STORE, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+                store.createIndex('dueDate', 'dueDate');
+            }
+            if (!db.objectStoreNames.contains(STUDENTS_STORE)) {
+                db.createObjectStore(STUDENTS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(ASSIGNMENTS_STORE)) {
+                const store = db.createObjectStore(ASSIGNMENTS_STORE, { keyPath: 'id' });
+                store.createIndex('studentId', 'studentId');
+                store.createIndex('sheetId', 'sheetId');
+            }
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(USAGE_STORE)) {
+                const store = db.createObjectStore(USAGE_STORE, { keyPath: 'id' });
+                store.createIndex('date', 'date');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).then(async (db) => {
+        await migrateLegacySheets(db);
+        return db;
+    });
+
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+};
+
+// Run fn against a store inside a single transaction
+const withStore = async (storeName, mode, fn) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const store = tx.objectStore(storeName);
+        let result;
+        Promise.resolve(fn(store)).then(r => { result = r; }, reject);
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+export const getAll = (storeName) =>
+    withStore(storeName, 'readonly', store => promisify(store.getAll()));
+
+export const getOne = (storeName, id) =>
+    withStore(storeName, 'readonly', store => promisify(store.get(id)));
+
+export const putOne = (storeName, value) =>
+    withStore(storeName, 'readwrite', store => promisify(store.put(value)));
+
+export const deleteOne = (storeName, id) =>
+    withStore(storeName, 'readwrite', store => promisify(store.delete(id)));
+
+export const clearStore = (storeName) =>
+    withStore(storeName, 'readwrite', store => promisify(store.clear()));
+
+// Move sheets from the old localStorage key into IndexedDB (once)
+const migrateLegacySheets = async (db) => {
+    const legacy = localStorage.getItem(LEGACY_SHEETS_KEY);
+    if (!legacy) return;
+
+    let sheets;
+    try {
+        sheets = JSON.parse(legacy);
+    } catch (e) {
+        console.error('Error parsing legacy saved sheets:', e);
+        return;
+    }
+    if (!Array.isArray(sheets)) return;
+
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction(SHEETS_STORE, 'readwrite');
+        const store = tx.objectStore(SHEETS_STORE);
+        sheets.forEach(sheet => store.put({ images: [], ...sheet }));
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    localStorage.removeItem(LEGACY_SHEETS_KEY);
+    console.log(`Migrated ${sheets.length} sheets to IndexedDB`);
+};
+
+// ========== Sheets ==========
+let lastSheetId = 0;
+
+// Numeric, time-ordered id that stays unique when several sheets are saved
+// within the same millisecond (batch generation)
+export const newSheetId = () => {
+    lastSheetId = Math.max(Date.now(), lastSheetId + 1);
+    return lastSheetId;
+};
+
+// String id for roster records and gradings
+export const newRecordId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const getAllSheets = () => getAll(SHEETS_STORE);
+export const putSheet = (sheet) => putOne(SHEETS_STORE, sheet);
+export const removeSheet = (id) => deleteOne(SHEETS_STORE, id);
+
+// ========== Roster ==========
+// students:    { id, name, gradeLevel, notes, createdAt }
+// assignments: { id, studentId, sheetId, assignDate, dueDate, status: 'assigned' | 'returned',
+//                score, maxScore, timeTakenMin, wrongProblems: [index], returnedAt, createdAt }
+export const getAllStudents = () => getAll(STUDENTS_STORE);
+export const putStudent = (student) => putOne(STUDENTS_STORE, student);
+export const getAllAssignments = () => getAll(ASSIGNMENTS_STORE);
+export const putAssignment = (assignment) => putOne(ASSIGNMENTS_STORE, assignment);
+export const removeAssignment = (id) => deleteOne(ASSIGNMENTS_STORE, id);
+
+// Delete a student together with their assignment history
+export const removeStudent = async (id) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([STUDENTS_STORE, ASSIGNMENTS_STORE], 'readwrite');
+        tx.objectStore(STUDENTS_STORE).delete(id);
+        const byStudent = tx.objectStore(ASSIGNMENTS_STORE).index('studentId');
+        byStudent.openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+};
+
+// ========== Outbox ==========
+// Generation jobs queued while offline, sent when the connection returns:
+// { id, ...batch job fields, status: 'pending' | 'running' | 'failed', error, createdAt }
+export const getAllOutbox = () => getAll(OUTBOX_STORE);
+export const putOutbox = (entry) => putOne(OUTBOX_STORE, entry);
+export const removeOutbox = (id) => deleteOne(OUTBOX_STORE, id);
+
+// ========== Usage ==========
+// One record per model request:
+// { id, time, date, provider, model, fallback, retries, inputTokens, outputTokens, instructor, campus }
+export const getAllUsage = () => getAll(USAGE_STORE);
+export const putUsage = (record) => putOne(USAGE_STORE, record);
+export const clearUsage = () => clearStore(USAGE_STORE);
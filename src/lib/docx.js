@@ -0,0 +1,393 @@
+// DOCX export
+// The sheet is written from the data model as WordprocessingML. Markdown is
+// converted line by line (headings, lists, tables, **bold**), and LaTeX goes
+// KaTeX MathML → OMML so equations stay editable in Word.
+import JSZip from 'jszip';
+import katex from 'katex';
+import { mml2omml } from 'mathml2omml';
+import {
+    problemHeading,
+    statementMarkdown,
+    hasChoices,
+    CHOICE_LABELS,
+    solutionMarkdown,
+    instructorMarkdown,
+    filterSheetByLevel
+} from './sheetModel';
+import { DEFAULT_PRINT_LAYOUT, PRINT_SECTIONS, paginate } from './printLayout';
+import { DEFAULT_PROFILE } from './branding';
+
+const FONT = 'Yu Gothic';
+const FONT_EAST_ASIA = '游ゴシック';
+
+// 1mm in twentieths of a point, and in EMU (drawing units)
+const MM = 56.7;
+const EMU_PER_MM = 36000;
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// ========== Runs ==========
+
+const run = (text, { bold = false, size } = {}) => {
+    const props = [bold ? '<w:b/>' : '', size ? `<w:sz w:val="${size}"/>` : ''].join('');
+    return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+};
+
+// LaTeX → OMML. Falls back to the LaTeX source as text if it cannot be converted.
+const mathXml = (tex) => {
+    try {
+        const html = katex.renderToString(tex, { output: 'mathml', throwOnError: true });
+        const mathml = html.match(/<math[\s\S]*<\/math>/)[0].replace(/<annotation[\s\S]*?<\/annotation>/g, '');
+        return mml2omml(mathml)
+            .replace(/ xmlns:m="[^"]*"/, '')
+            .replace(/ xmlns:w="[^"]*"/, '');
+    } catch (e) {
+        console.error('Error converting LaTeX for DOCX:', tex, e);
+        return run(tex);
+    }
+};
+
+const INLINE_TOKEN = /(\$\$[\s\S]+?\$\$|\$[^$\n]+?\$|\*\*[^*]+?\*\*)/;
+
+// Inline Markdown: $math$, $$math$$ and **bold**
+const inlineXml = (text, options = {}) => text
+    .split(INLINE_TOKEN)
+    .filter(Boolean)
+    .map(part => {
+        if (part.startsWith('$$') && part.endsWith('$$') && part.length > 4) return mathXml(part.slice(2, -2));
+        if (part.startsWith('$') && part.endsWith('$') && part.length > 2) return mathXml(part.slice(1, -1));
+        if (part.startsWith('**') && part.endsWith('**') && part.length > 4) {
+            return inlineXml(part.slice(2, -2), { ...options, bold: true });
+        }
+        return run(part, options);
+    })
+    .join('');
+
+// ========== Paragraphs ==========
+
+// props: { style, align, indent, hanging, keepNext, keepLines, pageBreakBefore, border, height }
+const paragraph = (content, props = {}) => {
+    const pPr = [
+        props.style ? `<w:pStyle w:val="${props.style}"/>` : '',
+        props.keepNext ? '<w:keepNext/>' : '',
+        props.keepLines ? '<w:keepLines/>' : '',
+        props.pageBreakBefore ? '<w:pageBreakBefore/>' : '',
+        props.border || '',
+        props.height ? `<w:spacing w:before="0" w:after="0" w:line="${Math.round(props.height)}" w:lineRule="exact"/>` : '',
+        props.indent ? `<w:ind w:left="${props.indent}"${props.hanging ? ` w:hanging="${props.hanging}"` : ''}/>` : '',
+        props.align ? `<w:jc w:val="${props.align}"/>` : '',
+        props.sectPr || ''
+    ].join('');
+    return `<w:p>${pPr ? `<w:pPr>${pPr}</w:pPr>` : ''}${content}</w:p>`;
+};
+
+const pageBreak = () => '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+const sectionProps = (columns) => `<w:sectPr>
+<w:footerReference w:type="default" r:id="rIdFooter"/>
+<w:type w:val="continuous"/>
+<w:pgSz w:w="11906" w:h="16838"/>
+<w:pgMar w:top="567" w:right="567" w:bottom="567" w:left="567" w:header="0" w:footer="284" w:gutter="0"/>
+<w:cols w:num="${columns}" w:space="567"/>
+</w:sectPr>`;
+
+// Ends the current Word section, so the next content can use other columns
+const sectionEnd = (columns) => paragraph('', { sectPr: sectionProps(columns) });
+
+const tableXml = (rows) => {
+    const cell = (text, header) => `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraph(inlineXml(text, { bold: header }))}</w:tc>`;
+    const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="333333"/>`;
+    return `<w:tbl>
+<w:tblPr><w:tblW w:w="0" w:type="auto"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>
+${rows.map((cells, i) => `<w:tr>${cells.map(c => cell(c, i === 0)).join('')}</w:tr>`).join('')}
+</w:tbl>`;
+};
+
+const tableCells = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+const isTableSeparator = (line) => /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/.test(line);
+
+// Markdown → list of paragraph/table XML strings
+const markdownXml = (md) => {
+    const blocks = [];
+    const lines = (md || '').split('\n');
+    let text = null; // paragraph being collected
+    let list = null; // list item being collected { prefix, text, level }
+
+    const flush = () => {
+        if (text !== null) blocks.push(paragraph(inlineXml(text)));
+        if (list) {
+            blocks.push(paragraph(run(`${list.prefix} `) + inlineXml(list.text), {
+                indent: 360 * (list.level + 1),
+                hanging: 360
+            }));
+        }
+        text = null;
+        list = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // $$ … $$ display math over several lines
+        if (line.trim() === '$$') {
+            flush();
+            const tex = [];
+            while (++i < lines.length && lines[i].trim() !== '$$') tex.push(lines[i]);
+            blocks.push(paragraph(`<m:oMathPara>${mathXml(tex.join('\n'))}</m:oMathPara>`));
+            continue;
+        }
+
+        if (!line.trim() || /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+            flush();
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flush();
+            const level = Math.min(3, heading[1].length);
+            blocks.push(paragraph(inlineXml(heading[2]), { style: `Heading${level}`, keepNext: true }));
+            continue;
+        }
+
+        if (line.trim().startsWith('|')) {
+            flush();
+            const rows = [];
+            while (i < lines.length && lines[i].trim().startsWith('|')) {
+                if (!isTableSeparator(lines[i])) rows.push(tableCells(lines[i]));
+                i++;
+            }
+            i--;
+            blocks.push(tableXml(rows));
+            continue;
+        }
+
+        const item = line.match(/^(\s*)([-*+]|\d+\.)\s+(.*)$/);
+        if (item) {
+            flush();
+            const prefix = /\d/.test(item[2]) ? item[2] : '・';
+            list = { prefix, text: item[3], level: Math.floor(item[1].length / 2) };
+            continue;
+        }
+
+        // Indented continuation of a list item, or a soft-wrapped line
+        if (list && /^\s/.test(line)) {
+            list.text += ` ${line.trim()}`;
+        } else if (list) {
+            flush();
+            text = line.trim();
+        } else {
+            text = text === null ? line.trim() : `${text} ${line.trim()}`;
+        }
+    }
+    flush();
+    return blocks;
+};
+
+// Keep all paragraphs of a block on one page: every paragraph but the last
+// gets keepNext/keepLines (after pStyle, which must come first in w:pPr)
+const keepWithNext = (xml) => {
+    if (!xml.startsWith('<w:p>') || xml.includes('<w:keepNext/>')) return xml;
+    if (!xml.startsWith('<w:p><w:pPr>')) return xml.replace('<w:p>', '<w:p><w:pPr><w:keepNext/><w:keepLines/></w:pPr>');
+    return xml.replace(/^<w:p><w:pPr>(<w:pStyle [^>]*\/>)?/, (m, style = '') => `<w:p><w:pPr>${style}<w:keepNext/><w:keepLines/>`);
+};
+
+const keepTogether = (blocks) => blocks.map((xml, i) => (i < blocks.length - 1 ? keepWithNext(xml) : xml));
+
+// ========== Answer Space ==========
+
+const boxBorder = '<w:pBdr>' + ['top', 'left', 'bottom', 'right']
+    .map(side => `<w:${side} w:val="single" w:sz="6" w:space="4" w:color="333333"/>`).join('') + '</w:pBdr>';
+const lineBorder = '<w:pBdr><w:bottom w:val="dashed" w:sz="4" w:space="0" w:color="999999"/></w:pBdr>';
+
+const answerSpaceXml = (layout) => {
+    const height = Math.max(10, Number(layout.answerHeight) || DEFAULT_PRINT_LAYOUT.answerHeight);
+    switch (layout.answerSpace) {
+        case 'box':
+            return [paragraph('', { border: boxBorder, height: height * MM })];
+        case 'lines':
+            return Array.from({ length: Math.max(1, Math.round(height / 8)) },
+                () => paragraph('', { border: lineBorder, height: 8 * MM }));
+        case 'blank':
+            return [paragraph(run('答え（　　　　　　　　　　）'), { align: 'right' })];
+        default:
+            return [];
+    }
+};
+
+// Bubble answer grid: a header row of option labels, then ○ per option
+const bubbleGridXml = (problems) => {
+    const width = Math.max(0, ...problems.filter(hasChoices).map(p => p.choices.length));
+    if (width === 0) return [];
+    const rows = problems
+        .map((p, i) => (hasChoices(p)
+            ? [`問${i + 1}`, ...CHOICE_LABELS.slice(0, width).map((_, j) => (j < p.choices.length ? '○' : ''))]
+            : null))
+        .filter(Boolean);
+    return [
+        paragraph(run('解答欄'), { style: 'Heading3', keepNext: true }),
+        tableXml([['', ...CHOICE_LABELS.slice(0, width)], ...rows])
+    ];
+};
+
+// ========== Document ==========
+
+const sectionTitle = (id) => PRINT_SECTIONS.find(s => s.id === id).label;
+
+const formatDate = (date) => (date
+    ? new Date(date).toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric' })
+    : '');
+
+// Size of a PNG data URL in px, read from its IHDR chunk
+const pngSize = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+};
+
+const dataUrlBytes = (dataUrl) => Uint8Array.from(atob(dataUrl.split(',')[1]), c => c.charCodeAt(0));
+
+// Inline picture referencing word/media/logo.png (12mm high, like the print header)
+const logoXml = (logo) => {
+    const { width, height } = pngSize(dataUrlBytes(logo));
+    const cy = 12 * EMU_PER_MM;
+    const cx = Math.round((cy * width) / height);
+    return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">
+<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="1" name="logo"/>
+<a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">
+<pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture">
+<pic:nvPicPr><pic:cNvPr id="1" name="logo.png"/><pic:cNvPicPr/></pic:nvPicPr>
+<pic:blipFill><a:blip r:embed="rIdLogo"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>
+<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>
+</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+};
+
+const headerXml = (title, sheet, showScore, profile) => {
+    const { studentName, instructorName, assignDate, dueDate } = sheet;
+    const fields = profile.headerFields;
+    const info = [
+        fields.date ? formatDate(assignDate) : '',
+        fields.dueDate && dueDate ? `提出期限: ${formatDate(dueDate)}` : '',
+        fields.student && studentName ? `生徒: ${studentName}` : '',
+        fields.instructor && instructorName ? `講師: ${instructorName}` : ''
+    ].filter(Boolean).join('　');
+    const score = showScore ? [
+        fields.targetTime ? '目標時間＿＿＿＿分' : '',
+        fields.score ? `得点＿＿＿＿／${profile.maxScore}` : ''
+    ].filter(Boolean).join('　　') : '';
+    const brand = [
+        profile.logo ? logoXml(profile.logo) : '',
+        profile.schoolName ? run(`${profile.logo ? ' ' : ''}${profile.schoolName}`, { bold: true }) : ''
+    ].join('');
+    return [
+        brand ? paragraph(brand, { keepNext: true }) : '',
+        paragraph(run(title, { bold: true, size: 40 }), { align: 'center', keepNext: true }),
+        info ? paragraph(run(info), { keepNext: true }) : '',
+        score ? paragraph(run(score), { align: 'right' }) : ''
+    ].filter(Boolean);
+};
+
+// Body XML of one printed section (problem / solution / instructor)
+const sectionXml = (id, data, layout) => {
+    const blocks = [paragraph(run(sectionTitle(id)), { style: 'Heading1', keepNext: true })];
+    const wrap = (problemBlocks) => (layout.keepTogether ? keepTogether(problemBlocks) : problemBlocks);
+
+    if (id === 'problem') {
+        const problems = data.problems.map((p, i) => wrap([
+            paragraph(inlineXml(problemHeading(data, i)), { style: 'Heading3', keepNext: true }),
+            ...markdownXml(statementMarkdown(p)),
+            ...(hasChoices(p) && layout.answerSpace === 'blank' ? [] : answerSpaceXml(layout))
+        ]));
+        const pages = paginate(problems, layout.problemsPerPage)
+            .map(page => page.flat().join(''));
+        if (layout.columns > 1) {
+            // Title in one column, problems in a multi-column Word section
+            return [...blocks, sectionEnd(1), pages.join(pageBreak()), sectionEnd(layout.columns), ...bubbleGridXml(data.problems)];
+        }
+        return [...blocks, pages.join(pageBreak()), ...bubbleGridXml(data.problems)];
+    }
+    if (id === 'solution') {
+        return [...blocks, ...data.problems.flatMap((p, i) => wrap(markdownXml(solutionMarkdown(p, i))))];
+    }
+    return [...blocks, ...markdownXml(instructorMarkdown(data))];
+};
+
+const stylesXml = (accentColor) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="${FONT}" w:hAnsi="${FONT}" w:eastAsia="${FONT_EAST_ASIA}" w:cs="${FONT}"/><w:sz w:val="22"/><w:lang w:val="en-US" w:eastAsia="ja-JP"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:pBdr><w:left w:val="single" w:sz="24" w:space="6" w:color="${accentColor.replace('#', '')}"/></w:pBdr><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="28"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="80"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="160" w:after="60"/><w:outlineLvl w:val="2"/></w:pPr><w:rPr><w:b/><w:sz w:val="24"/></w:rPr></w:style>
+</w:styles>`;
+
+const footerXml = (footerText) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:ftr xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+${paragraph(footerText ? run(footerText, { size: 16 }) : '', { align: 'center' })}
+</w:ftr>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Default Extension="png" ContentType="image/png"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const documentRelsXml = (hasLogo) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+<Relationship Id="rIdFooter" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>
+${hasLogo ? '<Relationship Id="rIdLogo" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/logo.png"/>' : ''}
+</Relationships>`;
+
+// WordprocessingML body for one sheet in the given print mode
+export const sheetDocumentXml = (sheet, mode, layout = DEFAULT_PRINT_LAYOUT, profile = DEFAULT_PROFILE) => {
+    const data = filterSheetByLevel(sheet.data, sheet.level);
+    const tierLabel = sheet.level ? sheet.data.tiers?.find(t => t.id === sheet.level)?.label : '';
+    const suffix = [tierLabel, sheet.variant ? `${sheet.variant}版` : ''].filter(Boolean).join('・');
+    const ids = mode === 'full' ? layout.sectionOrder : [mode];
+    const title = `${mode === 'full' ? '類題プリント' : sectionTitle(mode)}${suffix ? `（${suffix}）` : ''}`;
+
+    const body = ids
+        .map(id => [...headerXml(title, sheet, id === 'problem', profile), ...sectionXml(id, data, layout)].join(''))
+        .join(pageBreak());
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" xmlns:m="http://schemas.openxmlformats.org/officeDocument/2006/math" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>
+${body}
+${sectionProps(1)}
+</w:body>
+</w:document>`;
+};
+
+// .docx file for one sheet (same input as renderSheetPrint)
+export const sheetDocx = async (sheet, mode, layout = DEFAULT_PRINT_LAYOUT, profile = DEFAULT_PROFILE) => {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', CONTENT_TYPES_XML);
+    zip.file('_rels/.rels', ROOT_RELS_XML);
+    zip.file('word/_rels/document.xml.rels', documentRelsXml(!!profile.logo));
+    zip.file('word/styles.xml', stylesXml(profile.accentColor));
+    // The footer repeats on every page, so the A/B version goes there too
+    zip.file('word/footer1.xml', footerXml([profile.footerText, sheet.variant ? `${sheet.variant}版` : ''].filter(Boolean).join('　')));
+    zip.file('word/document.xml', sheetDocumentXml(sheet, mode, layout, profile));
+    if (profile.logo) zip.file('word/media/logo.png', dataUrlBytes(profile.logo));
+    return zip.generateAsync({
+        type: 'blob',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+};
@@ -0,0 +1,250 @@
+// Downloadable exports of a sheet: PDF, DOCX and a self-contained HTML file.
+// HTML and PDF start from the same markup as the print preview
+// (renderSheetPrint); DOCX is written from the data model (see docx.js).
+import { renderSheetPrint, printDocumentHtml } from './print';
+
+export const EXPORT_FORMATS = [
+    { value: 'pdf', label: 'PDF', extension: 'pdf' },
+    { value: 'docx', label: 'Word (DOCX)', extension: 'docx' },
+    { value: 'html', label: 'HTML', extension: 'html' }
+];
+
+export const EXPORT_MODES = [
+    { value: 'problem', label: '問題' },
+    { value: 'solution', label: '解答' },
+    { value: 'full', label: '全て' },
+    { value: 'instructor', label: '講師用' }
+];
+
+export const downloadBlob = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    // Revoke later: some mobile browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+};
+
+// Characters that are not allowed in file names on Windows / iOS
+const safeFileName = (name) => name.replace(/[\\/:*?"<>|\n\r]+/g, '_').trim() || 'RUIDAI';
+
+// ========== Embedded Fonts ==========
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// Does a CSS unicode-range ("U+3000-303f,U+ff01") cover any of the code points?
+const coversAny = (unicodeRange, codePoints) => {
+    if (!unicodeRange) return true;
+    return unicodeRange.split(',').some(part => {
+        const [from, to] = part.trim().replace(/^U\+/i, '').split('-');
+        // Wildcards like U+4?? span every value of the ? digits
+        const start = parseInt(from.replace(/\?/g, '0'), 16);
+        const end = to ? parseInt(to, 16) : parseInt(from.replace(/\?/g, 'f'), 16);
+        return codePoints.some(cp => cp >= start && cp <= end);
+    });
+};
+
+// All @font-face rules of the app's stylesheets, with their woff2 file
+// inlined as a data URL. Zen Maru Gothic is split into many unicode-range
+// subsets; only the subsets that `text` uses are kept. KaTeX fonts are all kept.
+const embeddedFontCss = async (text) => {
+    const codePoints = [...new Set(Array.from(text, ch => ch.codePointAt(0)))];
+    const rules = [];
+    for (const sheet of Array.from(document.styleSheets)) {
+        let cssRules;
+        try {
+            cssRules = Array.from(sheet.cssRules);
+        } catch (e) {
+            continue; // cross-origin stylesheet
+        }
+        cssRules
+            .filter(rule => rule instanceof CSSFontFaceRule)
+            .forEach(rule => rules.push({ rule, base: sheet.href || document.baseURI }));
+    }
+
+    const css = await Promise.all(rules.map(async ({ rule, base }) => {
+        const family = rule.style.getPropertyValue('font-family').replace(/['"]/g, '').trim();
+        const unicodeRange = rule.style.getPropertyValue('unicode-range');
+        if (!family.startsWith('KaTeX') && !coversAny(unicodeRange, codePoints)) return '';
+
+        const src = rule.style.getPropertyValue('src');
+        const woff2 = src.match(/url\(["']?([^"')]+\.woff2)["']?\)/);
+        if (!woff2) return '';
+        try {
+            const response = await fetch(new URL(woff2[1], base));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const dataUrl = await blobToDataUrl(await response.blob());
+            return `@font-face {
+  font-family: '${family}';
+  font-style: ${rule.style.getPropertyValue('font-style') || 'normal'};
+  font-weight: ${rule.style.getPropertyValue('font-weight') || 'normal'};
+  ${unicodeRange ? `unicode-range: ${unicodeRange};` : ''}
+  src: url(${dataUrl}) format('woff2');
+}`;
+        } catch (e) {
+            console.error(`Error embedding font ${family}:`, e);
+            return '';
+        }
+    }));
+    return css.filter(Boolean).join('\n');
+};
+
+// Every non-font rule of the app's stylesheets (KaTeX layout, Markdown styles)
+const inlineCss = () => Array.from(document.styleSheets)
+    .flatMap(sheet => {
+        try {
+            return Array.from(sheet.cssRules);
+        } catch (e) {
+            return [];
+        }
+    })
+    .filter(rule => !(rule instanceof CSSFontFaceRule))
+    .map(rule => rule.cssText)
+    .join('\n');
+
+// Self-contained document: works offline and when opened from a LINE attachment
+// `options` = { profile, variant } as for printDocumentHtml
+const standaloneHtml = async (title, html, options) => {
+    const fontCss = await embeddedFontCss(title + html.replace(/<[^>]*>/g, '') + options.profile.footerText);
+    return printDocumentHtml(title, html, { ...options, styles: `<style>${fontCss}\n${inlineCss()}</style>` });
+};
+
+// ========== PDF ==========
+
+const A4 = { width: 210, height: 297, margin: 10 };
+// Width the sheet is laid out at before rasterising (A4 minus margins, in CSS px)
+const PAGE_WIDTH_PX = Math.round(((A4.width - A4.margin * 2) / 25.4) * 96);
+
+// Lay the sheet out in a hidden iframe, as it would be printed
+const renderInFrame = async (title, html, options) => {
+    const iframe = document.createElement('iframe');
+    iframe.style.cssText = `position: fixed; left: -10000px; top: 0; width: ${PAGE_WIDTH_PX}px; height: 1000px; border: 0;`;
+    document.body.appendChild(iframe);
+    const frameCss = `<style>${await embeddedFontCss(title + html.replace(/<[^>]*>/g, '') + options.profile.footerText)}\n${inlineCss()}</style>
+<style>
+  body { background: white !important; padding: 0 !important; }
+  .print-wrapper { max-width: none; margin: 0; padding: 0; min-height: 0; box-shadow: none; }
+  .print-footer { position: static; background: none; padding: 2mm 0 0; }
+</style>`;
+    const doc = iframe.contentDocument;
+    doc.open();
+    doc.write(printDocumentHtml(title, html, { ...options, styles: frameCss }));
+    doc.close();
+    await doc.fonts.ready;
+    return iframe;
+};
+
+// Page boundaries in px. A page ends at a .page-break, or at the lowest point
+// above the page bottom that does not cut through a line, formula or (when
+// kept together) a problem.
+const pageRanges = (wrapper, pageHeight, keepTogether) => {
+    const top = wrapper.getBoundingClientRect().top;
+    const boxOf = (el) => {
+        const rect = el.getBoundingClientRect();
+        return { top: rect.top - top, bottom: rect.bottom - top };
+    };
+    const atomSelector = 'p, li, h1, h2, h3, tr, .katex-display, .print-header, .answer-box, .answer-line, .bubble-grid'
+        + (keepTogether ? ', .print-problem' : '');
+    const atoms = Array.from(wrapper.querySelectorAll(atomSelector)).map(boxOf);
+    const forced = Array.from(wrapper.querySelectorAll('.page-break')).map(el => boxOf(el).top);
+    const total = wrapper.scrollHeight;
+    const candidates = [...new Set(atoms.flatMap(a => [a.top, a.bottom]))].sort((a, b) => a - b);
+    const cutsNothing = (y) => !atoms.some(a => a.top < y - 1 && a.bottom > y + 1);
+
+    const ranges = [];
+    let start = 0;
+    while (start < total - 1) {
+        const limit = start + pageHeight;
+        const pageBreak = forced.find(y => y > start + 1);
+        let end;
+        if (pageBreak !== undefined && pageBreak <= limit) {
+            end = pageBreak;
+        } else if (limit >= total) {
+            end = total;
+        } else {
+            end = candidates.filter(y => y > start + 1 && y <= limit && cutsNothing(y)).pop() ?? limit;
+        }
+        ranges.push([start, end]);
+        start = end;
+    }
+    return ranges;
+};
+
+const sheetPdf = async (title, html, layout, options) => {
+    const [{ jsPDF }, { default: html2canvas }] = await Promise.all([import('jspdf'), import('html2canvas')]);
+    const iframe = await renderInFrame(title, html, options);
+    try {
+        const doc = iframe.contentDocument;
+        const wrapper = doc.querySelector('.print-wrapper');
+        const footer = doc.querySelector('.print-footer');
+
+        const contentWidth = A4.width - A4.margin * 2;
+        const contentHeight = A4.height - A4.margin * 2;
+        const pxPerMm = PAGE_WIDTH_PX / contentWidth;
+        const footerHeight = footer ? 6 : 0; // mm reserved for the footer at the page bottom
+        const pageHeight = (contentHeight - footerHeight) * pxPerMm;
+
+        // The footer is drawn once and stamped on every page
+        let footerCanvas = null;
+        if (footer) {
+            doc.body.appendChild(footer);
+            footerCanvas = await html2canvas(footer, { scale: 2, backgroundColor: '#ffffff' });
+            footer.remove();
+        }
+
+        const pdf = new jsPDF({ unit: 'mm', format: 'a4', orientation: 'portrait' });
+        const ranges = pageRanges(wrapper, pageHeight, layout.keepTogether);
+        for (const [index, [start, end]] of ranges.entries()) {
+            const canvas = await html2canvas(wrapper, {
+                scale: 2,
+                y: start,
+                height: Math.ceil(end - start),
+                windowWidth: PAGE_WIDTH_PX,
+                backgroundColor: '#ffffff'
+            });
+            if (index > 0) pdf.addPage();
+            pdf.addImage(canvas, 'JPEG', A4.margin, A4.margin, contentWidth, (end - start) / pxPerMm);
+            if (footerCanvas) {
+                pdf.addImage(
+                    footerCanvas,
+                    'PNG',
+                    A4.margin,
+                    A4.height - A4.margin - footerHeight,
+                    contentWidth,
+                    footerCanvas.height / 2 / pxPerMm
+                );
+            }
+        }
+        return pdf.output('blob');
+    } finally {
+        iframe.remove();
+    }
+};
+
+// ========== Entry Point ==========
+
+// Build and download one export. sheet is the renderSheetPrint input;
+// `name` is used for the file name (usually the sheet title).
+export const exportSheet = async (sheet, mode, format, { layout, profile, name = '' }) => {
+    const { extension } = EXPORT_FORMATS.find(f => f.value === format);
+    const { title, html } = renderSheetPrint(sheet, mode, layout, profile);
+    const filename = `${safeFileName(name ? `${name}_${title}` : title)}.${extension}`;
+
+    const options = { profile, variant: sheet.variant };
+    let blob;
+    if (format === 'html') {
+        blob = new Blob([await standaloneHtml(title, html, options)], { type: 'text/html' });
+    } else if (format === 'pdf') {
+        blob = await sheetPdf(title, html, layout, options);
+    } else {
+        const { sheetDocx } = await import('./docx');
+        blob = await sheetDocx(sheet, mode, layout, profile);
+    }
+    downloadBlob(filename, blob);
+};
@@ -0,0 +1,136 @@
+// File import: images keep their real MIME type (HEIC is converted to JPEG),
+// PDFs are rendered page by page
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+export const ACCEPTED_FILE_TYPES = 'image/*,.heic,.heif,application/pdf,.pdf';
+
+// Some browsers leave File.type empty for HEIC/HEIF
+const EXTENSION_MIME_TYPES = {
+    heic: 'image/heic',
+    heif: 'image/heif',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    gif: 'image/gif',
+    pdf: 'application/pdf'
+};
+
+export const fileMimeType = (file) => {
+    if (file.type) return file.type;
+    const ext = file.name.split('.').pop().toLowerCase();
+    return EXTENSION_MIME_TYPES[ext] || 'application/octet-stream';
+};
+
+export const isPdfFile = (file) => fileMimeType(file) === 'application/pdf';
+export const isImageFile = (file) => fileMimeType(file).startsWith('image/');
+
+// MIME type declared in a data URL ("data:image/jpeg;base64,...")
+export const dataUrlMimeType = (dataUrl) => {
+    const match = /^data:([^;,]+)[;,]/.exec(dataUrl);
+    return match ? match[1] : 'image/png';
+};
+
+// { data, mimeType } for providers that take raw base64 (Gemini inlineData)
+export const dataUrlToInlineData = (dataUrl) => ({
+    data: dataUrl.split(',')[1],
+    mimeType: dataUrlMimeType(dataUrl)
+});
+
+const readAsDataUrl = (file, mimeType) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+        const [, data] = reader.result.split(',');
+        resolve(`data:${mimeType};base64,${data}`);
+    };
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+// Only Safari can show or draw HEIC, and OpenAI-compatible servers reject it
+const HEIC_TYPES = ['image/heic', 'image/heif'];
+
+// HEIC as JPEG, decoded by the browser where it can (Safari); elsewhere a
+// readable error
+const heicToJpeg = async (file) => {
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (e) {
+        throw new Error(`${file.name}: このブラウザでは HEIC 形式の画像を読み込めません。JPEG に変換してから追加してください（iPhone は 設定 > カメラ > フォーマット で「互換性優先」にすると JPEG で撮影できます）`);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return canvas.toDataURL('image/jpeg', 0.92);
+};
+
+// Read an image file as a data URL labelled with its real MIME type
+export const readImageFile = (file) => {
+    const mimeType = fileMimeType(file);
+    return HEIC_TYPES.includes(mimeType) ? heicToJpeg(file) : readAsDataUrl(file, mimeType);
+};
+
+// pdf.js is only needed once a PDF is dropped in, so load it on demand
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist').then(pdfjs => {
+            pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+            return pdfjs;
+        });
+        pdfjsPromise.catch(() => { pdfjsPromise = null; });
+    }
+    return pdfjsPromise;
+};
+
+const renderPage = async (page, scale, quality) => {
+    const viewport = page.getViewport({ scale });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    const ctx = canvas.getContext('2d');
+    // PDF pages are transparent; the model reads them better on white
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: ctx, viewport, canvas }).promise;
+    return canvas.toDataURL('image/jpeg', quality);
+};
+
+// The page picker shows at most this many pages of a long PDF
+export const MAX_PDF_PAGES = 200;
+const THUMBNAIL_SCALE = 0.3;
+const PAGE_SCALE = 2;
+
+// Open a PDF on the device for page picking. Only small thumbnails are made
+// up front; full-size images are rendered for the pages the teacher picks.
+// Page indices are 0-based. Call close() when done.
+export const openPdf = async (file) => {
+    const pdfjs = await loadPdfjs();
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+
+    const render = async (indices, scale, quality, onProgress) => {
+        const images = [];
+        for (const index of indices) {
+            const page = await pdf.getPage(index + 1);
+            images.push(await renderPage(page, scale, quality));
+            page.cleanup();
+            if (onProgress) onProgress(images.length / indices.length);
+        }
+        return images;
+    };
+
+    return {
+        numPages: pdf.numPages,
+        thumbnails: ({ onProgress } = {}) => render(
+            Array.from({ length: Math.min(pdf.numPages, MAX_PDF_PAGES) }, (_, i) => i),
+            THUMBNAIL_SCALE,
+            0.7,
+            onProgress
+        ),
+        pages: (indices, { onProgress } = {}) => render(indices, PAGE_SCALE, 0.92, onProgress),
+        close: () => pdf.destroy()
+    };
+};
@@ -0,0 +1,96 @@
+// Sheet generation shared by the main screen and the batch queue
+import { SHEET_SCHEMA, TIERED_SHEET_SCHEMA, parseSheetJson } from './sheetModel';
+import { describeImageSources } from './imageSources';
+import { DEFAULT_TEMPLATES, renderTemplate, usesLatex } from './templates';
+import { buildTierPrompt, tierLabels } from './tiers';
+import { candidateUnits, buildCurriculumPrompt } from './curriculum';
+
+// Instruction part comes from the selected template (defaults to 数学/中学生);
+// the output format below is fixed by SHEET_SCHEMA, with LaTeX math only for
+// subjects that use it. With `tiers`, the sheet is
+// `perTier` problems of each level and `count` is how many are still missing.
+// The source problems are also tagged with units of the template's subject.
+export const buildSheetPrompt = ({
+    template = DEFAULT_TEMPLATES[0],
+    grade = '中学生',
+    count,
+    customInstructions = '',
+    doneProblems = [],
+    imageMeta = [],
+    tiers = null,
+    perTier = 0
+}) => {
+    const instructions = renderTemplate(template.body, {
+        count,
+        customInstructions,
+        grade,
+        subject: template.subject
+    });
+    const prompt = `${instructions}
+
+${describeImageSources(imageMeta)}
+
+${tiers ? buildTierPrompt(tiers, perTier, doneProblems) : ''}
+
+${buildCurriculumPrompt(candidateUnits({ subject: template.subject, grade }))}
+
+以下の JSON 形式で出力してください（各文字列は Markdown${usesLatex(template.subject) ? '、数式は LaTeX' : ''}、見出しは付けない）：
+- problems: ${count}個の問題の配列
+  - statement: 問題文
+  - answer: 最終的な答え
+  - steps: 解説の各ステップ（番号は付けない）
+  - hints: 生徒向けのヒント（1〜2個）${tiers ? '\n  - level: 難易度の段階の id' : ''}
+- instructorGuide:
+  - teachingPoints: この問題を教える際の重要ポイント
+  - pitfalls: 生徒がつまずきやすい箇所と対策
+- tags: 元の問題の単元の配列（該当がなければ空の配列）
+  - unitId: 単元の id
+  - skill: その単元の小単元から1つ
+`;
+    if (doneProblems.length === 0) return prompt;
+    // Resuming: the finished problems are kept, only the rest is requested
+    return `${prompt}
+以下の${doneProblems.length}問は作成済みです。これらと重複しない残りの問題だけを problems に出力し、講師向けガイドは全${doneProblems.length + count}問を対象に書いてください：
+${JSON.stringify(doneProblems)}
+`;
+};
+
+// Generate one sheet. `keptProblems` are prepended to the new ones (resume).
+// Streaming pieces go to onChunk; abort with `signal`. Pass `tiers` and
+// `perTier` for a tiered (基礎・標準・発展) sheet.
+export const generateSheet = async ({
+    provider,
+    settings,
+    images,
+    imageMeta,
+    template,
+    grade,
+    count,
+    customInstructions,
+    keptProblems = [],
+    tiers = null,
+    perTier = 0,
+    signal,
+    onChunk
+}) => {
+    const text = await provider.generate({
+        settings,
+        prompt: buildSheetPrompt({
+            template,
+            grade,
+            count,
+            customInstructions,
+            doneProblems: keptProblems,
+            imageMeta,
+            tiers,
+            perTier
+        }),
+        images,
+        schema: tiers ? TIERED_SHEET_SCHEMA : SHEET_SCHEMA,
+        signal,
+        onChunk
+    });
+    const data = parseSheetJson(text);
+    const sheet = { ...data, problems: [...keptProblems, ...data.problems] };
+    return tiers ? { ...sheet, tiers: tierLabels(tiers) } : sheet;
+};
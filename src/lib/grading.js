@@ -0,0 +1,87 @@
+// Auto-grading of photographed student answers against a saved sheet
+import { SchemaType } from '@google/generative-ai';
+import { parseJsonResponse } from './sheetModel';
+
+export const VERDICTS = {
+    correct: { label: '○ 正解', credit: 1 },
+    partial: { label: '△ 部分点', credit: 0.5 },
+    incorrect: { label: '× 不正解', credit: 0 }
+};
+
+// results[i] grades problem i+1
+export const GRADING_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        results: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    studentAnswer: { type: SchemaType.STRING, description: '生徒が書いた答え（読み取れなければ空）' },
+                    verdict: {
+                        type: SchemaType.STRING,
+                        format: 'enum',
+                        enum: Object.keys(VERDICTS),
+                        description: 'correct / partial / incorrect'
+                    },
+                    comment: { type: SchemaType.STRING, description: '生徒向けの短いコメント' }
+                },
+                required: ['studentAnswer', 'verdict', 'comment']
+            }
+        },
+        overallComment: { type: SchemaType.STRING, description: '全体へのコメント' }
+    },
+    required: ['results', 'overallComment']
+};
+
+export const buildGradingPrompt = (data) => `あなたは中学生の答案を採点する講師です。添付された画像は、以下の全${data.problems.length}問に対する生徒の手書き答案です。
+
+各問題について、生徒の答えを読み取り、模範解答と比較して採点してください。
+- correct: 答えが正しい（同値な表記も正解）
+- partial: 途中式は概ね正しいが答えに誤りがある、または解の一部のみ正しい
+- incorrect: 誤り、または無回答
+- 判読できない場合は studentAnswer を空にし、incorrect とし、コメントで知らせてください
+
+【模範解答】(JSON)
+${JSON.stringify(data.problems.map((p, i) => ({
+    number: i + 1,
+    statement: p.statement,
+    answer: p.answer,
+    steps: p.steps
+})))}
+
+以下の JSON 形式で出力してください：
+- results: 問題1から順に${data.problems.length}個（必ず問題数と同じ数）
+  - studentAnswer: 生徒の答え（LaTeX 可）
+  - verdict: correct / partial / incorrect
+  - comment: 生徒向けの短いコメント
+- overallComment: 全体へのコメント
+`;
+
+// Validate the model's grading; pads or trims to the sheet's problem count
+export const parseGradingJson = (text, problemCount) => {
+    const raw = parseJsonResponse(text);
+    if (!raw || !Array.isArray(raw.results)) {
+        throw new Error('採点結果の形式が正しくありません');
+    }
+    const results = Array.from({ length: problemCount }, (_, i) => {
+        const r = raw.results[i] || {};
+        return {
+            studentAnswer: typeof r.studentAnswer === 'string' ? r.studentAnswer.trim() : '',
+            verdict: VERDICTS[r.verdict] ? r.verdict : 'incorrect',
+            comment: typeof r.comment === 'string' ? r.comment.trim() : (raw.results[i] ? '' : '採点結果がありません'),
+            confirmed: false
+        };
+    });
+    return {
+        results,
+        overallComment: typeof raw.overallComment === 'string' ? raw.overallComment.trim() : ''
+    };
+};
+
+// Equal weight per problem, half credit for partial
+export const scoreResults = (results, maxScore = 100) => {
+    if (results.length === 0) return 0;
+    const credit = results.reduce((sum, r) => sum + VERDICTS[r.verdict].credit, 0);
+    return Math.round((credit / results.length) * maxScore);
+};
@@ -0,0 +1,236 @@
+// Image preprocessing between the crop modal and the problem images:
+// downscale → deskew → shadow removal → grayscale → contrast → JPEG/WebP
+
+const PREPROCESS_SETTINGS_KEY = 'ruidai_preprocess_settings';
+
+export const OUTPUT_FORMATS = [
+    { value: 'image/jpeg', label: 'JPEG' },
+    { value: 'image/webp', label: 'WebP' }
+];
+
+export const DEFAULT_PREPROCESS_SETTINGS = {
+    enabled: true,
+    autoDeskew: true,
+    removeShadows: true,
+    grayscale: true,
+    contrast: true,
+    maxSize: 1600,
+    format: 'image/jpeg',
+    quality: 0.85
+};
+
+export const loadPreprocessSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PREPROCESS_SETTINGS_KEY));
+        return { ...DEFAULT_PREPROCESS_SETTINGS, ...saved };
+    } catch (e) {
+        console.error('Error loading preprocess settings:', e);
+        return { ...DEFAULT_PREPROCESS_SETTINGS };
+    }
+};
+
+export const savePreprocessSettings = (settings) => {
+    localStorage.setItem(PREPROCESS_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const loadImage = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('画像を読み込めませんでした'));
+    img.src = src;
+});
+
+const createCanvas = (width, height) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+};
+
+const imageToCanvas = (img) => {
+    const canvas = createCanvas(img.naturalWidth || img.width, img.naturalHeight || img.height);
+    canvas.getContext('2d').drawImage(img, 0, 0);
+    return canvas;
+};
+
+// Rotate by any angle, growing the canvas so nothing is clipped; the exposed
+// corners are filled white like paper
+const rotateCanvas = (source, degrees) => {
+    const rad = (degrees * Math.PI) / 180;
+    const sin = Math.abs(Math.sin(rad));
+    const cos = Math.abs(Math.cos(rad));
+    const width = source.width * cos + source.height * sin;
+    const height = source.width * sin + source.height * cos;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.translate(canvas.width / 2, canvas.height / 2);
+    ctx.rotate(rad);
+    ctx.drawImage(source, -source.width / 2, -source.height / 2);
+    return canvas;
+};
+
+const scaleCanvas = (source, scale) => {
+    const canvas = createCanvas(source.width * scale, source.height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+const downscale = (source, maxSize) => {
+    const longest = Math.max(source.width, source.height);
+    return maxSize && longest > maxSize ? scaleCanvas(source, maxSize / longest) : source;
+};
+
+const luminance = (d, i) => 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+
+// Rotate a data URL (used by the crop modal's rotate controls)
+export const rotateImage = async (src, degrees) => {
+    if (!degrees) return src;
+    const img = await loadImage(src);
+    return rotateCanvas(imageToCanvas(img), degrees).toDataURL('image/png');
+};
+
+// Estimate text skew in degrees: the angle at which the row profile of dark
+// pixels is sharpest (lines of text fall into as few rows as possible)
+export const estimateSkew = (source, { maxAngle = 10, step = 0.5 } = {}) => {
+    const sample = downscale(source, 600);
+    const { width, height } = sample;
+    const { data } = sample.getContext('2d').getImageData(0, 0, width, height);
+
+    let sum = 0;
+    const lum = new Float32Array(width * height);
+    for (let p = 0; p < lum.length; p++) {
+        lum[p] = luminance(data, p * 4);
+        sum += lum[p];
+    }
+    const threshold = (sum / lum.length) * 0.7;
+
+    const xs = [];
+    const ys = [];
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (lum[y * width + x] < threshold) {
+                xs.push(x - width / 2);
+                ys.push(y - height / 2);
+            }
+        }
+    }
+    if (xs.length < 50) return 0;
+
+    const diag = Math.ceil(Math.hypot(width, height));
+    let best = { angle: 0, score: -1 };
+    for (let angle = -maxAngle; angle <= maxAngle; angle += step) {
+        const rad = (angle * Math.PI) / 180;
+        const sin = Math.sin(rad);
+        const cos = Math.cos(rad);
+        const bins = new Float32Array(diag);
+        for (let k = 0; k < xs.length; k++) {
+            const row = Math.round(ys[k] * cos - xs[k] * sin + diag / 2);
+            if (row >= 0 && row < diag) bins[row]++;
+        }
+        let score = 0;
+        for (let r = 1; r < diag; r++) {
+            const diff = bins[r] - bins[r - 1];
+            score += diff * diff;
+        }
+        if (score > best.score) best = { angle, score };
+    }
+    return best.angle;
+};
+
+// Divide out a blurred copy of the page so uneven lighting becomes white
+const removeShadows = (canvas) => {
+    const { width, height } = canvas;
+    const ctx = canvas.getContext('2d');
+    // The small copy has rounded dimensions, so stretch it back to exactly
+    // width × height or the right and bottom edges would be divided wrongly
+    const small = scaleCanvas(canvas, 1 / 24);
+    const background = createCanvas(width, height);
+    const bgCtx = background.getContext('2d');
+    bgCtx.imageSmoothingQuality = 'high';
+    bgCtx.drawImage(small, 0, 0, width, height);
+    const bg = bgCtx.getImageData(0, 0, width, height).data;
+    const image = ctx.getImageData(0, 0, width, height);
+    const d = image.data;
+    for (let i = 0; i < d.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            d[i + c] = Math.min(255, (d[i + c] / Math.max(bg[i + c], 1)) * 255);
+        }
+    }
+    ctx.putImageData(image, 0, 0);
+};
+
+const toGrayscale = (canvas) => {
+    const ctx = canvas.getContext('2d');
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const d = image.data;
+    for (let i = 0; i < d.length; i += 4) {
+        d[i] = d[i + 1] = d[i + 2] = luminance(d, i);
+    }
+    ctx.putImageData(image, 0, 0);
+};
+
+// Stretch levels so the 1st–99th percentile spans the full range
+const stretchContrast = (canvas) => {
+    const ctx = canvas.getContext('2d');
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const d = image.data;
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < d.length; i += 4) histogram[Math.round(luminance(d, i))]++;
+
+    const total = d.length / 4;
+    let low = 0;
+    let high = 255;
+    for (let acc = 0; low < 255 && (acc += histogram[low]) < total * 0.01; low++);
+    for (let acc = 0; high > 0 && (acc += histogram[high]) < total * 0.01; high--);
+    if (high - low < 10) return;
+
+    const scale = 255 / (high - low);
+    for (let i = 0; i < d.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            d[i + c] = Math.min(255, Math.max(0, (d[i + c] - low) * scale));
+        }
+    }
+    ctx.putImageData(image, 0, 0);
+};
+
+// Browsers without WebP encoding silently fall back to PNG; use JPEG instead
+const encode = (canvas, format, quality) => {
+    const url = canvas.toDataURL(format, quality);
+    return url.startsWith(`data:${format}`) ? url : canvas.toDataURL('image/jpeg', quality);
+};
+
+// Run the enabled steps on a (cropped) image. Returns { image, skew }.
+export const preprocessImage = async (src, settings = DEFAULT_PREPROCESS_SETTINGS) => {
+    const img = await loadImage(src);
+    let canvas = downscale(imageToCanvas(img), settings.maxSize);
+
+    let skew = 0;
+    if (settings.autoDeskew) {
+        skew = estimateSkew(canvas);
+        if (Math.abs(skew) >= 0.5) canvas = rotateCanvas(canvas, -skew);
+    }
+    if (settings.removeShadows) removeShadows(canvas);
+    if (settings.grayscale) toGrayscale(canvas);
+    if (settings.contrast) stretchContrast(canvas);
+
+    return { image: encode(canvas, settings.format, settings.quality), skew };
+};
+
+// Files, pasted images and PDF pages skip the crop modal, so they get the
+// saved settings here; with preprocessing off they are still downscaled.
+// Falls back to the original when the image cannot be processed.
+export const prepareImportedImage = async (src, settings = loadPreprocessSettings()) => {
+    try {
+        if (settings.enabled) return (await preprocessImage(src, settings)).image;
+        const source = imageToCanvas(await loadImage(src));
+        const canvas = downscale(source, settings.maxSize);
+        return canvas === source ? src : encode(canvas, settings.format, settings.quality);
+    } catch (e) {
+        console.error('Error preprocessing image:', e);
+        return src;
+    }
+};
@@ -0,0 +1,41 @@
+// Grouping of problem images into "sources" (one textbook problem may span
+// several crops). meta[i] = { source, label } for images[i].
+
+// Older sheets and batch jobs have no meta: every image is its own source
+export const normalizeImageMeta = (images, meta) =>
+    images.map((_, i) => ({
+        source: meta?.[i]?.source ?? i + 1,
+        label: meta?.[i]?.label ?? ''
+    }));
+
+export const nextSourceId = (meta) => meta.reduce((max, m) => Math.max(max, m.source), 0) + 1;
+
+// Display numbers (1, 2, ...) in order of first appearance, since ids become
+// sparse after deletions
+export const sourceNumbers = (meta) => {
+    const numbers = new Map();
+    meta.forEach(m => {
+        if (!numbers.has(m.source)) numbers.set(m.source, numbers.size + 1);
+    });
+    return numbers;
+};
+
+// Prompt section telling the model which images belong together.
+// Empty when it adds nothing (one image, or every image its own source
+// without labels).
+export const describeImageSources = (meta = []) => {
+    if (meta.length < 2) return '';
+    const numbers = sourceNumbers(meta);
+    if (numbers.size === meta.length && meta.every(m => !m.label)) return '';
+
+    const groups = new Map();
+    meta.forEach((m, i) => {
+        const name = `画像${i + 1}${m.label ? `（${m.label}）` : ''}`;
+        groups.set(m.source, [...(groups.get(m.source) || []), name]);
+    });
+    const lines = [...groups.entries()].map(([source, names]) =>
+        `- 出典${numbers.get(source)}: ${names.join('、')}`
+    );
+    return `【画像の構成】添付画像は${numbers.size}つの出典から切り出したものです。同じ出典の画像は1つの問題（または一続きの資料）の一部として扱ってください。
+${lines.join('\n')}`;
+};
@@ -0,0 +1,28 @@
+// KaTeX syntax check for Markdown sources
+import katex from 'katex';
+
+// $$display$$ or $inline$ (not preceded by a backslash)
+const MATH_RE = /(?<!\\)\$\$([\s\S]+?)\$\$|(?<!\\)\$((?:\\\$|[^$\n])+?)\$/g;
+
+// Find math segments that KaTeX cannot parse.
+// Returns [{ line, start, end, tex, message }] with offsets into `md`.
+export const findMathErrors = (md) => {
+    const errors = [];
+    for (const match of md.matchAll(MATH_RE)) {
+        const displayMode = match[1] !== undefined;
+        const tex = displayMode ? match[1] : match[2];
+        try {
+            katex.renderToString(tex, { displayMode, throwOnError: true });
+        } catch (e) {
+            if (!(e instanceof katex.ParseError)) throw e;
+            errors.push({
+                line: md.slice(0, match.index).split('\n').length,
+                start: match.index,
+                end: match.index + match[0].length,
+                tex,
+                message: e.message.replace(/^KaTeX parse error:\s*/, '')
+            });
+        }
+    }
+    return errors;
+};
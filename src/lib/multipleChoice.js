@@ -0,0 +1,138 @@
+// Multiple-choice versions of a sheet for quick checks at the start of class
+// Wrong options are built from the typical mistakes listed under
+// つまずきやすいポイント, and each one keeps the misconception behind it so
+// the answer key can explain why it is wrong.
+import { SchemaType } from '@google/generative-ai';
+import { CHOICE_LABELS, hasChoices, parseJsonResponse } from './sheetModel';
+import { shuffle } from './variants';
+import { notationRule } from './templates';
+
+export const DISTRACTOR_COUNTS = [2, 3, 4];
+export const DEFAULT_DISTRACTOR_COUNT = 3;
+
+// Gemini responseSchema: wrong options per problem, in the original order
+export const CHOICE_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        problems: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    distractors: {
+                        type: SchemaType.ARRAY,
+                        items: {
+                            type: SchemaType.OBJECT,
+                            properties: {
+                                wrongAnswer: { type: SchemaType.STRING, description: '誤答の選択肢' },
+                                misconception: { type: SchemaType.STRING, description: 'この誤答になる間違い方' }
+                            },
+                            required: ['wrongAnswer', 'misconception']
+                        }
+                    }
+                },
+                required: ['distractors']
+            }
+        }
+    },
+    required: ['problems']
+};
+
+export const buildChoicePrompt = (data, { grade = '中学生', subject = '', distractorCount = DEFAULT_DISTRACTOR_COUNT } = {}) => `あなたは${grade}向けの${subject}教育のプロフェッショナルです。以下の${data.problems.length}問を選択式の確認テストにするため、各問題の誤答の選択肢を${distractorCount}個ずつ作成してください。
+
+【作成の方針】
+- 誤答は、生徒が実際にやりがちな間違い（符号の間違い、解の片方を忘れる、ルートの付け忘れ、計算順序の誤りなど）から作ってください
+- 下の「つまずきやすいポイント」に挙げられた間違いを優先して使ってください
+- 誤答は正しい答えと同じ形式で書き、正しい答えや他の誤答と同じ値にならないようにしてください
+- misconception には、どんな間違いをするとその誤答になるかを生徒に説明する一文を書いてください
+- 問題の数と順番は元のままにしてください（選択肢の並べ替えはこちらで行います）
+- ${notationRule(subject)}
+
+【つまずきやすいポイント】
+${data.instructorGuide.pitfalls || '（なし）'}
+
+【問題と正しい答え】(JSON)
+${JSON.stringify(data.problems.map(({ statement, answer }) => ({ statement, answer })))}
+
+以下の JSON 形式で出力してください：
+- problems: 元の問題と同じ数・同じ順番の配列
+  - distractors: 誤答の配列（${distractorCount}個）
+    - wrongAnswer: 誤答
+    - misconception: その誤答になる間違い方
+`;
+
+// Compare answers ignoring spacing and $ delimiters
+const normalizeAnswer = (text) => text.replace(/[\s$]/g, '');
+
+// Shuffled options for one problem: the answer plus distinct distractors
+export const buildChoices = (problem, distractors, distractorCount = DEFAULT_DISTRACTOR_COUNT) => {
+    const seen = new Set([normalizeAnswer(problem.answer)]);
+    const wrong = [];
+    (Array.isArray(distractors) ? distractors : []).forEach(d => {
+        const text = typeof d?.wrongAnswer === 'string' ? d.wrongAnswer.trim() : '';
+        if (!text || seen.has(normalizeAnswer(text)) || wrong.length >= distractorCount) return;
+        seen.add(normalizeAnswer(text));
+        wrong.push({ text, correct: false, rationale: typeof d.misconception === 'string' ? d.misconception.trim() : '' });
+    });
+    const options = [{ text: problem.answer, correct: true, rationale: '' }, ...wrong].slice(0, CHOICE_LABELS.length);
+    return shuffle(options);
+};
+
+// Ask the model for distractors and turn every problem into a multiple-choice one.
+// Problems that got no usable distractor stay written problems.
+export const convertToMultipleChoice = async ({ provider, settings, data, grade, subject, distractorCount, signal }) => {
+    const text = await provider.generate({
+        settings,
+        prompt: buildChoicePrompt(data, { grade, subject, distractorCount }),
+        schema: CHOICE_SCHEMA,
+        signal
+    });
+    const parsed = parseJsonResponse(text);
+    if (!Array.isArray(parsed?.problems) || parsed.problems.length !== data.problems.length) {
+        throw new Error(`問題数が元のシートと一致しません（${parsed?.problems?.length ?? 0}/${data.problems.length}）`);
+    }
+    const problems = data.problems.map((p, i) => {
+        const { choices, ...rest } = p;
+        const options = buildChoices(rest, parsed.problems[i]?.distractors, distractorCount);
+        return options.length > 1 ? { ...rest, choices: options } : rest;
+    });
+    if (!problems.some(hasChoices)) throw new Error('誤答の選択肢を作成できませんでした');
+    return { ...data, problems };
+};
+
+const withoutChoices = ({ choices, ...rest }) => rest;
+
+// Back to written problems
+export const removeChoices = (data) => ({
+    ...data,
+    problems: data.problems.map(withoutChoices)
+});
+
+// Wrong options per problem on a converted sheet, to convert its versions alike
+export const distractorCountOf = (data) =>
+    Math.max(0, ...data.problems.filter(hasChoices).map(p => p.choices.length - 1)) || DEFAULT_DISTRACTOR_COUNT;
+
+// Convert an A/B version ({ label, order, data }) the way `original` (version
+// A) is: its own numbers need their own distractors, and only the problems
+// that are multiple choice on A get options. order[i] is the A index of problem i.
+export const convertVariantLike = async ({ variant, original, ...request }) => {
+    const converted = await convertToMultipleChoice({
+        ...request,
+        data: removeChoices(variant.data),
+        distractorCount: distractorCountOf(original)
+    });
+    const problems = converted.problems.map((p, i) => (hasChoices(original.problems[variant.order[i]]) ? p : withoutChoices(p)));
+    return { ...variant, data: { ...converted, problems } };
+};
+
+// Options for one reworked problem, like the ones it replaces
+export const convertProblemLike = async ({ problem, previous, data, ...request }) => {
+    const converted = await convertToMultipleChoice({
+        ...request,
+        data: { ...data, problems: [withoutChoices(problem)] },
+        distractorCount: previous.choices.length - 1
+    });
+    return converted.problems[0];
+};
+
+export const isMultipleChoice = (data) => data.problems.some(hasChoices);
@@ -0,0 +1,31 @@
+import { describe, test, expect } from 'vitest';
+import { buildChoices } from './multipleChoice';
+
+const problem = { statement: '$2x = 6$ を解きなさい。', answer: '$x = 3$' };
+const distractors = [
+    { wrongAnswer: '$x = 12$', misconception: '両辺に2をかけた' },
+    { wrongAnswer: '$x = 4$', misconception: '6から2を引いた' },
+    { wrongAnswer: '$x = -3$', misconception: '符号を間違えた' }
+];
+
+// Positions the correct option lands on over many shuffles
+const correctPositions = (count) => {
+    const seen = new Set();
+    for (let i = 0; i < 200; i++) {
+        seen.add(buildChoices(problem, distractors.slice(0, count), count).findIndex(c => c.correct));
+    }
+    return seen;
+};
+
+describe('buildChoices', () => {
+    test('keeps the answer and distinct distractors', () => {
+        const options = buildChoices(problem, [...distractors, { wrongAnswer: '$x=3$', misconception: '' }]);
+        expect(options).toHaveLength(4);
+        expect(options.filter(c => c.correct)).toEqual([{ text: '$x = 3$', correct: true, rationale: '' }]);
+    });
+
+    test('puts the correct option in any position', () => {
+        expect(correctPositions(1)).toEqual(new Set([0, 1]));
+        expect(correctPositions(3)).toEqual(new Set([0, 1, 2, 3]));
+    });
+});
@@ -0,0 +1,34 @@
+// System notifications for work that finishes in the background
+// Mobile browsers only show notifications through the service worker
+// registration, so that is tried first.
+
+export const canNotify = () => 'Notification' in window;
+
+// Ask once, from a user action; later calls return the stored answer
+export const requestNotificationPermission = async () => {
+    if (!canNotify()) return 'denied';
+    if (Notification.permission !== 'default') return Notification.permission;
+    try {
+        return await Notification.requestPermission();
+    } catch (e) {
+        console.error('Error requesting notification permission:', e);
+        return 'denied';
+    }
+};
+
+export const notify = async (title, body) => {
+    if (!canNotify() || Notification.permission !== 'granted') return false;
+    const options = { body, icon: '/pwa-192x192.png', lang: 'ja' };
+    try {
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (registration) {
+            await registration.showNotification(title, options);
+        } else {
+            new Notification(title, options);
+        }
+        return true;
+    } catch (e) {
+        console.error('Error showing notification:', e);
+        return false;
+    }
+};
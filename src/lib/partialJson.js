@@ -0,0 +1,127 @@
+// Tolerant JSON parser for streamed responses
+// Parses as much of a truncated JSON document as possible: open strings,
+// objects and arrays are closed at the end of input. Objects and arrays that
+// were cut off are reported through isComplete() so callers can tell a
+// finished problem from one still being written.
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+const LITERALS = { true: true, false: false, null: null };
+
+export const parsePartialJson = (input) => {
+    const text = input.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    const incomplete = new WeakSet();
+    let i = 0;
+
+    const skipWhitespace = () => {
+        while (i < text.length && /\s/.test(text[i])) i++;
+    };
+
+    const parseString = () => {
+        i++; // opening quote
+        let out = '';
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '"') {
+                i++;
+                return { value: out, done: true };
+            }
+            if (ch === '\\') {
+                const esc = text[i + 1];
+                if (esc === undefined) break;
+                if (esc === 'u') {
+                    if (i + 6 > text.length) break;
+                    out += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+                    i += 6;
+                } else {
+                    out += ESCAPES[esc] ?? esc;
+                    i += 2;
+                }
+                continue;
+            }
+            out += ch;
+            i++;
+        }
+        i = text.length;
+        return { value: out, done: false };
+    };
+
+    const parseLiteral = () => {
+        const rest = text.slice(i);
+        const num = rest.match(/^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/);
+        if (num) {
+            i += num[0].length;
+            // A number at the very end may still be growing
+            return { value: Number(num[0]), done: i < text.length };
+        }
+        for (const [word, value] of Object.entries(LITERALS)) {
+            if (rest.startsWith(word)) {
+                i += word.length;
+                return { value, done: true };
+            }
+            if (word.startsWith(rest)) {
+                i = text.length;
+                return { value: undefined, done: false };
+            }
+        }
+        throw new SyntaxError(`Unexpected token at position ${i}`);
+    };
+
+    const parseContainer = (isArray) => {
+        const container = isArray ? [] : {};
+        const cutOff = () => {
+            incomplete.add(container);
+            return { value: container, done: false };
+        };
+        i++; // opening bracket
+
+        for (;;) {
+            skipWhitespace();
+            if (i >= text.length) return cutOff();
+            const ch = text[i];
+            if (ch === (isArray ? ']' : '}')) {
+                i++;
+                return { value: container, done: true };
+            }
+            if (ch === ',') {
+                i++;
+                continue;
+            }
+
+            let key;
+            if (!isArray) {
+                if (ch !== '"') throw new SyntaxError(`Expected key at position ${i}`);
+                const parsedKey = parseString();
+                if (!parsedKey.done) return cutOff();
+                key = parsedKey.value;
+                skipWhitespace();
+                if (i >= text.length) return cutOff();
+                if (text[i] !== ':') throw new SyntaxError(`Expected ':' at position ${i}`);
+                i++;
+            }
+
+            const item = parseValue();
+            if (item.value !== undefined) {
+                if (isArray) container.push(item.value);
+                else container[key] = item.value;
+            }
+            if (!item.done) return cutOff();
+        }
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        if (i >= text.length) return { value: undefined, done: false };
+        const ch = text[i];
+        if (ch === '{') return parseContainer(false);
+        if (ch === '[') return parseContainer(true);
+        if (ch === '"') return parseString();
+        return parseLiteral();
+    };
+
+    const { value, done } = parseValue();
+    return {
+        value,
+        complete: done,
+        isComplete: (node) => !!node && typeof node === 'object' && !incomplete.has(node)
+    };
+};
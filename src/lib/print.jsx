@@ -0,0 +1,382 @@
+// Print preview rendering
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import Markdown from '../components/Markdown';
+import '@fontsource/zen-maru-gothic/400.css';
+import '@fontsource/zen-maru-gothic/500.css';
+import '@fontsource/zen-maru-gothic/700.css';
+import {
+    sheetToMarkdown,
+    problemHeading,
+    statementMarkdown,
+    hasChoices,
+    solutionMarkdown,
+    instructorMarkdown,
+    filterSheetByLevel
+} from './sheetModel';
+import { DEFAULT_PRINT_LAYOUT, paginate, answerSpaceHtml, bubbleGridHtml } from './printLayout';
+import { DEFAULT_PROFILE } from './branding';
+
+// Simple markdown to HTML converter using ReactMarkdown
+export const markdownToHtml = (md) => {
+    if (!md) return '';
+    // Remove trailing spaces to prevent hard breaks
+    const cleanMd = md.replace(/ +$/gm, '');
+    return renderToStaticMarkup(<Markdown>{cleanMd}</Markdown>);
+};
+
+const formatDate = (date) => (date
+    ? new Date(date).toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric' })
+    : '');
+
+// Printable HTML for one sheet in the given mode.
+// sheet = { data, studentName, instructorName, assignDate, dueDate?, level?, variant? }
+// With `level`, only that tier of a tiered sheet is printed; `variant` is the
+// A/B version label marked on every page. `profile` is the branding profile
+// that decides the school name, logo and header fields.
+export const renderSheetPrint = (sheet, mode, layout = DEFAULT_PRINT_LAYOUT, profile = DEFAULT_PROFILE) => {
+    const { studentName, instructorName, assignDate, dueDate, level, variant } = sheet;
+    const fields = profile.headerFields;
+    const data = filterSheetByLevel(sheet.data, level);
+    const tierLabel = level ? sheet.data.tiers?.find(t => t.id === level)?.label : '';
+    const suffix = [tierLabel, variant ? `${variant}版` : ''].filter(Boolean).join('・');
+    const variantMark = variant ? `<span class="variant-mark">${variant}版</span>` : '';
+    // Every problem block carries the version too: pages can break anywhere
+    // (problemsPerPage or overflow) and all versions may print as one job,
+    // where the footer cannot tell them apart
+    const blockMark = variant ? `<span class="variant-mark block-mark">${variant}</span>` : '';
+
+    // Build content based on mode
+    let printContent = '';
+    let title = '';
+
+    const renderSection = (sectionTitle, content) => {
+        return `
+            <div class="print-section ${layout.keepTogether ? 'keep-together' : ''}">
+                <h2>${sectionTitle}</h2>
+                ${content}
+            </div>
+        `;
+    };
+
+    // One block per problem so blocks can be kept whole, laid out in columns
+    // and split into pages of `problemsPerPage`. Multiple-choice problems are
+    // answered on the bubble grid, so they get no 答え（　） blank.
+    const problemContent = () => {
+        const blocks = data.problems.map((p, i) => `
+            <div class="print-problem">
+                ${blockMark}
+                ${markdownToHtml(`### ${problemHeading(data, i)}\n${statementMarkdown(p)}`)}
+                ${hasChoices(p) && layout.answerSpace === 'blank' ? '' : answerSpaceHtml(layout)}
+            </div>
+        `);
+        return paginate(blocks, layout.problemsPerPage)
+            .map(page => `<div class="print-problems columns-${layout.columns}">${page.join('')}</div>`)
+            .join('<div class="page-break"></div>') + bubbleGridHtml(data.problems, blockMark);
+    };
+
+    const solutionContent = () => data.problems
+        .map((p, i) => `<div class="print-problem">${blockMark}${markdownToHtml(solutionMarkdown(p, i))}</div>`)
+        .join('');
+
+    const sections = {
+        problem: { title: '問題', showScore: true, content: problemContent },
+        solution: { title: '解答・解説', showScore: false, content: solutionContent },
+        instructor: { title: '講師向けガイド', showScore: false, content: () => `${blockMark}${markdownToHtml(instructorMarkdown(data))}` }
+    };
+
+    // Header generation helper (similar to Vanilla)
+    const getHeader = (showScore = true) => {
+        const dateStr = fields.date ? formatDate(assignDate) : '';
+        const dueStr = fields.dueDate ? formatDate(dueDate) : '';
+        const scoreItems = showScore ? [
+            fields.targetTime ? '<div class="score-item">目標時間<div class="score-line"></div>分</div>' : '',
+            fields.score ? `<div class="score-item">得点<div class="score-line"></div>/${profile.maxScore}</div>` : ''
+        ].join('') : '';
+        return `
+        <div class="print-header">
+          ${profile.logo || profile.schoolName ? `
+          <div class="header-brand">
+             ${profile.logo ? `<img class="brand-logo" src="${profile.logo}" alt="">` : ''}
+             ${profile.schoolName ? `<span class="school-name">${profile.schoolName}</span>` : ''}
+          </div>` : ''}
+          <div class="header-top">
+             <h1 class="main-title" id="displayTitle">${title}${suffix ? `（${suffix}）` : ''}</h1>
+             ${variantMark}
+          </div>
+          <div class="header-bottom">
+              <div class="header-left">
+                ${dateStr ? `<span class="date">${dateStr}</span>` : ''}
+                ${dueStr ? `<span class="date">提出期限: ${dueStr}</span>` : ''}
+                <div class="names">
+                    ${fields.student && studentName ? `<span class="student">生徒: ${studentName}</span>` : ''}
+                    ${fields.instructor && instructorName ? `<span class="instructor">講師: ${instructorName}</span>` : ''}
+                </div>
+              </div>
+              
+              <div class="header-right">
+                ${scoreItems ? `
+                <div class="score-box">
+                     ${scoreItems}
+                </div>` : ''}
+              </div>
+          </div>
+        </div>
+        `;
+    };
+
+    const renderPage = (id) => {
+        const section = sections[id];
+        return `
+            ${getHeader(section.showScore)}
+            ${renderSection(section.title, section.content())}
+        `;
+    };
+
+    switch (mode) {
+        case 'problem':
+        case 'solution':
+        case 'instructor':
+            title = sections[mode].title;
+            printContent = renderPage(mode);
+            break;
+        case 'full':
+            title = '類題プリント';
+            printContent = layout.sectionOrder.map(renderPage).join('<div class="page-break"></div>');
+            break;
+        default:
+            title = '類題';
+            printContent = markdownToHtml(sheetToMarkdown(data));
+    }
+
+    return { title: suffix ? `${title}（${suffix}）` : title, html: printContent };
+};
+
+// Styles of the printed sheet, shared by the preview popup and exported files
+export const SHEET_STYLES = `
+        body {
+            background: #e5e7eb !important; /* Gray background for preview */
+            margin: 0;
+            padding: 20px 0;
+            color: #333;
+            font-family: 'Zen Maru Gothic', sans-serif;
+        }
+        .print-wrapper {
+            max-width: 210mm;
+            margin: 0 auto;
+            padding: 15mm;
+            padding-bottom: 20mm; /* Space for footer */
+            background: white;
+            min-height: 297mm;
+            box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+            position: relative;
+        }
+        
+        /* Section Styling */
+        .result-content { line-height: 1.6; }
+        .print-section { margin-bottom: 20px; }
+
+        /* Worksheet Layout */
+        .print-problems.columns-2 { column-count: 2; column-gap: 10mm; }
+        .print-problem { margin-bottom: 6mm; }
+        .print-problem h3 { margin-top: 0; }
+        .keep-together .print-problem { break-inside: avoid; page-break-inside: avoid; }
+        .answer-box { border: 1px solid #333; border-radius: 4px; margin-top: 3mm; }
+        .answer-lines { margin-top: 3mm; }
+        .answer-line { height: 8mm; border-bottom: 1px dashed #999; }
+        .answer-blank { text-align: right; margin: 3mm 0 0; }
+        .bubble-grid { break-inside: avoid; page-break-inside: avoid; margin-top: 6mm; }
+        .bubble-grid table { border-collapse: collapse; }
+        .bubble-grid th { padding: 1.5mm 4mm 1.5mm 0; text-align: left; font-weight: 500; }
+        .bubble-grid td { padding: 1.5mm 2mm; }
+        .bubble {
+            display: inline-block; width: 7mm; height: 7mm; line-height: 7mm;
+            border: 1px solid #333; border-radius: 50%;
+            text-align: center; font-size: 9pt; color: #888;
+        }
+        
+        h2 {
+            margin-bottom: 1rem;
+            font-size: 1.25rem;
+            color: #333;
+            border-left: 5px solid var(--accent-color);
+            padding-left: 10px;
+            margin-top: 0;
+        }
+        
+        /* Header Styling */
+        .print-header {
+          margin-bottom: 20px;
+          border-bottom: 2px solid #333;
+          padding-bottom: 5px;
+        }
+        .header-brand { display: flex; align-items: center; gap: 8px; margin-bottom: 6px; }
+        .brand-logo { max-height: 12mm; max-width: 40mm; object-fit: contain; }
+        .school-name { font-weight: 700; color: var(--accent-color); }
+        .header-top { text-align: center; margin-bottom: 10px; position: relative; }
+        .variant-mark {
+          float: right;
+          border: 2px solid var(--accent-color);
+          border-radius: 6px;
+          padding: 0 10px;
+          font-weight: 700;
+        }
+        .header-top .variant-mark { position: absolute; right: 0; top: 0; }
+        .block-mark { border-width: 1px; padding: 0 5px; font-size: 9pt; margin-left: 4mm; }
+        .main-title { font-size: 24px; margin: 0; letter-spacing: 2px; }
+        .header-bottom { display: flex; justify-content: space-between; align-items: flex-end; }
+        .header-left .date { font-weight: 500; margin-right: 15px; }
+        .names { display: inline-flex; gap: 15px; }
+        .score-box {
+          border: 2px solid #333;
+          border-radius: 8px;
+          padding: 5px 15px;
+          display: flex;
+          gap: 20px;
+          background: #fff;
+        }
+        .score-item { font-size: 14px; display: flex; align-items: flex-end; }
+        .score-line { border-bottom: 1px solid #333; width: 60px; margin-left: 5px; }
+        
+        .page-break {
+            page-break-after: always;
+            height: 0;
+            display: block;
+            border: none;
+        }
+        
+        /* Footer */
+        .print-footer {
+            position: fixed;
+            bottom: 0;
+            left: 0;
+            width: 100%;
+            text-align: center;
+            font-size: 10px;
+            color: #666;
+            padding-bottom: 5mm;
+            background-color: rgba(255, 255, 255, 0.9);
+            z-index: 1000;
+        }
+
+        @page {
+            size: A4 portrait;
+            margin: 10mm;
+        }
+
+        @media print {
+            body { padding: 0 !important; background: white !important; }
+            .print-wrapper { width: 100%; max-width: none; margin: 0; padding: 0; box-shadow: none; padding-bottom: 0; }
+            .print-footer { display: block !important; }
+        }
+`;
+
+// Title / zoom bar of the preview popup
+const CONTROL_STYLES = `
+        /* Controls */
+        body { padding-top: 80px; } /* Space for controls */
+        .print-controls {
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 60px;
+            background: #f3f4f6;
+            border-bottom: 1px solid #d1d5db;
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 0 20px;
+            box-sizing: border-box;
+            z-index: 9999;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+        }
+        .control-group { display: flex; align-items: center; gap: 15px; }
+        .control-group label { font-weight: bold; color: #374151; }
+        input[type=range] { width: 150px; cursor: pointer; }
+        input[type=text] { padding: 5px; border-radius: 4px; border: 1px solid #ccc; width: 150px; }
+        .buttons { display: flex; gap: 10px; }
+        .btn { padding: 8px 16px; border-radius: 6px; border: none; cursor: pointer; font-weight: bold; transition: opacity 0.2s; }
+        .btn-print { background: #4f46e5; color: white; }
+        .btn-close { background: #6b7280; color: white; }
+        .btn:hover { opacity: 0.9; }
+
+        @media print {
+            .print-controls { display: none !important; }
+        }
+`;
+
+// Complete HTML document for rendered sheet content. `styles` is the
+// <style>/<link> markup to include; `preview` adds the popup's control bar;
+// `profile` supplies the footer text and accent colour. `variant` is added to
+// the footer, which repeats on every printed page.
+export const printDocumentHtml = (title, printContent, { styles = '', preview = false, profile = DEFAULT_PROFILE, variant = '' } = {}) => {
+    const footerText = [profile.footerText, variant ? `${variant}版` : ''].filter(Boolean).join('　');
+    return `
+  <!DOCTYPE html>
+  <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>${title} - RUIDAI${preview ? ' (Print)' : ''}</title>
+      ${styles}
+      <style>:root { --accent-color: ${profile.accentColor}; }${SHEET_STYLES}${preview ? CONTROL_STYLES : ''}</style>
+    </head>
+    <body>
+      ${preview ? `
+      <div class="print-controls">
+        <div class="control-group">
+            <label>タイトル:</label>
+            <input type="text" id="titleInput" value="${title}">
+            
+            <label style="margin-left: 15px;">サイズ: <span id="scaleVal">100%</span></label>
+            <input type="range" id="scaleSlider" min="50" max="150" value="100" step="5">
+        </div>
+        <div class="buttons">
+            <button class="btn btn-print" onclick="window.print()">🖨️ 印刷</button>
+            <button class="btn btn-close" onclick="window.close()">✕ 閉じる</button>
+        </div>
+      </div>
+      ` : ''}
+
+      <div class="print-wrapper result-content">
+         ${printContent}
+         ${footerText ? `<div class="print-footer">
+            ${footerText}
+         </div>` : ''}
+      </div>
+      ${preview ? `
+      <script>
+        const slider = document.getElementById('scaleSlider');
+        const label = document.getElementById('scaleVal');
+        const titleInput = document.getElementById('titleInput');
+        
+        slider.addEventListener('input', (e) => {
+            const val = e.target.value;
+            label.textContent = val + '%';
+            document.body.style.zoom = val + '%';
+        });
+        
+        titleInput.addEventListener('input', (e) => {
+            const newTitle = e.target.value;
+            document.querySelectorAll('.main-title').forEach(el => el.textContent = newTitle);
+            document.title = newTitle;
+        });
+      </script>
+      ` : ''}
+    </body>
+  </html>
+`;
+};
+
+// Markup that pulls in every stylesheet of the app (KaTeX, fonts, ...)
+export const documentStyles = () => Array.from(document.querySelectorAll('style, link[rel="stylesheet"]'))
+    .map(node => node.outerHTML)
+    .join('');
+
+// Open the print preview popup for already-rendered content
+// options = { profile, variant } as for printDocumentHtml
+export const openPrintWindow = (title, printContent, options = {}) => {
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(printDocumentHtml(title, printContent, { ...options, styles: documentStyles(), preview: true }));
+    printWindow.document.close();
+};
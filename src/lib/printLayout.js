@@ -0,0 +1,98 @@
+// Worksheet layout for printing: columns, answer space under each problem,
+// page control and the order of sections in a full print.
+import { CHOICE_LABELS, hasChoices } from './sheetModel';
+
+const LAYOUT_KEY = 'ruidai_print_layout';
+
+export const PRINT_SECTIONS = [
+    { id: 'problem', label: '問題' },
+    { id: 'solution', label: '解答・解説' },
+    { id: 'instructor', label: '講師向けガイド' }
+];
+
+export const ANSWER_SPACES = [
+    { value: 'none', label: 'なし' },
+    { value: 'box', label: '解答欄（枠）' },
+    { value: 'lines', label: '罫線' },
+    { value: 'blank', label: '答え（　　）' }
+];
+
+// Height of one ruled line in mm
+const LINE_PITCH = 8;
+
+export const DEFAULT_PRINT_LAYOUT = {
+    columns: 1,
+    answerSpace: 'none',
+    answerHeight: 30, // mm, for box / lines
+    keepTogether: true,
+    problemsPerPage: 0, // 0 = as many as fit
+    sectionOrder: PRINT_SECTIONS.map(s => s.id)
+};
+
+const validOrder = (order) => Array.isArray(order) &&
+    order.length === PRINT_SECTIONS.length &&
+    PRINT_SECTIONS.every(s => order.includes(s.id));
+
+export const loadPrintLayout = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LAYOUT_KEY) || '{}');
+        const layout = { ...DEFAULT_PRINT_LAYOUT, ...saved };
+        if (!validOrder(layout.sectionOrder)) layout.sectionOrder = DEFAULT_PRINT_LAYOUT.sectionOrder;
+        return layout;
+    } catch (e) {
+        console.error('Error loading print layout:', e);
+        return DEFAULT_PRINT_LAYOUT;
+    }
+};
+
+export const savePrintLayout = (layout) => {
+    localStorage.setItem(LAYOUT_KEY, JSON.stringify(layout));
+};
+
+// Move a section one step up (-1) or down (+1) in the print order
+export const moveSection = (order, id, delta) => {
+    const from = order.indexOf(id);
+    const to = from + delta;
+    if (from < 0 || to < 0 || to >= order.length) return order;
+    const next = [...order];
+    [next[from], next[to]] = [next[to], next[from]];
+    return next;
+};
+
+// Split items into pages of `perPage` (0 = a single page)
+export const paginate = (items, perPage) => {
+    if (!perPage || perPage <= 0) return [items];
+    const pages = [];
+    for (let i = 0; i < items.length; i += perPage) {
+        pages.push(items.slice(i, i + perPage));
+    }
+    return pages;
+};
+
+// HTML placed under each problem for the student's work
+export const answerSpaceHtml = (layout) => {
+    const height = Math.max(10, Number(layout.answerHeight) || DEFAULT_PRINT_LAYOUT.answerHeight);
+    switch (layout.answerSpace) {
+        case 'box':
+            return `<div class="answer-box" style="height: ${height}mm"></div>`;
+        case 'lines': {
+            const count = Math.max(1, Math.round(height / LINE_PITCH));
+            return `<div class="answer-lines">${'<div class="answer-line"></div>'.repeat(count)}</div>`;
+        }
+        case 'blank':
+            return '<p class="answer-blank">答え（　　　　　　　　　　）</p>';
+        default:
+            return '';
+    }
+};
+
+// Bubble answer grid for the multiple-choice problems of a sheet ('' if none);
+// `mark` is the A/B version mark of a versioned print
+export const bubbleGridHtml = (problems, mark = '') => {
+    const rows = problems.map((p, i) => (hasChoices(p) ? `
+        <tr>
+            <th>問${i + 1}</th>
+            ${p.choices.map((_, j) => `<td><span class="bubble">${CHOICE_LABELS[j]}</span></td>`).join('')}
+        </tr>` : '')).join('');
+    return rows ? `<div class="bubble-grid">${mark}<h3>解答欄</h3><table>${rows}</table></div>` : '';
+};
@@ -0,0 +1,61 @@
+// Per-problem actions in the result panel
+// Each action sends only the targeted problem (plus the original images) and
+// replaces its statement, answer, steps and hints together.
+import { buildLevelPrompt } from './tiers';
+import { notationRule, usesLatex } from './templates';
+
+export const PROBLEM_ACTIONS = [
+    {
+        id: 'regenerate',
+        label: '🔄 作り直す',
+        instruction: '同じ単元・同じ難易度で、別の新しい問題に作り直してください。'
+    },
+    {
+        id: 'easier',
+        label: '⬇️ 易しく',
+        instruction: '同じ単元のまま、難易度を一段階下げた問題に作り直してください。'
+    },
+    {
+        id: 'harder',
+        label: '⬆️ 難しく',
+        instruction: '同じ単元のまま、難易度を一段階上げた問題に作り直してください。'
+    },
+    {
+        id: 'numbers',
+        label: '🔢 数値だけ変更',
+        instruction: '問題文の構成と解き方は変えずに、数値（係数・定数）だけを変えてください。答えが整数や簡単な分数になるように選び、答えと解説も新しい数値に合わせて計算し直してください。'
+    }
+];
+
+// Offered on problems whose answer failed verification
+export const RESOLVE_ACTION = {
+    id: 'resolve',
+    label: '🧮 解き直す',
+    instruction: '問題文は一切変えずに、この問題を最初から解き直してください。現在の答えは検算で誤りと判定されています。正しい答え・解説・ヒントに書き直してください。'
+};
+
+export const getProblemAction = (id) => [...PROBLEM_ACTIONS, RESOLVE_ACTION].find(a => a.id === id);
+
+// `grade` / `subject` come from the prompt template the sheet was made with;
+// `tier` ({ id, label, description }) is the problem's level on a tiered sheet
+export const buildProblemPrompt = (problem, index, action, customInstructions = '', { grade = '中学生', subject = '', tier = null } = {}) => `あなたは${grade}向けの${subject}教育のプロフェッショナルです。添付された元の問題画像を参考に、以下の問題${index + 1}を修正してください。
+
+【修正内容】
+${action.instruction}
+${tier ? `\n${buildLevelPrompt(tier)}\n` : ''}
+${customInstructions ? `追加指示: ${customInstructions}` : ''}
+
+【現在の問題】(JSON)
+${JSON.stringify(problem)}
+
+【絶対厳守】
+- 問題文・答え・解説・ヒントがすべて新しい問題と一致するようにしてください
+- ${notationRule(subject)}
+- 見出しや問題番号は付けないでください
+
+以下の JSON 形式で1問だけ出力してください：
+- statement: 問題文
+- answer: 最終的な答え${usesLatex(subject) ? '（例: $x = 3$）' : ''}
+- steps: 解説の各ステップ（番号は付けない）
+- hints: 生徒向けのヒント（1〜2個）
+`;
@@ -0,0 +1,56 @@
+// Google Gemini provider (@google/generative-ai)
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { dataUrlToInlineData } from '../files';
+
+const geminiProvider = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    needsApiKey: true,
+    fields: ['apiKey', 'baseUrl', 'models'],
+    apiKeyUrl: 'https://aistudio.google.com/app/apikey',
+    defaults: {
+        apiKey: '',
+        baseUrl: '',
+        models: [
+            'gemini-1.5-pro',
+            'gemini-1.5-flash',
+            'gemini-2.0-flash-exp',
+            'gemini-3-flash-preview'
+        ],
+        model: 'gemini-3-flash-preview'
+    },
+
+    async generate({ settings, prompt, images = [], schema, signal, onChunk, onUsage }) {
+        const genAI = new GoogleGenerativeAI(settings.apiKey);
+        const genModel = genAI.getGenerativeModel(
+            {
+                model: settings.model,
+                generationConfig: schema
+                    ? { responseMimeType: 'application/json', responseSchema: schema }
+                    : undefined
+            },
+            settings.baseUrl ? { baseUrl: settings.baseUrl } : undefined
+        );
+
+        const imagesParts = images.map(img => ({ inlineData: dataUrlToInlineData(img) }));
+
+        const result = await genModel.generateContentStream([prompt, ...imagesParts], { signal });
+        let text = '';
+        for await (const chunk of result.stream) {
+            const piece = chunk.text();
+            text += piece;
+            if (onChunk) onChunk(piece);
+        }
+        if (onUsage) {
+            // Thinking models bill their thoughts as output tokens
+            const meta = (await result.response).usageMetadata || {};
+            onUsage({
+                inputTokens: meta.promptTokenCount || 0,
+                outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+            });
+        }
+        return text;
+    }
+};
+
+export default geminiProvider;
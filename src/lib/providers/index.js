@@ -0,0 +1,69 @@
+// Model provider registry
+// A provider takes a text prompt plus images (data URLs) and returns the
+// response text: Markdown, or a JSON string when a response schema is given.
+// Responses are streamed: onChunk receives each piece as it arrives, and
+// aborting `signal` cancels the request. onUsage receives the token counts
+// { inputTokens, outputTokens } once the response is complete. Errors carry the
+// HTTP `status` where there is one, so resilient.js can tell what to retry.
+//
+// provider = {
+//   id, label, needsApiKey,
+//   offline: true if it works without a network connection (optional),
+//   apiKeyLabel: what the apiKey setting is called in the settings modal (optional),
+//   fields: settings shown in the settings modal ('apiKey' | 'baseUrl' | 'models'),
+//   defaults: { apiKey, baseUrl, models, model }; settings may also hold a fallbackModel,
+//   generate({ settings, prompt, images, schema, signal, onChunk, onUsage }) => Promise<string>,
+//   usage(settings) => Promise<{ used, limit }> for providers with a quota (optional)
+// }
+import geminiProvider from './gemini';
+import openaiProvider from './openai';
+import proxyProvider from './proxy';
+import mockProvider from './mock';
+
+export const PROVIDERS = [geminiProvider, proxyProvider, openaiProvider, mockProvider];
+
+export const DEFAULT_PROVIDER_ID = geminiProvider.id;
+
+const SETTINGS_KEY = 'ruidai_provider_settings';
+const PROVIDER_KEY = 'ruidai_provider';
+
+export const getProvider = (id) =>
+    PROVIDERS.find(p => p.id === id) || PROVIDERS.find(p => p.id === DEFAULT_PROVIDER_ID);
+
+// Per-provider settings, filled in with each provider's defaults
+export const loadProviderSettings = () => {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    } catch (e) {
+        console.error('Error loading provider settings:', e);
+    }
+
+    // Carry over the key and model from before providers existed
+    if (!stored[geminiProvider.id]) {
+        const legacyKey = localStorage.getItem('ruidai_api_key');
+        const legacyModel = localStorage.getItem('ruidai_model');
+        stored[geminiProvider.id] = {
+            ...(legacyKey ? { apiKey: legacyKey } : {}),
+            ...(legacyModel ? { model: legacyModel } : {})
+        };
+    }
+
+    const settings = {};
+    PROVIDERS.forEach(p => {
+        settings[p.id] = { ...p.defaults, ...(stored[p.id] || {}) };
+    });
+    return settings;
+};
+
+export const saveProviderSettings = (settings) => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    localStorage.removeItem('ruidai_api_key');
+    localStorage.removeItem('ruidai_model');
+};
+
+export const loadProviderId = () => getProvider(localStorage.getItem(PROVIDER_KEY)).id;
+
+export const saveProviderId = (id) => {
+    localStorage.setItem(PROVIDER_KEY, id);
+};
@@ -0,0 +1,155 @@
+// Deterministic mock provider for demos and offline testing
+// Builds a response from the requested schema; the same prompt always
+// produces the same output and no network request is made.
+import { wait } from '../wait';
+
+// Small string hash (FNV-1a) used as the seed
+const hashString = (str) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+// Linear equation a x + b = c with an integer solution, derived from seed + index
+const sampleProblem = (seed, index) => {
+    const n = (seed + index * 7919) >>> 0;
+    const a = 2 + (n % 7);
+    const x = 1 + ((n >>> 3) % 9);
+    const b = 1 + ((n >>> 7) % 12);
+    const c = a * x + b;
+    return {
+        statement: `方程式 $${a}x + ${b} = ${c}$ を解きなさい。`,
+        answer: `$x = ${x}$`,
+        steps: [
+            `両辺から $${b}$ を引く: $${a}x = ${c - b}$`,
+            `両辺を $${a}$ で割る: $x = ${x}$`
+        ],
+        hints: [
+            'まず $x$ を含まない項を右辺に移項しよう。',
+            `最後に $x = ${x}$ を元の式に代入して確かめよう。`
+        ],
+        // Typical mistakes, used as multiple-choice distractors
+        wrongAnswer: [
+            `$x = \\frac{${c + b}}{${a}}$`,
+            `$x = ${c - b}$`
+        ],
+        misconception: [
+            '移項するときに符号を変え忘れている。',
+            `最後に両辺を $${a}$ で割り忘れている。`
+        ]
+    };
+};
+
+const CHUNK_SIZE = 24;
+const CHUNK_DELAY_MS = 20;
+
+// Emit text in small pieces so streaming UI can be exercised offline
+const streamOut = async (text, signal, onChunk) => {
+    if (!onChunk) return text;
+    for (let i = 0; i < text.length; i += CHUNK_SIZE) {
+        await wait(CHUNK_DELAY_MS, signal);
+        onChunk(text.slice(i, i + CHUNK_SIZE));
+    }
+    return text;
+};
+
+// Rough token counts for the usage screen: about one token per 3 characters,
+// and a flat amount per image like the real models
+const estimateUsage = (prompt, images, text) => ({
+    inputTokens: Math.ceil(prompt.length / 3) + images.length * 258,
+    outputTokens: Math.ceil(text.length / 3)
+});
+
+const MOCK_TEXT = {
+    teachingPoints: '移項するときは符号が変わることを確認させる。',
+    pitfalls: '移項の際に符号を変え忘れる。検算で代入する習慣をつけさせる。',
+    comment: 'よくできました。',
+    overallComment: '全体的によくできています。',
+    // Curriculum tag of the sample problems (一次方程式)
+    unitId: '中1/数学/一次方程式',
+    skill: '方程式の解き方'
+};
+
+// Build a value that satisfies `schema`; `ctx` carries the seed, count and indices
+const mockValue = (schema, key, ctx) => {
+    switch (schema.type) {
+        case 'object': {
+            const obj = {};
+            Object.entries(schema.properties || {}).forEach(([k, sub]) => {
+                obj[k] = mockValue(sub, k, { ...ctx, depth: (ctx.depth || 0) + 1 });
+            });
+            return obj;
+        }
+        case 'array': {
+            // Top-level arrays (problems, grading results) hold one item per
+            // problem and fix the problem index for every field below them
+            const perProblem = ctx.depth === 1;
+            const length = perProblem ? ctx.count : 2;
+            return Array.from({ length }, (_, i) => mockValue(
+                schema.items,
+                key,
+                perProblem ? { ...ctx, index: i, problemIndex: i } : { ...ctx, index: i }
+            ));
+        }
+        case 'number':
+        case 'integer':
+            return ctx.index ?? 0;
+        case 'boolean':
+            return true;
+        case 'string':
+        default: {
+            const problem = sampleProblem(ctx.seed, ctx.problemIndex ?? ctx.index ?? 0);
+            if (['steps', 'hints', 'wrongAnswer', 'misconception'].includes(key)) {
+                return problem[key][ctx.index % problem[key].length];
+            }
+            if (key === 'studentAnswer') return problem.answer;
+            if (key in problem) return problem[key];
+            if (key in MOCK_TEXT) return MOCK_TEXT[key];
+            // Difficulty levels are spread evenly over the problems, in order
+            if (key === 'level' && schema.enum) {
+                const i = Math.floor(((ctx.problemIndex ?? 0) * schema.enum.length) / ctx.count);
+                return schema.enum[Math.min(i, schema.enum.length - 1)];
+            }
+            if (schema.enum) return schema.enum[0];
+            return `(モック) ${key}`;
+        }
+    }
+};
+
+const mockProvider = {
+    id: 'mock',
+    label: 'モック（オフライン）',
+    needsApiKey: false,
+    offline: true,
+    fields: [],
+    defaults: {
+        apiKey: '',
+        baseUrl: '',
+        models: ['mock'],
+        model: 'mock'
+    },
+
+    async generate({ prompt, images = [], schema, signal, onChunk, onUsage }) {
+        const seed = hashString(`${prompt}|${images.length}`);
+        const countMatch = prompt.match(/(\d+)\s*問/);
+        const count = countMatch ? Math.max(1, parseInt(countMatch[1], 10)) : 3;
+
+        if (!schema) {
+            const problem = sampleProblem(seed, 0);
+            const text = await streamOut(`(モック応答)\n\n${problem.statement}\n\n**答え:** ${problem.answer}`, signal, onChunk);
+            onUsage?.(estimateUsage(prompt, images, text));
+            return text;
+        }
+
+        const ctx = { seed, count };
+        const value = mockValue(schema, null, ctx);
+        const text = await streamOut(JSON.stringify(value), signal, onChunk);
+        onUsage?.(estimateUsage(prompt, images, text));
+        return text;
+    }
+};
+
+export default mockProvider;
@@ -0,0 +1,89 @@
+// OpenAI-compatible chat completions provider
+// Works with local servers such as Ollama (/v1) and llama.cpp's llama-server,
+// as long as the selected model accepts image input.
+
+const openaiProvider = {
+    id: 'openai',
+    label: 'OpenAI互換 / ローカル',
+    needsApiKey: false,
+    fields: ['apiKey', 'baseUrl', 'models'],
+    defaults: {
+        apiKey: '',
+        baseUrl: 'http://localhost:11434/v1',
+        models: ['llava', 'qwen2.5vl', 'gemma3'],
+        model: 'qwen2.5vl'
+    },
+
+    async generate({ settings, prompt, images = [], schema, signal, onChunk, onUsage }) {
+        const baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+        if (!baseUrl) throw new Error('ベースURLを設定してください');
+
+        const body = {
+            model: settings.model,
+            stream: true,
+            // Token counts arrive in a final chunk with no choices
+            stream_options: { include_usage: true },
+            messages: [{
+                role: 'user',
+                content: [
+                    { type: 'text', text: prompt },
+                    ...images.map(url => ({ type: 'image_url', image_url: { url } }))
+                ]
+            }]
+        };
+        if (schema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { name: 'response', schema }
+            };
+        }
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+
+        const res = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal
+        });
+        if (!res.ok) {
+            const detail = await res.text().catch(() => '');
+            const error = new Error(`HTTP ${res.status} ${detail}`.trim());
+            error.status = res.status;
+            throw error;
+        }
+
+        // Server-sent events: one "data: {...}" line per delta, ending with "data: [DONE]"
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let text = '';
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+                const payload = trimmed.slice(5).trim();
+                if (payload === '[DONE]') continue;
+                const chunk = JSON.parse(payload);
+                if (chunk.usage && onUsage) {
+                    onUsage({ inputTokens: chunk.usage.prompt_tokens || 0, outputTokens: chunk.usage.completion_tokens || 0 });
+                }
+                const piece = chunk.choices?.[0]?.delta?.content;
+                if (piece) {
+                    text += piece;
+                    if (onChunk) onChunk(piece);
+                }
+            }
+        }
+        if (!text) throw new Error('応答にテキストが含まれていません');
+        return text;
+    }
+};
+
+export default openaiProvider;
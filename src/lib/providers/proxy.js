@@ -0,0 +1,94 @@
+// Gemini through the app's own server route (api/generate)
+// The server holds the Gemini key; each teacher only enters an access code,
+// kept in the `apiKey` setting. Requests count against a daily quota.
+import geminiProvider from './gemini';
+
+// Marks the end of the text in a streamed response (server/proxy.js)
+const TRAILER_MARK = '\u0000';
+
+// Same-origin /api unless a server URL is set
+const apiBase = (settings) => `${(settings.baseUrl || '').replace(/\/+$/, '')}/api`;
+
+const headers = (settings) => ({
+    'Content-Type': 'application/json',
+    Authorization: `Bearer ${settings.apiKey}`
+});
+
+// The server answers errors with { error } in Japanese
+const errorMessage = async (res) => {
+    const body = await res.json().catch(() => null);
+    if (body?.error) return body.error;
+    if (res.status === 413) return '画像が大きすぎます。枚数を減らすか画像を小さくしてください';
+    return `サーバーエラー (HTTP ${res.status})`;
+};
+
+// Keeps the status so busy-server errors (429 / 503) are retried
+const httpError = async (res) => {
+    const error = new Error(await errorMessage(res));
+    error.status = res.status;
+    return error;
+};
+
+const proxyProvider = {
+    id: 'proxy',
+    label: 'Gemini（サーバー経由）',
+    needsApiKey: true,
+    apiKeyLabel: 'アクセスコード',
+    fields: ['apiKey', 'baseUrl', 'models'],
+    defaults: {
+        apiKey: '',
+        baseUrl: '',
+        models: geminiProvider.defaults.models,
+        model: geminiProvider.defaults.model
+    },
+
+    async generate({ settings, prompt, images = [], schema, signal, onChunk, onUsage }) {
+        const res = await fetch(`${apiBase(settings)}/generate`, {
+            method: 'POST',
+            headers: headers(settings),
+            body: JSON.stringify({ model: settings.model, prompt, images, schema }),
+            signal
+        });
+        if (!res.ok) throw await httpError(res);
+
+        // Plain text, streamed as the model writes it, then a "\u0000{ usage }"
+        // trailer (see server/proxy.js)
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let text = '';
+        let trailer = null;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            let piece = decoder.decode(value, { stream: true });
+            if (trailer !== null) {
+                trailer += piece;
+                continue;
+            }
+            const mark = piece.indexOf(TRAILER_MARK);
+            if (mark >= 0) {
+                trailer = piece.slice(mark + 1);
+                piece = piece.slice(0, mark);
+            }
+            text += piece;
+            if (onChunk && piece) onChunk(piece);
+        }
+        if (trailer && onUsage) {
+            try {
+                onUsage(JSON.parse(trailer).usage);
+            } catch (e) {
+                console.error('Error reading usage trailer:', e);
+            }
+        }
+        return text;
+    },
+
+    // Today's request count for this access code: { name, used, limit, date }
+    async usage(settings) {
+        const res = await fetch(`${apiBase(settings)}/usage`, { headers: headers(settings) });
+        if (!res.ok) throw await httpError(res);
+        return res.json();
+    }
+};
+
+export default proxyProvider;
@@ -0,0 +1,96 @@
+// Retries, model fallback and usage recording around any provider
+// A busy model (429 / 503) is retried with exponential backoff; when the
+// retries run out, the provider's fallback model gets the same chance. Every
+// successful request records its token counts. Requests that already
+// streamed part of a response are not retried, since the caller has shown it.
+import { recordUsage, checkSpendLimits } from '../usage';
+import { wait } from '../wait';
+
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 16000;
+
+// HTTP status of a provider error: set by our providers, or in the Gemini SDK message ("[503 Service Unavailable]")
+export const errorStatus = (error) =>
+    error.status || Number(error.message?.match(/\[(\d{3})[\s\]]/)?.[1]) || 0;
+
+export const isRetryable = (error) => {
+    if (error.name === 'AbortError' || error.retryable === false) return false;
+    // fetch() rejects with a TypeError when the network drops
+    if (error instanceof TypeError) return true;
+    return RETRYABLE_STATUS.includes(errorStatus(error));
+};
+
+// Whether running a whole batch job again can help. Busy-model and network
+// errors were already retried here, and errors with any other status (bad
+// access code, used-up quota) or a reached spend limit never succeed. What is
+// left is a response that did not parse or validate, which a new try may fix.
+export const isJobRetryable = (error) =>
+    !errorStatus(error) && !(error instanceof TypeError) && error.retryable !== false;
+
+// 1s, 2s, 4s, … with ±25% jitter so parallel batch jobs do not retry in step
+export const backoffDelay = (attempt) => {
+    const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+    return Math.round(delay * (0.75 + Math.random() * 0.5));
+};
+
+// Wrap `base` so its generate() retries, falls back and records usage.
+// `usageSettings` = { maxRetries, dailyLimit, monthlyLimit, … } (see usage.js);
+// `context()` returns { instructor, campus } for the usage record;
+// `onRetry({ model, attempt, maxRetries, delayMs, error })` reports each wait.
+export const resilientProvider = (base, { usageSettings, context = () => ({}), onRetry }) => ({
+    ...base,
+
+    async generate(request) {
+        const { settings, signal, onChunk } = request;
+        await checkSpendLimits(usageSettings);
+
+        const models = [settings.model, settings.fallbackModel]
+            .filter((m, i, list) => m && list.indexOf(m) === i);
+        const maxRetries = usageSettings.maxRetries;
+        let retries = 0;
+        let lastError;
+
+        for (const [modelIndex, model] of models.entries()) {
+            for (let attempt = 0; attempt <= maxRetries; attempt++) {
+                let streamed = false;
+                let usage = null;
+                try {
+                    const text = await base.generate({
+                        ...request,
+                        settings: { ...settings, model },
+                        onChunk: onChunk && ((piece) => {
+                            streamed = true;
+                            onChunk(piece);
+                        }),
+                        onUsage: (u) => { usage = u; }
+                    });
+                    recordUsage({
+                        provider: base.id,
+                        model,
+                        fallback: modelIndex > 0,
+                        retries,
+                        inputTokens: usage?.inputTokens || 0,
+                        outputTokens: usage?.outputTokens || 0,
+                        ...context()
+                    }).catch(e => console.error('Error recording usage:', e));
+                    return text;
+                } catch (e) {
+                    lastError = e;
+                    if (streamed || signal?.aborted || !isRetryable(e)) throw e;
+                    if (attempt === maxRetries) break;
+                    const delayMs = backoffDelay(attempt);
+                    console.warn(`${model} failed (${e.message}); retrying in ${delayMs}ms`);
+                    onRetry?.({ model, attempt: attempt + 1, maxRetries, delayMs, error: e });
+                    retries++;
+                    await wait(delayMs, signal);
+                }
+            }
+            if (modelIndex < models.length - 1) {
+                console.warn(`${model} is unavailable; falling back to ${models[modelIndex + 1]}`);
+                onRetry?.({ model: models[modelIndex + 1], attempt: 0, maxRetries, delayMs: 0, error: lastError, fallback: true });
+            }
+        }
+        throw lastError;
+    }
+});
@@ -0,0 +1,468 @@
+// Sheet data model
+// Generation returns structured JSON; every on-screen view and print section
+// is rendered from this one object instead of regex-matching Markdown headings.
+//
+// {
+//   problems: [{ statement, answer, steps: [], hints: [], level? }],
+//   instructorGuide: { teachingPoints, pitfalls },
+//   tiers?: [{ id, label }]   // tiered sheets: labels of the levels used
+// }
+// All string fields are Markdown with LaTeX math.
+import { SchemaType } from '@google/generative-ai';
+import { parsePartialJson } from './partialJson';
+import { normalizeTags } from './curriculum';
+
+// Gemini responseSchema for a single problem
+export const PROBLEM_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        statement: { type: SchemaType.STRING, description: '問題文 (Markdown + LaTeX)' },
+        answer: { type: SchemaType.STRING, description: '最終的な答え (例: $x = 3$)' },
+        steps: {
+            type: SchemaType.ARRAY,
+            items: { type: SchemaType.STRING },
+            description: '解説の各ステップ'
+        },
+        hints: {
+            type: SchemaType.ARRAY,
+            items: { type: SchemaType.STRING },
+            description: '生徒向けのヒント'
+        }
+    },
+    required: ['statement', 'answer', 'steps', 'hints']
+};
+
+// Difficulty levels of a tiered sheet (labels are configurable, see tiers.js)
+export const LEVELS = ['basic', 'standard', 'advanced'];
+
+const sheetSchema = (problemSchema) => ({
+    type: SchemaType.OBJECT,
+    properties: {
+        problems: {
+            type: SchemaType.ARRAY,
+            items: problemSchema
+        },
+        instructorGuide: {
+            type: SchemaType.OBJECT,
+            properties: {
+                teachingPoints: { type: SchemaType.STRING, description: '指導のポイント' },
+                pitfalls: { type: SchemaType.STRING, description: 'つまずきやすいポイントと対策' }
+            },
+            required: ['teachingPoints', 'pitfalls']
+        },
+        // Curriculum units of the source problems (see curriculum.js)
+        tags: {
+            type: SchemaType.ARRAY,
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    unitId: { type: SchemaType.STRING, description: '単元の id (例: 中3/数学/二次方程式)' },
+                    skill: { type: SchemaType.STRING, description: '小単元' }
+                },
+                required: ['unitId', 'skill']
+            },
+            description: '元の問題の単元'
+        }
+    },
+    required: ['problems', 'instructorGuide', 'tags']
+});
+
+// Gemini responseSchema for the whole sheet
+export const SHEET_SCHEMA = sheetSchema(PROBLEM_SCHEMA);
+
+// Same, with every problem tagged basic / standard / advanced
+export const TIERED_SHEET_SCHEMA = sheetSchema({
+    ...PROBLEM_SCHEMA,
+    properties: {
+        ...PROBLEM_SCHEMA.properties,
+        level: {
+            type: SchemaType.STRING,
+            format: 'enum',
+            enum: LEVELS,
+            description: '難易度の段階 (basic / standard / advanced)'
+        }
+    },
+    required: [...PROBLEM_SCHEMA.required, 'level']
+});
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toTextList = (value) => (Array.isArray(value) ? value.map(toText).filter(Boolean) : []);
+
+// Unknown levels are dropped rather than rejected
+const withLevel = (problem) => {
+    const { level, ...rest } = problem;
+    return LEVELS.includes(level) ? { ...rest, level } : rest;
+};
+
+// Validate and normalize one problem. Throws with a readable message.
+export const validateProblem = (p, index = 0) => {
+    if (!p || !toText(p.statement)) throw new Error(`問題${index + 1}の問題文がありません`);
+    if (!toText(p.answer)) throw new Error(`問題${index + 1}の答えがありません`);
+    return withLevel({
+        ...p,
+        statement: toText(p.statement),
+        answer: toText(p.answer),
+        steps: toTextList(p.steps),
+        hints: toTextList(p.hints)
+    });
+};
+
+// Validate and normalize a parsed response. Throws with a readable message.
+export const validateSheetData = (data) => {
+    if (!data || typeof data !== 'object') {
+        throw new Error('応答の形式が正しくありません');
+    }
+    if (!Array.isArray(data.problems) || data.problems.length === 0) {
+        throw new Error('問題が含まれていません');
+    }
+
+    const problems = data.problems.map(validateProblem);
+
+    const guide = data.instructorGuide || {};
+    return {
+        ...data,
+        problems,
+        instructorGuide: {
+            ...guide,
+            teachingPoints: toText(guide.teachingPoints),
+            pitfalls: toText(guide.pitfalls)
+        },
+        tags: normalizeTags(data.tags)
+    };
+};
+
+// Parse raw response text as JSON (tolerates a ```json fence)
+export const parseJsonResponse = (text) => {
+    const cleaned = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(cleaned);
+    } catch (e) {
+        throw new Error(`JSONの解析に失敗しました: ${e.message}`);
+    }
+};
+
+export const parseSheetJson = (text) => validateSheetData(parseJsonResponse(text));
+
+export const parseProblemJson = (text, index) => validateProblem(parseJsonResponse(text), index);
+
+// Replace one problem, leaving the rest of the sheet untouched. The level of
+// a tiered sheet stays with the position, since reworks come back without it.
+export const replaceProblem = (data, index, problem) => ({
+    ...data,
+    problems: data.problems.map((p, i) => (i === index ? withLevel({ ...problem, level: p.level }) : p))
+});
+
+// Best-effort sheet from a response that is still streaming or was cut off.
+// Never throws; `completeProblems` holds only problems whose JSON object closed.
+export const partialSheetData = (text) => {
+    let parsed;
+    try {
+        parsed = parsePartialJson(text || '');
+    } catch (e) {
+        return { data: null, completeProblems: [] };
+    }
+
+    const raw = parsed.value && typeof parsed.value === 'object' ? parsed.value : {};
+    const rawProblems = Array.isArray(raw.problems) ? raw.problems : [];
+    const normalize = (p) => withLevel({
+        ...p,
+        statement: toText(p.statement),
+        answer: toText(p.answer),
+        steps: toTextList(p.steps),
+        hints: toTextList(p.hints)
+    });
+
+    const problems = rawProblems.filter(p => p && toText(p.statement)).map(normalize);
+    const completeProblems = rawProblems
+        .filter(p => parsed.isComplete(p) && toText(p.statement) && toText(p.answer))
+        .map(normalize);
+    const guide = raw.instructorGuide || {};
+
+    return {
+        data: problems.length > 0 ? {
+            problems,
+            instructorGuide: {
+                teachingPoints: toText(guide.teachingPoints),
+                pitfalls: toText(guide.pitfalls)
+            },
+            tags: normalizeTags(raw.tags)
+        } : null,
+        completeProblems
+    };
+};
+
+// ========== Markdown Rendering ==========
+
+// Indent continuation lines so multi-line steps stay inside their list item
+const listItem = (marker, text) => {
+    const pad = ' '.repeat(marker.length + 1);
+    return `${marker} ${text.split('\n').join(`\n${pad}`)}`;
+};
+
+// Label of a problem's level on a tiered sheet ('' otherwise)
+export const levelLabel = (data, problem) =>
+    (problem.level && data.tiers?.find(t => t.id === problem.level)?.label) || '';
+
+// "問題1 〔基礎〕" — the label is read back by parseSheetMarkdown
+export const problemHeading = (data, index) => {
+    const label = levelLabel(data, data.problems[index]);
+    return `問題${index + 1}${label ? ` 〔${label}〕` : ''}`;
+};
+
+// Option labels of multiple-choice problems, in display order
+export const CHOICE_LABELS = ['ア', 'イ', 'ウ', 'エ', 'オ', 'カ'];
+
+export const hasChoices = (problem) => Array.isArray(problem.choices) && problem.choices.length > 0;
+
+export const correctChoiceLabel = (problem) =>
+    CHOICE_LABELS[problem.choices.findIndex(c => c.correct)] || '';
+
+// Statement followed by the options of a multiple-choice problem
+export const statementMarkdown = (problem) => {
+    if (!hasChoices(problem)) return problem.statement;
+    const options = problem.choices.map((c, i) => listItem('-', `${CHOICE_LABELS[i]}. ${c.text}`));
+    return `${problem.statement}\n\n**選択肢:**\n${options.join('\n')}`;
+};
+
+export const problemsMarkdown = (data) =>
+    data.problems.map((p, i) => `### ${problemHeading(data, i)}\n${statementMarkdown(p)}`).join('\n\n');
+
+export const solutionMarkdown = (problem, index) => {
+    const parts = [`### 問題${index + 1}の解答`];
+    if (problem.hints.length > 0) {
+        parts.push(`**ヒント:**\n${problem.hints.map(h => listItem('-', h)).join('\n')}`);
+    }
+    if (hasChoices(problem)) parts.push(`**正解:** ${correctChoiceLabel(problem)}`);
+    parts.push(`**答え:** ${problem.answer}`);
+    if (problem.steps.length > 0) {
+        parts.push(`**解説:**\n${problem.steps.map((s, i) => listItem(`${i + 1}.`, s)).join('\n')}`);
+    }
+    if (hasChoices(problem)) {
+        const reasons = problem.choices
+            .map((c, i) => (c.correct || !c.rationale ? '' : listItem('-', `${CHOICE_LABELS[i]}: ${c.rationale}`)))
+            .filter(Boolean);
+        if (reasons.length > 0) parts.push(`**誤答の理由:**\n${reasons.join('\n')}`);
+    }
+    return parts.join('\n\n');
+};
+
+export const solutionsMarkdown = (data) =>
+    data.problems.map(solutionMarkdown).join('\n\n');
+
+export const instructorMarkdown = (data) => {
+    const { teachingPoints, pitfalls } = data.instructorGuide;
+    const parts = [];
+    if (teachingPoints) parts.push(`### 指導のポイント\n${teachingPoints}`);
+    if (pitfalls) parts.push(`### つまずきやすいポイント\n${pitfalls}`);
+    return parts.join('\n\n');
+};
+
+export const sheetToMarkdown = (data) => [
+    `## 問題\n\n${problemsMarkdown(data)}`,
+    `## 解答・解説\n\n${solutionsMarkdown(data)}`,
+    `## 講師向けガイド\n\n${instructorMarkdown(data)}`
+].join('\n\n---\n\n');
+
+// ========== Markdown → Data Model ==========
+// Used for sheets saved before structured generation (they only have the raw
+// Markdown result) and for applying edits made in the source editor.
+
+const HR_LINE = /^\s*(?:-{3,}|\*{3,}|_{3,})\s*$/;
+
+// Drop the rules that separate the ## sections (what sheetToMarkdown emits
+// between them, and any at the very end); rules inside a section are part
+// of its content
+const stripSectionRules = (md) => {
+    const lines = md.split('\n');
+    return lines.filter((line, i) => {
+        if (!HR_LINE.test(line)) return true;
+        const next = lines.slice(i + 1).find(l => l.trim());
+        return next !== undefined && !/^##\s/.test(next);
+    }).join('\n');
+};
+
+// Split Markdown into [{ heading, body }] at headings of exactly `level`
+const splitByHeading = (md, level) => {
+    const headingRe = new RegExp(`^#{${level}}\\s+(.*)$`);
+    const sections = [];
+    let current = { heading: null, lines: [] };
+    md.split('\n').forEach(line => {
+        const m = line.match(headingRe);
+        if (m) {
+            sections.push(current);
+            current = { heading: m[1].trim(), lines: [] };
+        } else {
+            current.lines.push(line);
+        }
+    });
+    sections.push(current);
+    return sections
+        .map(s => ({ heading: s.heading, body: s.lines.join('\n').trim() }))
+        .filter(s => s.heading !== null || s.body);
+};
+
+const CHOICE_LABEL_RE = `(${CHOICE_LABELS.join('|')})`;
+
+// Statement and "**選択肢:**" options of a problem body
+const parseStatementMarkdown = (body) => {
+    const lines = body.split('\n');
+    const at = lines.findIndex(line => /^\s*\*\*選択肢[:：]?\*\*/.test(line));
+    if (at < 0) return { statement: body, choices: [] };
+
+    const choices = [];
+    const itemRe = new RegExp(`^\\s*[-*]\\s+${CHOICE_LABEL_RE}[.．、]\\s*(.*)$`);
+    lines.slice(at + 1).forEach(line => {
+        const m = line.match(itemRe);
+        if (m) {
+            choices.push({ label: m[1], text: m[2].trim() });
+        } else if (line.trim() && choices.length > 0) {
+            choices[choices.length - 1].text += `\n${line.trim()}`;
+        }
+    });
+    return { statement: lines.slice(0, at).join('\n').trim(), choices };
+};
+
+const parseSolutionMarkdown = (body) => {
+    let answer = '';
+    let correct = '';
+    const steps = [];
+    const hints = [];
+    const rationales = {};
+    let mode = null;
+    let lastLabel = null;
+    const rationaleRe = new RegExp(`^\\s*[-*]\\s+${CHOICE_LABEL_RE}[:：]\\s*(.*)$`);
+
+    body.split('\n').forEach(line => {
+        const correctMatch = line.match(/^\s*\*\*正解[:：]?\*\*[:：]?\s*(.*)$/);
+        if (correctMatch) {
+            correct = correctMatch[1].trim();
+            mode = null;
+            return;
+        }
+        if (/^\s*\*\*誤答の理由[:：]?\*\*/.test(line)) {
+            mode = 'rationales';
+            return;
+        }
+        const answerMatch = line.match(/^\s*\*\*答え[:：]?\*\*[:：]?\s*(.*)$/);
+        if (answerMatch) {
+            answer = answerMatch[1].trim();
+            mode = null;
+            return;
+        }
+        if (/^\s*\*\*解説[:：]?\*\*/.test(line)) {
+            mode = 'steps';
+            return;
+        }
+        if (/^\s*\*\*ヒント[:：]?\*\*/.test(line)) {
+            mode = 'hints';
+            return;
+        }
+        if (mode === 'rationales') {
+            const m = line.match(rationaleRe);
+            if (m) {
+                lastLabel = m[1];
+                rationales[lastLabel] = m[2].trim();
+            } else if (line.trim() && lastLabel) {
+                rationales[lastLabel] += `\n${line.trim()}`;
+            }
+            return;
+        }
+        if (!line.trim()) return;
+
+        const list = mode === 'hints' ? hints : steps;
+        const itemMatch = line.match(/^\s*(?:\d+[.)]|[-*])\s+(.*)$/);
+        if (itemMatch) {
+            list.push(itemMatch[1]);
+        } else if (list.length > 0 && mode) {
+            list[list.length - 1] += `\n${line.trim()}`;
+        } else {
+            steps.push(line.trim());
+        }
+    });
+
+    return { answer, steps, hints, correct, rationales };
+};
+
+// Options read back from Markdown, with the answer key of the solution
+const choicesFromMarkdown = (choices, solution) => choices.map(c => ({
+    text: c.text,
+    correct: c.label === solution?.correct,
+    rationale: solution?.rationales[c.label] || ''
+}));
+
+// `tiers` maps 〔label〕 in problem headings back to levels
+export const parseSheetMarkdown = (md, tiers = []) => {
+    const cleaned = stripSectionRules(md || '');
+
+    let statements = [];
+    let choiceLists = [];
+    let levels = [];
+    let solutions = [];
+    const instructorGuide = { teachingPoints: '', pitfalls: '' };
+
+    const sections = splitByHeading(cleaned, 2);
+    sections.forEach(({ heading, body }) => {
+        if (!heading) return;
+        if (heading.includes('講師')) {
+            splitByHeading(body, 3).forEach(sub => {
+                const key = sub.heading && sub.heading.includes('つまずき') ? 'pitfalls' : 'teachingPoints';
+                instructorGuide[key] = [instructorGuide[key], sub.body].filter(Boolean).join('\n\n');
+            });
+        } else if (heading.includes('解答') || heading.includes('解説')) {
+            solutions = splitByHeading(body, 3)
+                .filter(sub => sub.heading !== null)
+                .map(sub => parseSolutionMarkdown(sub.body));
+        } else if (heading.includes('問題')) {
+            const subs = splitByHeading(body, 3).filter(sub => sub.heading !== null);
+            const parsed = (subs.length > 0 ? subs.map(sub => sub.body) : [body]).map(parseStatementMarkdown);
+            statements = parsed.map(p => p.statement);
+            choiceLists = parsed.map(p => p.choices);
+            levels = subs.map(sub => {
+                const label = sub.heading.match(/〔(.+?)〕/)?.[1];
+                return tiers.find(t => t.label === label)?.id || '';
+            });
+        }
+    });
+
+    // Nothing recognizable: keep the whole text as a single problem
+    if (statements.length === 0 && solutions.length === 0) {
+        statements = [cleaned.trim()];
+    }
+
+    const count = Math.max(statements.length, solutions.length);
+    const problems = Array.from({ length: count }, (_, i) => ({
+        statement: statements[i] || '',
+        answer: solutions[i]?.answer || '',
+        steps: solutions[i]?.steps || [],
+        hints: solutions[i]?.hints || [],
+        ...(choiceLists[i]?.length > 0 ? { choices: choicesFromMarkdown(choiceLists[i], solutions[i]) } : {}),
+        ...(tiers.length > 0 ? { level: levels[i] || '' } : {})
+    }));
+
+    return { problems, instructorGuide };
+};
+
+// Data model for a saved sheet, whichever format it was stored in
+export const sheetDataFromSaved = (sheet) => {
+    if (sheet.data) return sheet.data;
+    return parseSheetMarkdown(sheet.result);
+};
+
+// Apply an edited Markdown source to a sheet. Fields the Markdown does not
+// carry are kept from the problem at the same position; options removed in
+// the editor turn the problem back into a written one.
+export const applyMarkdownEdit = (data, md) => {
+    const edited = parseSheetMarkdown(md, data.tiers);
+    const keep = ({ choices, ...rest } = {}) => rest;
+    return {
+        ...data,
+        problems: edited.problems.map((p, i) => ({ ...keep(data.problems[i]), ...p })),
+        instructorGuide: { ...data.instructorGuide, ...edited.instructorGuide }
+    };
+};
+
+// Only the problems of one level (printing one tier per student)
+export const filterSheetByLevel = (data, level) => (level
+    ? { ...data, problems: data.problems.filter(p => p.level === level) }
+    : data);
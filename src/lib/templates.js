@@ -0,0 +1,248 @@
+// Prompt templates per subject / grade
+// A template body is the instruction part of the generation prompt; the JSON
+// output format is appended by buildSheetPrompt since it is tied to SHEET_SCHEMA.
+
+const TEMPLATES_KEY = 'ruidai_prompt_templates';
+const SELECTION_KEY = 'ruidai_template_selection';
+
+export const SUBJECTS = ['数学', '理科', '英語', '国語'];
+
+export const GRADE_LEVELS = [
+    '小1', '小2', '小3', '小4', '小5', '小6',
+    '中1', '中2', '中3',
+    '高1', '高2', '高3'
+];
+
+// What the main screen's grade picker offers: school stage or a specific year
+export const GRADE_OPTIONS = ['小学生', '中学生', '高校生', ...GRADE_LEVELS];
+
+export const TEMPLATE_VARIABLES = [
+    { name: 'count', label: '問題数' },
+    { name: 'customInstructions', label: '追加指示' },
+    { name: 'grade', label: '学年' },
+    { name: 'subject', label: '教科' }
+];
+
+// Subjects whose sheets are plain text; the others write math in LaTeX
+const PLAIN_TEXT_SUBJECTS = ['英語', '国語'];
+
+export const usesLatex = (subject) => !PLAIN_TEXT_SUBJECTS.includes(subject);
+
+// Notation rule for prompts built outside the template body (versions,
+// options, per-problem actions)
+export const notationRule = (subject) => (usesLatex(subject)
+    ? '数式は必ず LaTeX 形式で書き、$ の前後にはスペースを入れてください'
+    : 'LaTeX や $ 記号は使わないでください');
+
+const LATEX_RULES = `【絶対厳守】数式の書き方：
+- 数式は必ず LaTeX 形式で書いてください
+- 数式の前後にはスペースを入れてください
+- 例: 答えは $x = 3$ です。（正しい）
+- 例: 答えは$x=3$です。（間違い - スペースがない）
+- 複数の解がある場合: $x = 3$ または $x = -5$
+- 平方根: $\\sqrt{2}$ や $\\sqrt{x+1}$
+- 分数: $\\frac{1}{2}$ や $\\frac{a}{b}$
+- べき乗: $x^2$ や $a^3$
+- 因数分解: $(x + 5)(x - 3) = 0$
+- 必ず $ の前後にスペースを入れてください
+- 化学式（例: $ZnSO_4$）などは途中で改行しないでください`;
+
+export const DEFAULT_TEMPLATES = [
+    {
+        id: 'math',
+        name: '数学（標準）',
+        subject: '数学',
+        builtIn: true,
+        presets: [
+            { label: '難しめ', value: '難易度を少し上げて' },
+            { label: '計算重視', value: '途中式を詳しく書いて' },
+            { label: '解説重視', value: '解説を詳しくして' }
+        ],
+        body: `あなたは{{grade}}向けの教育のプロフェッショナルです。添付された問題画像を分析し、類似した{{count}}問の問題を作成してください。
+
+追加指示: {{customInstructions}}
+
+${LATEX_RULES}`
+    },
+    {
+        id: 'science',
+        name: '理科（標準）',
+        subject: '理科',
+        builtIn: true,
+        presets: [
+            { label: '計算問題', value: '計算問題を中心にして' },
+            { label: '実験・観察', value: '実験や観察の結果を読み取る問題にして' },
+            { label: '用語確認', value: '重要用語を確認する一問一答形式にして' }
+        ],
+        body: `あなたは{{grade}}向けの{{subject}}教育のプロフェッショナルです。添付された問題画像を分析し、同じ単元・同じ形式の類似した{{count}}問の問題を作成してください。
+
+追加指示: {{customInstructions}}
+
+【作成の方針】
+- 単元の重要用語・法則を正確に使ってください
+- 実験や観察を扱う場合は、条件と結果を問題文の中で文章や表（Markdown の表）で示してください
+- 図やグラフが必要な問題は、読み取るべき数値を文章か表で与えてください
+- 計算問題では単位を必ず書き、解説で式の立て方を示してください
+
+【絶対厳守】式と記号の書き方：
+- 数式・化学式・単位を含む式は LaTeX 形式で書き、$ の前後にはスペースを入れてください
+- 化学式（例: $ZnSO_4$）、イオン（例: $Cu^{2+}$）、化学反応式（例: $2H_2 + O_2 \\rightarrow 2H_2O$）は途中で改行しないでください`
+    },
+    {
+        id: 'english',
+        name: '英語（標準）',
+        subject: '英語',
+        builtIn: true,
+        presets: [
+            { label: '並べ替え', value: '語句の並べ替え問題にして' },
+            { label: '英作文', value: '和文英訳の問題にして' },
+            { label: '文法解説', value: '文法のポイントを詳しく解説して' }
+        ],
+        body: `あなたは{{grade}}向けの{{subject}}教育のプロフェッショナルです。添付された問題画像を分析し、同じ文法事項・同じ形式の類似した{{count}}問の問題を作成してください。
+
+追加指示: {{customInstructions}}
+
+【作成の方針】
+- 英文は{{grade}}が学習済みの語彙・文法の範囲で、自然な英語にしてください
+- 問題文の指示（「次の（　）に入る語を選びなさい」など）は日本語で書いてください
+- 答えは英語で書き、解説とヒントは日本語で書いてください
+- 解説では、使われている文法事項と、なぜその答えになるかを説明してください
+
+【絶対厳守】
+- LaTeX や $ 記号は使わないでください
+- 空所は（　）、下線部は **太字** で表してください`
+    },
+    {
+        id: 'japanese',
+        name: '国語（標準）',
+        subject: '国語',
+        builtIn: true,
+        presets: [
+            { label: '漢字', value: '漢字の読み書きの問題にして' },
+            { label: '読解', value: '短い文章を作り、内容を読み取る問題にして' },
+            { label: '文法', value: '品詞や活用など文法の問題にして' }
+        ],
+        body: `あなたは{{grade}}向けの{{subject}}教育のプロフェッショナルです。添付された問題画像を分析し、同じ種類・同じ難易度の類似した{{count}}問の問題を作成してください。
+
+追加指示: {{customInstructions}}
+
+【作成の方針】
+- 読解問題では、問題文の中に本文（新しく作成した短い文章）を含めてください。画像の文章をそのまま写さないでください
+- 記述式の答えは「解答例」として示し、採点のポイントを解説に書いてください
+- 漢字の問題は、{{grade}}までに学習する漢字を使ってください
+- 解説では、答えの根拠となる本文の箇所や文法のきまりを示してください
+
+【絶対厳守】
+- LaTeX や $ 記号は使わないでください
+- 傍線部は **太字** で、空欄は（　）で表してください`
+    }
+];
+
+// Fill {{variables}}. A line whose variables all came out empty is dropped,
+// so optional parts like "追加指示: {{customInstructions}}" disappear cleanly.
+export const renderTemplate = (body, vars) => body
+    .split('\n')
+    .flatMap(line => {
+        let used = 0;
+        let filled = 0;
+        const rendered = line.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            if (!(name in vars)) return match;
+            used++;
+            const value = vars[name] == null ? '' : String(vars[name]);
+            if (value) filled++;
+            return value;
+        });
+        return used > 0 && filled === 0 ? [] : [rendered];
+    })
+    .join('\n');
+
+// Saved list = built-ins (possibly edited) followed by user templates
+export const loadTemplates = () => {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(TEMPLATES_KEY) || '[]');
+    } catch (e) {
+        console.error('Error loading prompt templates:', e);
+    }
+    if (!Array.isArray(saved)) saved = [];
+    const byId = new Map(saved.map(t => [t.id, t]));
+    const builtIns = DEFAULT_TEMPLATES.map(t => (byId.has(t.id) ? { ...t, ...byId.get(t.id), builtIn: true } : t));
+    const custom = saved.filter(t => !DEFAULT_TEMPLATES.some(d => d.id === t.id));
+    return [...builtIns, ...custom];
+};
+
+const sameTemplate = (a, b) =>
+    a.name === b.name &&
+    a.subject === b.subject &&
+    a.body === b.body &&
+    JSON.stringify(a.presets) === JSON.stringify(b.presets);
+
+// Only edited built-ins and user templates are stored
+export const saveTemplates = (templates) => {
+    const changed = templates.filter(t => {
+        const original = DEFAULT_TEMPLATES.find(d => d.id === t.id);
+        return !original || !sameTemplate(original, t);
+    });
+    localStorage.setItem(TEMPLATES_KEY, JSON.stringify(changed));
+};
+
+export const getTemplate = (templates, id) => templates.find(t => t.id === id) || templates[0];
+
+export const loadTemplateSelection = () => {
+    try {
+        return { templateId: 'math', grade: '中学生', ...JSON.parse(localStorage.getItem(SELECTION_KEY) || '{}') };
+    } catch (e) {
+        return { templateId: 'math', grade: '中学生' };
+    }
+};
+
+export const saveTemplateSelection = (selection) => {
+    localStorage.setItem(SELECTION_KEY, JSON.stringify(selection));
+};
+
+// ========== Import / Export ==========
+export const exportTemplates = (templates) => JSON.stringify({
+    type: 'ruidai-prompt-templates',
+    version: 1,
+    templates: templates.map(({ builtIn, ...t }) => t)
+}, null, 2);
+
+// Accepts an export file (or a bare array). Returns validated templates.
+export const parseTemplateImport = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('JSON として読み込めません');
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed?.templates;
+    if (!Array.isArray(list)) {
+        throw new Error('テンプレートが見つかりません');
+    }
+    return list.map((t, i) => {
+        if (!t || typeof t.name !== 'string' || typeof t.body !== 'string') {
+            throw new Error(`テンプレート${i + 1}に name または body がありません`);
+        }
+        return {
+            id: typeof t.id === 'string' && t.id ? t.id : `custom-${Date.now()}-${i}`,
+            name: t.name,
+            subject: typeof t.subject === 'string' ? t.subject : '',
+            body: t.body,
+            presets: Array.isArray(t.presets)
+                ? t.presets.filter(p => p && typeof p.label === 'string' && typeof p.value === 'string')
+                : []
+        };
+    });
+};
+
+// Imported templates replace ones with the same id, others are appended
+export const mergeTemplates = (templates, imported) => {
+    const importedIds = new Set(imported.map(t => t.id));
+    const kept = templates.map(t => {
+        if (!importedIds.has(t.id)) return t;
+        const replacement = imported.find(i => i.id === t.id);
+        return t.builtIn ? { ...replacement, builtIn: true } : replacement;
+    });
+    const added = imported.filter(t => !templates.some(existing => existing.id === t.id));
+    return [...kept, ...added];
+};
@@ -0,0 +1,62 @@
+// Tiered difficulty sets (基礎・標準・発展)
+// The level ids are fixed (see LEVELS in sheetModel); labels and what each
+// level means are configurable and sent to the model with every tiered request.
+import { LEVELS } from './sheetModel';
+
+const TIERS_KEY = 'ruidai_tiers';
+
+export const DEFAULT_TIERS = [
+    {
+        id: 'basic',
+        label: '基礎',
+        description: '教科書の例題レベル。解き方が1つに決まり、1〜2ステップで解ける問題。数値は計算しやすいものにする。'
+    },
+    {
+        id: 'standard',
+        label: '標準',
+        description: '教科書の練習問題・定期テストレベル。基本事項を2〜3ステップ組み合わせて解く問題。'
+    },
+    {
+        id: 'advanced',
+        label: '発展',
+        description: '入試・応用レベル。複数の知識の組み合わせ、条件の整理、文章題への応用など、考える力を問う問題。'
+    }
+];
+
+export const loadTiers = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(TIERS_KEY) || '[]');
+        return DEFAULT_TIERS.map(tier => ({ ...tier, ...saved.find(s => s.id === tier.id) }));
+    } catch (e) {
+        console.error('Error loading tier definitions:', e);
+        return DEFAULT_TIERS;
+    }
+};
+
+export const saveTiers = (tiers) => {
+    localStorage.setItem(TIERS_KEY, JSON.stringify(tiers));
+};
+
+// How many problems each level still needs: `perTier` minus the problems of
+// that level in `doneProblems` (resuming an interrupted run)
+export const missingPerTier = (tiers, perTier, doneProblems = []) => tiers.map(t => ({
+    ...t,
+    count: Math.max(0, perTier - doneProblems.filter(p => p.level === t.id).length)
+}));
+
+// Prompt section for a tiered request: the missing problems of each level, in order
+export const buildTierPrompt = (tiers, perTier, doneProblems = []) => {
+    const missing = missingPerTier(tiers, perTier, doneProblems).filter(t => t.count > 0);
+    const total = missing.reduce((sum, t) => sum + t.count, 0);
+    const lines = missing.map(t => `- ${t.id}（${t.label}）: ${t.count}問 … ${t.description}`);
+    return `【段階別の構成】
+problems は全${total}問とし、${missing.map(t => t.label).join(' → ')} の順に並べてください。
+各問題の level には段階の id（${LEVELS.join(' / ')}）を入れてください。
+${lines.join('\n')}`;
+};
+
+// Prompt line keeping a reworked problem in its level
+export const buildLevelPrompt = (tier) => `【段階】この問題は「${tier.label}」の段階です（${tier.description}）。修正後もこの段階に合う難易度にしてください（易しく・難しくする場合も、この段階の範囲内で調整してください）。`;
+
+// What a tiered sheet keeps about its tiers (labels shown on badges and in print)
+export const tierLabels = (tiers) => tiers.map(({ id, label }) => ({ id, label }));
@@ -0,0 +1,123 @@
+// Model usage: token counts per request, what they cost, and optional spend limits
+// Records are kept in IndexedDB (see db.js); costs are computed when shown so
+// editing a price applies to past requests too.
+import { getAllUsage, putUsage, newRecordId } from './db';
+
+const USAGE_SETTINGS_KEY = 'ruidai_usage_settings';
+
+// Published list prices in USD per 1M tokens (input / output).
+// Local models and unknown models count as free unless a price is set.
+export const MODEL_PRICES = {
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-2.0-flash-exp': { input: 0, output: 0 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-3-flash-preview': { input: 0.5, output: 3 }
+};
+
+export const DEFAULT_USAGE_SETTINGS = {
+    maxRetries: 3,
+    exchangeRate: 150, // 円 per USD
+    dailyLimit: 0, // 円, 0 = no limit
+    monthlyLimit: 0,
+    prices: {} // per-model overrides of MODEL_PRICES
+};
+
+export const loadUsageSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(USAGE_SETTINGS_KEY) || '{}');
+        return { ...DEFAULT_USAGE_SETTINGS, ...saved, prices: { ...saved.prices } };
+    } catch (e) {
+        console.error('Error loading usage settings:', e);
+        return DEFAULT_USAGE_SETTINGS;
+    }
+};
+
+export const saveUsageSettings = (settings) => {
+    localStorage.setItem(USAGE_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const priceFor = (model, settings) =>
+    settings.prices[model] || MODEL_PRICES[model] || { input: 0, output: 0 };
+
+// Cost of one record in 円
+export const costOf = (record, settings) => {
+    const price = priceFor(record.model, settings);
+    const usd = (record.inputTokens * price.input + record.outputTokens * price.output) / 1e6;
+    return usd * settings.exchangeRate;
+};
+
+export const formatYen = (yen) => `¥${yen < 10 ? yen.toFixed(2) : Math.round(yen).toLocaleString('ja-JP')}`;
+
+const localDate = (time = new Date()) => time.toLocaleDateString('sv-SE');
+
+export const recordUsage = (entry) => {
+    const time = new Date();
+    return putUsage({
+        id: newRecordId(),
+        time: time.toISOString(),
+        date: localDate(time),
+        ...entry
+    });
+};
+
+export const USAGE_GROUPS = [
+    { id: 'date', label: '日別', key: r => r.date },
+    { id: 'instructor', label: '講師別', key: r => r.instructor || '（未入力）' },
+    { id: 'campus', label: '校舎別', key: r => r.campus || '（未設定）' },
+    { id: 'model', label: 'モデル別', key: r => r.model }
+];
+
+// Totals per group key: [{ key, requests, inputTokens, outputTokens, cost }]
+export const summarizeUsage = (records, groupId, settings) => {
+    const group = USAGE_GROUPS.find(g => g.id === groupId);
+    const rows = new Map();
+    records.forEach(r => {
+        const key = group.key(r);
+        const row = rows.get(key) || { key, requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+        row.requests += 1;
+        row.inputTokens += r.inputTokens;
+        row.outputTokens += r.outputTokens;
+        row.cost += costOf(r, settings);
+        rows.set(key, row);
+    });
+    const list = [...rows.values()];
+    return groupId === 'date'
+        ? list.sort((a, b) => b.key.localeCompare(a.key))
+        : list.sort((a, b) => b.cost - a.cost || b.requests - a.requests);
+};
+
+// Spend today and this month, in 円
+export const spendTotals = (records, settings, now = new Date()) => {
+    const today = localDate(now);
+    const month = today.slice(0, 7);
+    let day = 0;
+    let monthTotal = 0;
+    records.forEach(r => {
+        if (!r.date.startsWith(month)) return;
+        const cost = costOf(r, settings);
+        monthTotal += cost;
+        if (r.date === today) day += cost;
+    });
+    return { today: day, month: monthTotal };
+};
+
+const spendLimitError = (message) => {
+    const error = new Error(`${message}。利用状況の画面で上限を変更できます`);
+    // Retrying cannot help until the limit is raised (see resilient.js)
+    error.retryable = false;
+    return error;
+};
+
+// Throws when a spend limit has been reached, before a new request is made
+export const checkSpendLimits = async (settings) => {
+    if (!settings.dailyLimit && !settings.monthlyLimit) return;
+    const spent = spendTotals(await getAllUsage(), settings);
+    if (settings.dailyLimit && spent.today >= settings.dailyLimit) {
+        throw spendLimitError(`本日の利用額が上限（${formatYen(settings.dailyLimit)}）に達しました`);
+    }
+    if (settings.monthlyLimit && spent.month >= settings.monthlyLimit) {
+        throw spendLimitError(`今月の利用額が上限（${formatYen(settings.monthlyLimit)}）に達しました`);
+    }
+};
@@ -0,0 +1,99 @@
+// A/B test versions of a sheet
+// Version A is the sheet itself. B, C, … keep the structure of every problem
+// but change the numbers (the model recalculates answers, steps and hints),
+// and the problems are shuffled so neighbours do not share an order.
+import { SchemaType } from '@google/generative-ai';
+import { PROBLEM_SCHEMA, parseJsonResponse, validateProblem } from './sheetModel';
+import { notationRule } from './templates';
+
+export const VARIANT_LABELS = 'ABCDEFGH'.split('');
+
+// Gemini responseSchema: the rewritten problems, in the original order
+export const VARIANT_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        problems: {
+            type: SchemaType.ARRAY,
+            items: PROBLEM_SCHEMA
+        }
+    },
+    required: ['problems']
+};
+
+export const buildVariantPrompt = (data, { grade = '中学生', subject = '' } = {}) => `あなたは${grade}向けの${subject}教育のプロフェッショナルです。以下の${data.problems.length}問について、テストの別バージョン（数値違い）を作成してください。
+
+【作成の方針】
+- 各問題の問題文の構成・問われていること・解き方は変えずに、数値（係数・定数・具体的な値）だけを変えてください
+- 元の問題と同じ数値の組み合わせにならないようにしてください
+- 答えが整数や簡単な分数になるように数値を選んでください
+- 答え・解説・ヒントは新しい数値で計算し直してください
+- 問題の数と順番は元のままにしてください（並べ替えはこちらで行います）
+- ${notationRule(subject)}
+- 見出しや問題番号は付けないでください
+
+【元の問題】(JSON)
+${JSON.stringify(data.problems.map(({ statement, answer, steps, hints }) => ({ statement, answer, steps, hints })))}
+
+以下の JSON 形式で出力してください：
+- problems: 元の問題と同じ数・同じ順番の配列
+  - statement: 問題文
+  - answer: 最終的な答え
+  - steps: 解説の各ステップ（番号は付けない）
+  - hints: 生徒向けのヒント（1〜2個）
+`;
+
+const sameOrder = (a, b) => a.every((v, i) => v === b[i]);
+
+// Uniformly shuffled copy (Fisher–Yates)
+export const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Random order of 0..count-1 that differs from every order in `taken` when possible
+export const shuffledOrder = (count, taken = []) => {
+    let order = [];
+    for (let attempt = 0; attempt < 20; attempt++) {
+        order = shuffle(Array.from({ length: count }, (_, i) => i));
+        if (!taken.some(t => sameOrder(t, order))) break;
+    }
+    return order;
+};
+
+// Version A: the sheet as generated
+export const originalVariant = (data) => ({
+    label: VARIANT_LABELS[0],
+    order: data.problems.map((_, i) => i),
+    data
+});
+
+// Ask the model for one renumbered version and shuffle it.
+// Returns { label, order, data } where order[i] is the original index of problem i.
+export const generateVariant = async ({ provider, settings, images, data, label, takenOrders, grade, subject, signal }) => {
+    const text = await provider.generate({
+        settings,
+        prompt: buildVariantPrompt(data, { grade, subject }),
+        images,
+        schema: VARIANT_SCHEMA,
+        signal
+    });
+    const parsed = parseJsonResponse(text);
+    if (!Array.isArray(parsed?.problems) || parsed.problems.length !== data.problems.length) {
+        throw new Error(`問題数が元のシートと一致しません（${parsed?.problems?.length ?? 0}/${data.problems.length}）`);
+    }
+    // Tiered sheets keep each problem's level
+    const problems = parsed.problems.map((p, i) => {
+        const problem = validateProblem(p, i);
+        return data.problems[i].level ? { ...problem, level: data.problems[i].level } : problem;
+    });
+    const order = shuffledOrder(problems.length, takenOrders);
+    return {
+        label,
+        order,
+        data: { ...data, problems: order.map(i => problems[i]) }
+    };
+};
@@ -0,0 +1,294 @@
+// Local answer verification with a bundled CAS (mathjs)
+// Pulls the equation or expression out of each problem statement, reads the
+// stated **答え:**, and checks them numerically. Anything the checker cannot
+// interpret is reported as 'unverified' rather than passing silently. Sheets
+// of subjects written without math are not checked at all.
+import { parse, rationalize } from 'mathjs';
+import { usesLatex } from './templates';
+
+export const VERIFY_STATUS = {
+    OK: 'ok',
+    MISMATCH: 'mismatch',
+    UNVERIFIED: 'unverified'
+};
+
+const FUNCTIONS = new Set(['sqrt', 'nthRoot', 'abs']);
+const CONSTANTS = new Set(['pi']);
+const EPSILON = 1e-6;
+
+// Sample points for comparing expressions that contain variables
+const SAMPLE_POINTS = [1.37, -2.21, 0.63];
+
+const EQUATION_KEYWORDS = /解きなさい|解け|解いて|方程式|解を求め/;
+const EXPRESSION_KEYWORDS = /計算|簡単|展開|因数分解|整理/;
+
+// ========== LaTeX → mathjs ==========
+
+// Replace innermost \frac / \sqrt / ^{} until nothing changes; plain grouping
+// braces are only unwrapped once none of those apply
+const reduceBraces = (s) => {
+    for (;;) {
+        const next = s
+            .replace(/\\frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, '(($1)/($2))')
+            .replace(/\\sqrt\s*\[([^\]]*)\]\s*\{([^{}]*)\}/g, 'nthRoot(($2),($1))')
+            .replace(/\\sqrt\s*\{([^{}]*)\}/g, 'sqrt($1)')
+            .replace(/\^\s*\{([^{}]*)\}/g, '^($1)');
+        if (next !== s) {
+            s = next;
+            continue;
+        }
+        // Innermost braces that are not an argument of \frac, \sqrt or ^
+        const ungrouped = s.replace(/(?<!\\frac\s*|\}\s*|\\sqrt\s*|\]\s*|\^\s*)\{([^{}]*)\}/g, '($1)');
+        if (ungrouped === s) return s;
+        s = ungrouped;
+    }
+};
+
+export const latexToMath = (tex) => {
+    let s = tex
+        .replace(/\\(?:text|mathrm)\s*\{[^{}]*\}/g, '')
+        .replace(/\\left|\\right/g, '')
+        .replace(/\\[dt]frac/g, '\\frac')
+        .replace(/\\(?:times|cdot)/g, '*')
+        .replace(/\\div/g, '/')
+        .replace(/\\pi/g, ' pi ')
+        .replace(/\^\s*\\circ/g, '')
+        .replace(/\\(?:,|;|:|!|quad|qquad)/g, ' ')
+        .replace(/[−–]/g, '-')
+        .replace(/＝/g, '=')
+        .replace(/×/g, '*')
+        .replace(/÷/g, '/')
+        .replace(/\\frac\s*(\d)(\d)/g, '\\frac{$1}{$2}')
+        .replace(/\\sqrt\s*(\d+|[a-zA-Z])/g, '\\sqrt{$1}')
+        .replace(/_\{?([0-9a-zA-Z])\}?/g, '$1');
+
+    s = reduceBraces(s);
+    if (/\\[a-zA-Z]+/.test(s)) {
+        throw new Error(`未対応の記法: ${s.match(/\\[a-zA-Z]+/)[0]}`);
+    }
+
+    // "xy" means x*y in school math; mathjs would read it as one symbol
+    s = s.replace(/[A-Za-z]+/g, word =>
+        (FUNCTIONS.has(word) || CONSTANTS.has(word) ? word : word.split('').join('*')));
+    // "x(x+1)" is multiplication, not a call
+    s = s.replace(/([A-Za-z]+|[0-9.]+|\))\s*\(/g, (m, token) =>
+        (FUNCTIONS.has(token) ? `${token}(` : `${token}*(`));
+    return s;
+};
+
+const parseLatex = (tex) => parse(latexToMath(tex));
+
+const symbolsOf = (node) => {
+    const names = new Set();
+    node.traverse((n, path, parent) => {
+        if (n.isSymbolNode && !(parent && parent.isFunctionNode && path === 'fn') && !CONSTANTS.has(n.name)) {
+            names.add(n.name);
+        }
+    });
+    return [...names];
+};
+
+const closeEnough = (a, b) =>
+    Number.isFinite(a) && Number.isFinite(b) &&
+    Math.abs(a - b) <= EPSILON * Math.max(1, Math.abs(a), Math.abs(b));
+
+// ========== Extraction ==========
+
+const MATH_SEGMENT_RE = /\$\$([\s\S]+?)\$\$|\$([^$\n]+?)\$/g;
+
+const mathSegments = (md) =>
+    [...md.matchAll(MATH_SEGMENT_RE)].map(m => (m[1] ?? m[2]).trim());
+
+// Equations in the statement, with \begin{cases} split into separate lines
+const extractEquations = (statement) => {
+    const equations = [];
+    mathSegments(statement).forEach(seg => {
+        seg.replace(/\\(?:begin|end)\{[a-z]*\*?\}/g, '')
+            .replace(/&/g, '')
+            .split(/\\\\/)
+            .map(part => part.trim())
+            .filter(part => (part.match(/=/g) || []).length === 1 && !/\\(?:neq|leq?|geq?|le|ge|lt|gt)|[<>≦≧]/.test(part))
+            .forEach(part => {
+                const [lhs, rhs] = part.split('=');
+                equations.push({ lhs: parseLatex(lhs), rhs: parseLatex(rhs) });
+            });
+    });
+    return equations;
+};
+
+// Expand "\pm" into both signs
+const expandPlusMinus = (tex) =>
+    (tex.includes('\\pm') ? [tex.replace('\\pm', '+'), tex.replace('\\pm', '-')].flatMap(expandPlusMinus) : [tex]);
+
+// Answer chunks such as "x = 3", "x = -2, 3", "x = \pm 2", "(x, y) = (1, 2)"
+const extractAssignments = (answer) => {
+    const segments = mathSegments(answer);
+    const sources = segments.length > 0 ? segments : [answer];
+    const values = {};
+    let lastVar = null;
+
+    const add = (name, tex) => {
+        values[name] = values[name] || [];
+        expandPlusMinus(tex).forEach(t => values[name].push(parseLatex(t).evaluate()));
+    };
+
+    sources.forEach(src => {
+        const tuple = src.match(/^\s*\(([^()]*)\)\s*=\s*\(([^()]*)\)\s*$/);
+        if (tuple) {
+            const names = tuple[1].split(',').map(n => n.trim());
+            const nums = tuple[2].split(',').map(n => n.trim());
+            names.forEach((n, i) => add(n, nums[i]));
+            return;
+        }
+        src.split(/,|，|、|\\quad|または|\\text\{\s*または\s*\}/)
+            .map(chunk => chunk.trim())
+            .filter(Boolean)
+            .forEach(chunk => {
+                const eq = chunk.match(/^([a-zA-Z])\s*=\s*(.+)$/);
+                if (eq) {
+                    lastVar = eq[1];
+                    add(eq[1], eq[2]);
+                } else if (lastVar) {
+                    add(lastVar, chunk);
+                } else {
+                    throw new Error('答えの変数が読み取れません');
+                }
+            });
+    });
+    return values;
+};
+
+// ========== Checks ==========
+
+// Real roots of a single-variable polynomial of degree <= 2, or null
+const polynomialRoots = (lhs, rhs, variable) => {
+    const detail = rationalize(parse(`(${lhs.toString()}) - (${rhs.toString()})`), {}, true);
+    if (detail.variables.length !== 1 || detail.variables[0] !== variable) return null;
+    const [c, b = 0, a = 0] = detail.coefficients;
+    if (detail.coefficients.length > 3) return null;
+    if (a === 0) return b === 0 ? null : [-c / b];
+    const disc = b * b - 4 * a * c;
+    if (disc < -EPSILON) return [];
+    if (Math.abs(disc) <= EPSILON) return [-b / (2 * a)];
+    const r = Math.sqrt(disc);
+    return [(-b + r) / (2 * a), (-b - r) / (2 * a)];
+};
+
+const checkEquations = (equations, answer) => {
+    const values = extractAssignments(answer);
+    const variables = [...new Set(equations.flatMap(eq => [...symbolsOf(eq.lhs), ...symbolsOf(eq.rhs)]))];
+    if (variables.length === 0 || variables.some(v => !values[v])) {
+        return { status: VERIFY_STATUS.UNVERIFIED, detail: '答えに含まれない変数があります' };
+    }
+
+    // One variable: each listed value is a separate root. Several: one assignment.
+    const solutions = variables.length === 1
+        ? values[variables[0]].map(v => ({ [variables[0]]: v }))
+        : [Object.fromEntries(variables.map(v => [v, values[v][0]]))];
+
+    for (const scope of solutions) {
+        for (const eq of equations) {
+            const l = eq.lhs.evaluate(scope);
+            const r = eq.rhs.evaluate(scope);
+            if (!closeEnough(l, r)) {
+                const shown = Object.entries(scope).map(([k, v]) => `${k} = ${+v.toFixed(6)}`).join(', ');
+                return { status: VERIFY_STATUS.MISMATCH, detail: `${shown} を代入すると等式が成り立ちません` };
+            }
+        }
+    }
+
+    // A single equation in one variable: make sure no root was left out
+    if (variables.length === 1 && equations.length === 1) {
+        let roots = null;
+        try {
+            roots = polynomialRoots(equations[0].lhs, equations[0].rhs, variables[0]);
+        } catch (e) {
+            roots = null;
+        }
+        if (roots) {
+            const given = values[variables[0]];
+            const missing = roots.filter(root => !given.some(v => closeEnough(v, root)));
+            if (missing.length > 0) {
+                return {
+                    status: VERIFY_STATUS.MISMATCH,
+                    detail: `解が不足しています（${variables[0]} = ${missing.map(m => +m.toFixed(6)).join(', ')}）`
+                };
+            }
+        }
+    }
+
+    return { status: VERIFY_STATUS.OK, detail: '代入して確認しました' };
+};
+
+// Values the statement gives for letters: "$x = 3$ のとき", "$a = 2, b = -1$"
+const givenValues = (statement) => {
+    const scope = {};
+    mathSegments(statement).forEach(seg => seg.split(/,|，|、/).forEach(chunk => {
+        const m = chunk.trim().match(/^([a-zA-Z])\s*=\s*([^=]+)$/);
+        if (!m) return;
+        try {
+            const value = parseLatex(m[2]).evaluate();
+            if (Number.isFinite(value)) scope[m[1]] = value;
+        } catch (e) {
+            // Not a plain number (e.g. "y = 2x + 1")
+        }
+    }));
+    return scope;
+};
+
+const checkExpression = (statement, answer) => {
+    const candidates = mathSegments(statement).filter(seg => !seg.includes('=') && /[+\-*/^]|\\(?:frac|sqrt|times|div)/.test(seg));
+    if (candidates.length !== 1) {
+        return { status: VERIFY_STATUS.UNVERIFIED, detail: '計算する式を特定できません' };
+    }
+
+    const expr = parseLatex(candidates[0]);
+    const answerSegments = mathSegments(answer);
+    const answerTex = (answerSegments[answerSegments.length - 1] || answer).split('=').pop();
+    const stated = parseLatex(answerTex);
+
+    // Letters with a given value are substituted; the rest must stay letters
+    // in the answer too, or the answer is a value the checker cannot derive
+    const given = givenValues(statement);
+    const free = (node) => symbolsOf(node).filter(v => !(v in given));
+    if (free(expr).length > 0 && free(stated).length === 0) {
+        return { status: VERIFY_STATUS.UNVERIFIED, detail: '式の文字の値が読み取れません' };
+    }
+    const variables = [...new Set([...free(expr), ...free(stated)])];
+    const scopes = variables.length === 0
+        ? [given]
+        : SAMPLE_POINTS.map((p, i) => ({
+            ...given,
+            ...Object.fromEntries(variables.map((v, j) => [v, p + i * 0.5 + j * 0.31]))
+        }));
+
+    const equal = scopes.every(scope => closeEnough(expr.evaluate(scope), stated.evaluate(scope)));
+    return equal
+        ? { status: VERIFY_STATUS.OK, detail: variables.length ? '式の値が一致しました' : '計算結果が一致しました' }
+        : { status: VERIFY_STATUS.MISMATCH, detail: '問題の式と答えの値が一致しません' };
+};
+
+// Verify one problem: { status, detail }
+export const verifyProblem = (problem) => {
+    if (!problem.statement || !problem.answer) {
+        return { status: VERIFY_STATUS.UNVERIFIED, detail: '問題文または答えがありません' };
+    }
+    try {
+        if (EQUATION_KEYWORDS.test(problem.statement)) {
+            const equations = extractEquations(problem.statement);
+            if (equations.length > 0) return checkEquations(equations, problem.answer);
+        }
+        if (EXPRESSION_KEYWORDS.test(problem.statement)) {
+            return checkExpression(problem.statement, problem.answer);
+        }
+        return { status: VERIFY_STATUS.UNVERIFIED, detail: '自動検算に対応していない形式です' };
+    } catch (e) {
+        return { status: VERIFY_STATUS.UNVERIFIED, detail: `検算できませんでした: ${e.message}` };
+    }
+};
+
+export const verifySheet = (data) => data.problems.map(verifyProblem);
+
+// Results for a sheet made with a template of `subject`, or null when that
+// subject is written without math
+export const verifySheetOfSubject = (data, subject) => (usesLatex(subject) ? verifySheet(data) : null);
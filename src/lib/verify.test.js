@@ -0,0 +1,43 @@
+import { describe, test, expect } from 'vitest';
+import { verifyProblem, verifySheetOfSubject, VERIFY_STATUS } from './verify';
+
+const verify = (statement, answer) => verifyProblem({ statement, answer });
+
+describe('verifyProblem', () => {
+    test('checks an equation by substituting the answer', () => {
+        expect(verify('方程式 $x^2 - 5x + 6 = 0$ を解きなさい。', '$x = 2, 3$').status).toBe(VERIFY_STATUS.OK);
+        expect(verify('方程式 $2x + 1 = 7$ を解きなさい。', '$x = 4$').status).toBe(VERIFY_STATUS.MISMATCH);
+    });
+
+    test('uses values the statement gives for letters', () => {
+        expect(verify('$x = 3$ のとき $2x+1$ の値を計算しなさい。', '$7$').status).toBe(VERIFY_STATUS.OK);
+        expect(verify('$x = 3$ のとき $2x+1$ の値を計算しなさい。', '$8$').status).toBe(VERIFY_STATUS.MISMATCH);
+        expect(verify('$a = 2, b = -1$ のとき $3a - b$ の値を計算しなさい。', '$7$').status).toBe(VERIFY_STATUS.OK);
+    });
+
+    test('does not flag a value it cannot derive', () => {
+        expect(verify('$x$ が最小になるとき $2x+1$ の値を計算しなさい。', '$7$').status).toBe(VERIFY_STATUS.UNVERIFIED);
+    });
+
+    test('still compares expressions with letters', () => {
+        expect(verify('$(x+1)^2$ を展開しなさい。', '$x^2 + 2x + 1$').status).toBe(VERIFY_STATUS.OK);
+    });
+
+    test('reports problems it cannot handle as unverified', () => {
+        expect(verify('三角形の内角の和は何度か答えなさい。', '$180^\\circ$').status).toBe(VERIFY_STATUS.UNVERIFIED);
+        expect(verify('方程式を解きなさい。', '$x = 1$').status).toBe(VERIFY_STATUS.UNVERIFIED);
+    });
+});
+
+describe('verifySheetOfSubject', () => {
+    const data = { problems: [{ statement: '$1 + 2$ を計算しなさい。', answer: '$3$' }] };
+
+    test('checks sheets of math subjects', () => {
+        expect(verifySheetOfSubject(data, '数学')).toHaveLength(1);
+        expect(verifySheetOfSubject(data, '')).toHaveLength(1);
+    });
+
+    test('skips subjects written without math', () => {
+        expect(verifySheetOfSubject(data, '英語')).toBeNull();
+    });
+});
@@ -0,0 +1,14 @@
+// Abortable sleep: resolves after `ms`, or rejects with an AbortError as soon
+// as `signal` aborts
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const abort = () => reject(new DOMException('Aborted', 'AbortError'));
+    if (signal?.aborted) {
+        abort();
+        return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        abort();
+    }, { once: true });
+});
@@ -1,17 +1,60 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
-    plugins: [react()],
+    plugins: [
+        react(),
+        // Installable PWA. The app shell, KaTeX fonts and the print fonts are
+        // precached so saved sheets can be viewed and printed offline.
+        VitePWA({
+            registerType: 'autoUpdate',
+            includeAssets: ['icon.svg', 'apple-touch-icon.png'],
+            manifest: {
+                name: 'RUIDAI - 類題作成ツール',
+                short_name: 'RUIDAI',
+                description: '問題の写真から類題プリントを作成します',
+                lang: 'ja',
+                start_url: '/',
+                display: 'standalone',
+                background_color: '#ffffff',
+                theme_color: '#6366f1',
+                icons: [
+                    { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+                    { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+                    { src: 'maskable-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+                ]
+            },
+            workbox: {
+                // KaTeX ships woff2/woff/ttf; browsers that run service workers use woff2
+                globPatterns: ['**/*.{js,mjs,css,html,svg,png,woff2}'],
+                maximumFileSizeToCacheInBytes: 8 * 1024 * 1024,
+                navigateFallback: '/index.html',
+                navigateFallbackDenylist: [/^\/api\//],
+                cleanupOutdatedCaches: true
+            }
+        })
+    ],
+    // The generation proxy (api/) runs on the local stand-in server in development
+    server: {
+        proxy: {
+            '/api': 'http://localhost:8787'
+        }
+    },
     build: {
         chunkSizeWarningLimit: 1000,
         rollupOptions: {
             output: {
                 manualChunks: {
                     vendor: ['react', 'react-dom'],
-                    utils: ['@google/generative-ai', 'katex', 'react-markdown']
+                    utils: ['@google/generative-ai', 'katex', 'react-markdown'],
+                    math: ['mathjs']
                 }
             }
         }
+    },
+    // Unit tests of the client modules; server/ has its own node:test files
+    test: {
+        include: ['src/**/*.test.js']
     }
 })